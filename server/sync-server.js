@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Reference sync server for local testing and small self-hosted setups (no dependencies).
+ *
+ *   npm run sync-server                       # http://localhost:8787/<space>
+ *   PORT=9000 SYNC_TOKEN=secret SYNC_DATA=/srv/seating/sync-data.json npm run sync-server
+ *
+ * Any path prefix is a separate data space, so "http://host:8787/room-214" and ".../room-215" do not mix.
+ * Records are kept last-writer-wins by their `at` timestamp; every accepted write gets the next sequence
+ * number, which is the cursor clients pull from. Everything lives in memory and is written to one JSON file,
+ * by default in the user's home directory so student data never lands in a working tree.
+ */
+import { createServer } from "node:http";
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from "node:fs";
+import { homedir } from "node:os";
+import { dirname, join } from "node:path";
+import { pathToFileURL } from "node:url";
+
+const MAX_BODY = 20 * 1024 * 1024;
+const DEFAULT_DATA_FILE = join(homedir(), ".seating-monitor", "sync-data.json");
+
+function loadData(file) {
+  if (!file || !existsSync(file)) return { spaces: {} };
+  return JSON.parse(readFileSync(file, "utf8"));
+}
+
+function persist(file, data) {
+  if (!file) return;
+  writeFileSync(`${file}.tmp`, JSON.stringify(data));
+  renameSync(`${file}.tmp`, file);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY) { reject(Object.assign(new Error("Request too large"), { status: 413 })); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on("end", () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}")); }
+      catch { reject(Object.assign(new Error("Body is not valid JSON"), { status: 400 })); }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * @param {{ file?: string|null, token?: string|null }} opts  file = JSON file to keep data in (null = memory only)
+ * @returns {import("node:http").Server}
+ */
+export function createSyncServer({ file = null, token = null } = {}) {
+  const data = loadData(file);
+  const spaceOf = (name) => (data.spaces[name] ||= { cursor: 0, records: {} });
+
+  return createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Headers": "Content-Type, Authorization",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      });
+      res.end(body === undefined ? "" : JSON.stringify(body));
+    };
+    if (req.method === "OPTIONS") return send(204);
+
+    const url = new URL(req.url, "http://localhost");
+    const m = url.pathname.match(/^\/(?:(.+)\/)?changes\/?$/);
+    if (!m) return send(404, { error: "Use <space>/changes" });
+    if (token && req.headers.authorization !== `Bearer ${token}`) return send(401, { error: "Missing or wrong token" });
+    const space = spaceOf(decodeURIComponent(m[1] || "default"));
+
+    try {
+      if (req.method === "GET") {
+        const since = Number(url.searchParams.get("since")) || 0;
+        const device = url.searchParams.get("device");
+        const changes = Object.values(space.records)
+          .filter((r) => r.seq > since && r.deviceId !== device)
+          .sort((a, b) => a.seq - b.seq)
+          .map(({ seq, ...rec }) => rec);
+        return send(200, { cursor: space.cursor, changes });
+      }
+      if (req.method === "POST") {
+        const body = await readBody(req);
+        if (!Array.isArray(body.changes)) return send(400, { error: "Expected { deviceId, changes: [] }" });
+        const rejected = [];
+        for (const ch of body.changes) {
+          if (!ch || typeof ch.key !== "string" || typeof ch.at !== "string") continue;
+          const cur = space.records[ch.key];
+          if (cur && cur.at > ch.at) { const { seq, ...rec } = cur; rejected.push(rec); continue; }
+          space.records[ch.key] = { key: ch.key, data: ch.data ?? null, at: ch.at, deviceId: ch.deviceId || body.deviceId, seq: ++space.cursor };
+        }
+        persist(file, data);
+        return send(200, { cursor: space.cursor, rejected });
+      }
+      return send(405, { error: "Method not allowed" });
+    } catch (e) {
+      return send(e.status || 500, { error: e.message });
+    }
+  });
+}
+
+const isMain = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+if (isMain) {
+  const port = Number(process.env.PORT) || 8787;
+  const file = process.env.SYNC_DATA || DEFAULT_DATA_FILE;
+  mkdirSync(dirname(file), { recursive: true });
+  createSyncServer({ file, token: process.env.SYNC_TOKEN || null }).listen(port, () => {
+    console.log(`Sync server on http://localhost:${port}/<space> (data: ${file}${process.env.SYNC_TOKEN ? ", token required" : ""})`);
+  });
+}
@@ -0,0 +1,38 @@
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { createSyncServer } from "./sync-server.js";
+import { createSyncClient } from "../src/sync.js";
+
+describe("reference sync server", () => {
+  let server, endpoint;
+  beforeAll(() => new Promise((resolve) => {
+    server = createSyncServer({ token: "secret" }).listen(0, () => {
+      endpoint = `http://127.0.0.1:${server.address().port}/room-214`;
+      resolve();
+    });
+  }));
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  it("rejects requests without the token", async () => {
+    await expect(createSyncClient({ endpoint, deviceId: "a" }).pull(0)).rejects.toThrow(/401/);
+  });
+
+  it("stores changes, serves them to other devices and keeps the newest per key", async () => {
+    const a = createSyncClient({ endpoint, token: "secret", deviceId: "a" });
+    const b = createSyncClient({ endpoint, token: "secret", deviceId: "b" });
+    const pushed = await a.push([{ key: "seat/A/0,0", data: { studentId: "s1" }, at: "2026-09-01T10:00:00.000Z" }]);
+    expect(pushed).toEqual({ cursor: 1, rejected: [] });
+
+    expect((await a.pull(0)).changes).toEqual([]); // own changes are not echoed back
+    const pulled = await b.pull(0);
+    expect(pulled.changes).toMatchObject([{ key: "seat/A/0,0", data: { studentId: "s1" }, deviceId: "a" }]);
+
+    const stale = await b.push([{ key: "seat/A/0,0", data: null, at: "2026-09-01T09:00:00.000Z" }]);
+    expect(stale.rejected).toMatchObject([{ key: "seat/A/0,0", data: { studentId: "s1" } }]);
+    expect((await b.pull(pulled.cursor)).changes).toEqual([]);
+  });
+
+  it("keeps spaces apart", async () => {
+    const other = createSyncClient({ endpoint: endpoint.replace("room-214", "room-215"), token: "secret", deviceId: "b" });
+    expect((await other.pull(0)).changes).toEqual([]);
+  });
+});
@@ -1,30 +1,42 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { Download, Upload, Plus, Pencil, Users, Settings, Move3D, Link as LinkIcon, SlidersHorizontal, LayoutTemplate } from "lucide-react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Download, Upload, Plus, Pencil, Users, Settings, Move3D, Link as LinkIcon, SlidersHorizontal, LayoutTemplate, Undo2, Redo2, FileSpreadsheet, Boxes, Shuffle, Printer, History, Cloud, CloudOff, Copy, Lasso, UserCheck, StickyNote, ListOrdered, ArrowUp, ArrowDown, FileText } from "lucide-react";
+import { CATALOG_GRADES, domainForCode, findStandard, normalizeStandardCode, searchStandards } from "./ncStandards";
+import { DEFAULT_SCALE_ID, DEFAULT_STATE, FIXTURE_KINDS, MAX_SCALE_LEVELS, SCALE_COLORS, SCHEMA_VERSION, cleanStandard, convertLevel, migrateState, normalizeSeatingRules, nowISO, uid } from "./schema";
+import { activeClasses, activeStudents, clearStudentMarks, copyLayout, deleteClass, duplicateClass, findStudentAcrossClasses, gridSeats, removeStudent, setClassArchived, setStudentArchived, sharedSkills, transferStudent, updateClass, updateSelectedClass, updateStudent } from "./classes";
+import { fileSafe, gradebookFiles, todayStamp } from "./gradebook";
+import { arrangeSeats } from "./arrange";
+import { buildGroups, clusterSeats } from "./groups";
+import { appendMark, bulkMark, latestLevel, markHistory } from "./marks";
+import { masteryStats, meanLevel } from "./mastery";
+import { convertClassSkills, countMarks, effectiveScale, getScale, saveScale, scaleLevelMap } from "./scales";
+import { applyRosterImport, parseRoster, planRosterImport } from "./roster";
+import { mergeStates } from "./merge";
+import { SNAPSHOT_DAYS, backupCorrupt, dayStamp, listSnapshots, readSaved, readSyncMeta, requestPersistence, writeSaved, writeSyncMeta } from "./storage";
+import { ROOM_TEMPLATES, SNAP_STEP, addDesks, addFixture, applyTemplate, deskItem, deskKey, deskXY, fixtureItem, itemsInRect, moveItems, nextDesk, removeItems, roomItems, rotateFixtures, snapPoint } from "./room";
+import { addPrereq, groupByDomain, moveSkill, pickerOrder, readyForNext, removePrereq, wouldCycle } from "./progressions";
+import { addNote, deleteNote, recentNoteIds, searchNotes, studentNotes } from "./notes";
+import { reportHtml } from "./reports";
+import { absentIds, attendanceCounts, nextStatus, setAttendance, statusOf } from "./attendance";
+import { beginBatch as startBatch, endBatch as closeBatch, initHistory, rebase as rebaseHistory, record, redo as redoStep, undo as undoStep } from "./history";
+import { EMPTY_SYNC_STATE, applyChanges, createSyncClient, describeKey, diffStates, queueChanges, settleQueue, syncOnce } from "./sync";
 
 /**
- * Academic Monitoring — Seating Chart (Refined + Free Layout + Safer Migration)
+ * Academic Monitoring — Seating Chart
  *
- * What’s included
- * - Grid seating with tap-to-cycle levels per skill
- * - Move Seats mode (swap in grid)
- * - NEW: Free Layout mode (drag desks anywhere; touch + mouse)
- * - Global Skill Library: one skill can be linked to multiple classes
- * - Skill metadata: Domain (NC categories) + Standard Code WITHOUT the NC.7 prefix (e.g., RP.2, EE.3)
- * - Robust import/migration with validation and guardrails
- * - Export/Import JSON
+ * The app's UI: a seating chart (grid or free layout) where tapping a seat records a student's level on the
+ * selected skill, with the toolbar, panels and modals around it. Data and logic live in the modules next to this
+ * file (schema, marks, scales, classes, sync, …), which have unit tests (npm test); this file wires them to React.
  *
- * Levels (0-4)
- *   0 = N/A, 1 = Help, 2 = Developing, 3 = Proficient, 4 = Advanced
+ * Levels
+ *   0 = N/A (not assessed) on every scale; 1..n come from the skill's (or class's) level scale.
+ *   Default scale: 1 = Help, 2 = Developing, 3 = Proficient, 4 = Advanced
  *
  * Notes
  * - This file is plain React (no TypeScript types) to reduce build friction.
- * - We added lightweight runtime tests for the migration function at the bottom (console.assert).
+ * - Every change goes through the undo history (history.js), so state updaters must not mutate.
  */
 
 // ---------- Utilities ----------
-const lsKey = "seating-monitor-v3"; // bumped: v3 adds free layout + safer migration
-const uid = () => Math.random().toString(36).slice(2, 9);
-
 // NC domains for quick tagging (editable list)
 const NC_DOMAINS = [
   "Number System",
@@ -32,238 +44,362 @@ const NC_DOMAINS = [
   "Expressions & Equations",
   "Geometry",
   "Statistics & Probability",
+  "Functions",
 ];
 
-// ---------- Data Shapes (informal JSDoc) ----------
-/** @typedef {{ id: string, name: string }} Student */
-/** @typedef {{ r: number, c: number, studentId: string | null, x?: number, y?: number }} Seat */  // x,y are 0..1 for free layout
-/** @typedef {{ id: string, name: string, domain?: string, standardCode?: string, classIds: string[] }} Skill */
-/** @typedef {{ id: string, name: string, rows: number, cols: number, seats: Seat[], students: Student[], marks: Record<string, Record<string, number>>, layoutMode?: 'grid'|'free' }} ClassData */
-/** @typedef {{ classes: ClassData[], skills: Skill[], selectedClassId: string, selectedSkillId: string|null }} AppState */
-
-// ---------- Defaults ----------
-const DEFAULT_STATE = () => {
-  const classId = uid();
-  const s1 = uid();
-  const s2 = uid();
-  const rows = 4, cols = 6;
-  const students = Array.from({ length: 24 }, (_, i) => ({ id: uid(), name: `Student ${i + 1}` }));
-  const seats = Array.from({ length: rows * cols }, (_, i) => ({ r: Math.floor(i / cols), c: i % cols, studentId: students[i]?.id ?? null }));
-  const skills = [
-    { id: s1, name: "Distributive Property — Basic", domain: "Expressions & Equations", standardCode: "EE.*", classIds: [classId] },
-    { id: s2, name: "Distribute with Negative Numbers", domain: "Expressions & Equations", standardCode: "EE.*", classIds: [classId] },
-  ];
-  const marks = { [s1]: {}, [s2]: {} };
-  /** @type {AppState} */
-  const state = {
-    classes: [{ id: classId, name: "Period 1", rows, cols, seats, students, marks, layoutMode: "grid" }],
-    skills,
-    selectedClassId: classId,
-    selectedSkillId: s1,
-  };
-  return state;
-};
+// Data shapes, defaults and migrations live in schema.js
 
-// ---------- Persistence + Safer Migration ----------
-function cleanStandard(code) {
-  if (typeof code !== "string") return code;
-  // Strip leading "NC.7." if present, but leave other text alone
-  return code.replace(/^NC\.7\./, "");
-}
-
-function migrateLegacy(raw) {
-  // Accepts raw JSON string; returns a valid AppState
-  try {
-    const parsed = JSON.parse(raw);
-    const st = (parsed && typeof parsed === "object") ? parsed : DEFAULT_STATE();
-
-    // Ensure classes array
-    if (!Array.isArray(st.classes)) st.classes = DEFAULT_STATE().classes;
-
-    // If st.skills already an array of objects, lightly sanitize
-    if (Array.isArray(st.skills)) {
-      st.skills = st.skills
-        .filter((s) => s && typeof s === "object")
-        .map((s) => ({
-          id: typeof s.id === "string" ? s.id : uid(),
-          name: typeof s.name === "string" ? s.name : "(unnamed skill)",
-          domain: typeof s.domain === "string" ? s.domain : undefined,
-          standardCode: cleanStandard(s.standardCode),
-          classIds: Array.isArray(s.classIds) ? s.classIds.filter(Boolean) : [],
-        }));
-    } else {
-      // Legacy shape: skills lived under each class; lift them into a global library
-      /** @type {Skill[]} */
-      const lifted = [];
-      const seen = new Map(); // key -> id
-      st.classes.forEach((cl) => {
-        const clSkills = Array.isArray(cl.skills) ? cl.skills : [];
-        clSkills.forEach((sk) => {
-          if (!sk || typeof sk !== "object") return;
-          const name = typeof sk.name === "string" ? sk.name : "(unnamed skill)";
-          const domain = typeof sk.domain === "string" ? sk.domain : undefined;
-          const standardCode = cleanStandard(sk.standardCode);
-          const key = `${name}|${domain || ""}|${standardCode || ""}`;
-          let skillId = seen.get(key);
-          if (!skillId) {
-            skillId = typeof sk.id === "string" ? sk.id : uid();
-            seen.set(key, skillId);
-            lifted.push({ id: skillId, name, domain, standardCode, classIds: [cl.id] });
-          } else {
-            const ref = lifted.find((s) => s.id === skillId);
-            if (ref && Array.isArray(ref.classIds) && !ref.classIds.includes(cl.id)) ref.classIds.push(cl.id);
-          }
-        });
-        // Clear legacy per-class list to avoid confusion
-        if (cl && typeof cl === "object") cl.skills = [];
-      });
-      st.skills = lifted.length ? lifted : DEFAULT_STATE().skills;
-    }
+// ---------- Dates ----------
+const shortDate = (iso) => { const d = new Date(iso); return `${d.getMonth() + 1}/${d.getDate()}`; };
 
-    // Normalize each class
-    st.classes = st.classes.map((cl) => {
-      const rows = Number.isFinite(cl.rows) ? Math.max(1, Math.min(24, cl.rows)) : 4;
-      const cols = Number.isFinite(cl.cols) ? Math.max(1, Math.min(24, cl.cols)) : 6;
-      const seats = Array.isArray(cl.seats) ? cl.seats : [];
-      const students = Array.isArray(cl.students) ? cl.students : [];
-      const marks = (cl.marks && typeof cl.marks === "object") ? cl.marks : {};
-      const layoutMode = cl.layoutMode === "free" ? "free" : "grid";
-      // Ensure seats have r,c,studentId; x,y optional
-      const normSeats = [];
-      for (let i = 0; i < rows * cols; i++) {
-        const r = Math.floor(i / cols);
-        const c = i % cols;
-        const existing = seats.find((s) => s && s.r === r && s.c === c);
-        const seat = existing ? existing : { r, c, studentId: null };
-        if (typeof seat.studentId !== "string") seat.studentId = seat.studentId || null;
-        if (typeof seat.x !== "number" || typeof seat.y !== "number") {
-          // x,y will be set lazily when switching to free layout
-        }
-        normSeats.push(seat);
+// ---------- Persistence (IndexedDB via storage.js) ----------
+/**
+ * Reads the saved state (IndexedDB, or localStorage left by older versions) and migrates it.
+ * Unreadable data is copied aside before the app starts fresh, so nothing is lost.
+ * @returns {Promise<{ state: AppState, report: MigrationReport|null, backupKey?: string }>}
+ */
+async function loadState() {
+  let saved;
+  try { saved = await readSaved(); }
+  catch (e) { return { state: DEFAULT_STATE(), report: { fromVersion: 0, items: [], fatal: `Browser storage could not be opened (${e.message})` } }; }
+  if (!saved) return { state: DEFAULT_STATE(), report: null };
+  const { state, report } = migrateState(saved.raw, { versionHint: saved.versionHint });
+  if (state) {
+    if (saved.source !== "IndexedDB") report.items.unshift({ type: "migrated", message: `Moved saved data from ${saved.source} to IndexedDB (the old copy is left in place)` });
+    return { state, report: report.items.length ? report : null };
+  }
+  const backupKey = await backupCorrupt(saved.raw).catch(() => saved.source);
+  return { state: DEFAULT_STATE(), report, backupKey };
+}
+
+/** Rejects when the browser refused the write (e.g. storage full) */
+const saveState = (state) => writeSaved(JSON.stringify(state));
+
+// ---------- Undo/redo history (stack transitions in history.js) ----------
+
+/**
+ * useState with an undo/redo stack of whole-state snapshots.
+ * setState(updater, { record: false }) changes state without adding an undo step (e.g. selection).
+ * beginBatch/endBatch fold everything in between (e.g. one drag) into a single undo step.
+ * rebase(fn, onPresent) applies fn to every snapshot on the stack, so the change stays through undo and redo;
+ * onPresent receives the new present.
+ * Updaters must not mutate the previous state, since it stays on the stack.
+ */
+function useHistoryState(init) {
+  const [h, setH] = useState(() => initHistory(init()));
+
+  const setState = useCallback((updater, opts) => {
+    setH((cur) => record(cur, typeof updater === "function" ? updater(cur.present) : updater, opts));
+  }, []);
+  const beginBatch = useCallback(() => setH(startBatch), []);
+  const endBatch = useCallback(() => setH(closeBatch), []);
+  const undo = useCallback(() => setH(undoStep), []);
+  const redo = useCallback(() => setH(redoStep), []);
+  const rebase = useCallback((fn, onPresent) => setH((cur) => {
+    const next = rebaseHistory(cur, fn);
+    onPresent?.(next.present);
+    return next;
+  }), []);
+
+  return [h.present, setState, { undo, redo, beginBatch, endBatch, rebase, canUndo: h.past.length > 0, canRedo: h.future.length > 0 }];
+}
+
+// ---------- Device sync (protocol and record model in sync.js) ----------
+const SYNC_INTERVAL = 30000;
+const SYNC_DEBOUNCE = 3000;
+
+/**
+ * Keeps an outgoing queue of local edits and syncs it with the configured endpoint: every 30 s, a few seconds
+ * after an edit, when the browser comes back online, or on demand. Remote changes are applied to every undo
+ * snapshot (rebase), so undo only ever takes back this device's edits. Config, queue and cursor live in
+ * IndexedDB so queued edits survive reloads while offline.
+ */
+function useSync(state, setState, rebase) {
+  const [config, setConfig] = useState(null);
+  const [status, setStatus] = useState({ phase: "off", queued: 0, conflicts: [] });
+  const queueRef = useRef({});
+  const cursorRef = useRef(0);
+  const prevRef = useRef(state);
+  const remoteStates = useRef(new WeakSet());
+  const busyRef = useRef(false);
+  const timerRef = useRef(null);
+
+  useEffect(()=>{
+    readSyncMeta(["config", "queue", "cursor"]).then((m)=>{
+      queueRef.current = m.queue || {};
+      cursorRef.current = m.cursor || 0;
+      setConfig(m.config || null);
+      setStatus((s)=> ({ ...s, phase: m.config?.enabled ? "idle" : "off", queued: Object.keys(queueRef.current).length }));
+    }).catch(()=>{});
+  }, []);
+
+  const persist = () => writeSyncMeta({ queue: queueRef.current, cursor: cursorRef.current })
+    .catch((e)=> setStatus((s)=> ({ ...s, phase: "error", error: e.message })));
+
+  const syncNow = useCallback(async () => {
+    if (!config?.enabled || busyRef.current) return;
+    if (!navigator.onLine) { setStatus((s)=> ({ ...s, phase: "offline" })); return; }
+    busyRef.current = true;
+    setStatus((s)=> ({ ...s, phase: "syncing" }));
+    try {
+      const res = await syncOnce(createSyncClient(config), queueRef.current, cursorRef.current);
+      queueRef.current = settleQueue(queueRef.current, res.settled);
+      cursorRef.current = res.cursor;
+      if (res.apply.length) {
+        // Only the present is marked remote: an undo to a rebased snapshot still queues the local edits it takes back
+        rebase((p)=> applyChanges(p, res.apply), (next)=> remoteStates.current.add(next));
       }
-      return {
-        id: typeof cl.id === "string" ? cl.id : uid(),
-        name: typeof cl.name === "string" ? cl.name : "Class",
-        rows, cols,
-        seats: normSeats,
-        students: students.filter((s) => s && typeof s === "object" && typeof s.id === "string"),
-        marks,
-        layoutMode,
-      };
-    });
-
-    // Ensure selected class
-    if (!st.selectedClassId || !st.classes.find((c) => c.id === st.selectedClassId)) {
-      st.selectedClassId = st.classes[0]?.id || DEFAULT_STATE().classes[0].id;
+      await persist();
+      setStatus((s)=> ({ phase: "idle", lastSyncAt: nowISO(), queued: Object.keys(queueRef.current).length, conflicts: res.conflicts.length ? res.conflicts : s.conflicts }));
+    } catch (e) {
+      setStatus((s)=> ({ ...s, phase: navigator.onLine ? "error" : "offline", error: e.message }));
+    } finally {
+      busyRef.current = false;
     }
+  }, [config]);
 
-    // Ensure selected skill (must belong to the selected class)
-    const classSkills = st.skills.filter((s) => Array.isArray(s.classIds) && s.classIds.includes(st.selectedClassId));
-    if (!st.selectedSkillId || !st.skills.find((s) => s.id === st.selectedSkillId)) {
-      st.selectedSkillId = classSkills[0]?.id || st.skills[0]?.id || null;
+  // Queue local edits (remote applies and selection changes produce no records)
+  useEffect(()=>{
+    const prev = prevRef.current;
+    prevRef.current = state;
+    if (!config?.enabled || prev === state || remoteStates.current.has(state)) return;
+    const changes = diffStates(prev, state);
+    if (!changes.length) return;
+    queueRef.current = queueChanges(queueRef.current, changes, nowISO(), config.deviceId);
+    persist();
+    setStatus((s)=> ({ ...s, queued: Object.keys(queueRef.current).length }));
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(syncNow, SYNC_DEBOUNCE);
+  }, [state]);
+
+  useEffect(()=>{
+    if (!config?.enabled) return;
+    syncNow();
+    const id = setInterval(syncNow, SYNC_INTERVAL);
+    window.addEventListener("online", syncNow);
+    return () => { clearInterval(id); clearTimeout(timerRef.current); window.removeEventListener("online", syncNow); };
+  }, [config, syncNow]);
+
+  /**
+   * mode "merge": this device's data is uploaded and combined with what the server has.
+   * mode "replace": this device starts over from the server's data (an undo step is kept).
+   */
+  const connect = async ({ endpoint, token }, mode) => {
+    const next = { endpoint: endpoint.trim(), token: token.trim() || undefined, deviceId: config?.deviceId || uid(), enabled: true };
+    if (mode === "replace") {
+      const pulled = await createSyncClient(next).pull(0);
+      const fromServer = applyChanges({ ...state, ...EMPTY_SYNC_STATE }, pulled.changes);
+      if (!fromServer.classes.length) throw new Error("The server has no classes yet");
+      remoteStates.current.add(fromServer);
+      setState(fromServer);
+      queueRef.current = {};
+      cursorRef.current = pulled.cursor;
+    } else {
+      queueRef.current = queueChanges({}, diffStates(EMPTY_SYNC_STATE, state), nowISO(), next.deviceId);
+      cursorRef.current = 0;
     }
+    await writeSyncMeta({ config: next, queue: queueRef.current, cursor: cursorRef.current });
+    setStatus({ phase: "idle", queued: Object.keys(queueRef.current).length, conflicts: [] });
+    setConfig(next);
+  };
 
-    return st;
-  } catch (e) {
-    // If anything goes wrong, fall back safely
-    return DEFAULT_STATE();
-  }
+  const disconnect = async () => {
+    const next = config && { ...config, enabled: false };
+    queueRef.current = {};
+    cursorRef.current = 0;
+    await writeSyncMeta({ config: next, queue: {}, cursor: 0 });
+    setConfig(next);
+    setStatus({ phase: "off", queued: 0, conflicts: [] });
+  };
+
+  return { config, status, syncNow, connect, disconnect };
 }
 
-function loadState() {
-  try {
-    const raw = localStorage.getItem(lsKey);
-    if (!raw) return DEFAULT_STATE();
-    return migrateLegacy(raw);
-  } catch (e) {
-    return DEFAULT_STATE();
-  }
+// ---------- File downloads (CSV building in gradebook.js) ----------
+function downloadFile(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a"); a.href = url;
+  a.download = filename;
+  a.click(); URL.revokeObjectURL(url);
 }
 
-function saveState(state) {
-  try { localStorage.setItem(lsKey, JSON.stringify(state)); } catch {}
+// ---------- Progress reports ----------
+/**
+ * What reports.js prints for one student: linked skills in picker order with the newest mark, each level also put
+ * on the class scale so domains with skills on different scales can be averaged.
+ */
+function studentReport(state, cls, studentId, { withNotes = false } = {}) {
+  const student = cls.students.find((s) => s.id === studentId);
+  const classScale = getScale(state, cls.scaleId);
+  const skills = pickerOrder(state.skills.filter((s) => s.classIds.includes(cls.id))).map((sk) => {
+    const scale = effectiveScale(state, cls, sk);
+    const entries = markHistory(cls, sk.id, studentId);
+    const level = latestLevel(entries);
+    return {
+      name: sk.name,
+      standardCode: sk.standardCode || "",
+      domain: sk.domain || "",
+      levelName: metaFor(scaleMetas(scale), level).name,
+      level: convertLevel(level, scale, classScale),
+      proficient: level >= scale.proficientAt,
+      at: entries.reduce((at, e) => (!at || e.at >= at ? e.at : at), null),
+    };
+  });
+  return {
+    student: { name: student.name, sisId: student.sisId },
+    className: cls.name,
+    levelNames: scaleMetas(classScale).map((m) => m.name),
+    skills,
+    notes: withNotes ? studentNotes(cls, studentId).map((n) => ({ at: n.at, topic: noteTopic(state, n), text: n.text })) : null,
+  };
 }
 
-// ---------- Level palette ----------
-const levelMeta = {
-  0: { name: "N/A", bg: "bg-gray-100", ring: "ring-gray-300", text: "text-gray-600" },
-  1: { name: "Help", bg: "bg-red-100", ring: "ring-red-300", text: "text-red-800" },
-  2: { name: "Developing", bg: "bg-amber-100", ring: "ring-amber-300", text: "text-amber-800" },
-  3: { name: "Proficient", bg: "bg-green-100", ring: "ring-green-300", text: "text-green-800" },
-  4: { name: "Advanced", bg: "bg-blue-100", ring: "ring-blue-300", text: "text-blue-800" },
-};
+// ---------- Seat labels ----------
+const seatLabel = (seat) => `Row ${seat.r + 1}, Seat ${seat.c + 1}`;
+
+// ---------- Level scales (display; lookups and mark conversion in scales.js) ----------
+const NA_META = { name: "N/A", bg: "bg-gray-100", ring: "ring-gray-300", text: "text-gray-600", dot: "bg-gray-300" };
+/** How an absent student's seat looks in every view, so it is not mistaken for "not assessed" */
+const ABSENT_META = { name: "Absent", bg: "bg-white border-2 border-dashed border-slate-300", ring: "ring-transparent", text: "text-gray-400 line-through", dot: "bg-white" };
+const levelStyle = (color, name) => ({ name, bg: `bg-${color}-100`, ring: `ring-${color}-300`, text: `text-${color}-800`, dot: `bg-${color}-500` });
+
+/** Display metadata indexed by level: [N/A, level 1, …, level n] */
+function scaleMetas(scale) {
+  return [NA_META, ...scale.levels.map((l) => levelStyle(l.color, l.name))];
+}
+/** Out-of-range levels (e.g. left over from an older scale) show as the top level */
+const metaFor = (metas, lv) => metas[Math.max(0, Math.min(lv, metas.length - 1))];
 
 // ---------- Main App ----------
 export default function App(){
-  const [state, setState] = useState(loadState());
+  const [boot, setBoot] = useState(null);
+  useEffect(()=>{ loadState().then(setBoot); requestPersistence(); }, []);
+  if (!boot) return <div className="p-6 text-sm text-gray-500">Loading…</div>;
+  return <SeatingChart boot={boot} />;
+}
+
+const LONG_PRESS_MS = 450;
+
+function SeatingChart({ boot }){
+  const [state, setState, history] = useHistoryState(() => boot.state);
+  const [loadNotice, setLoadNotice] = useState(boot.report ? { report: boot.report, backupKey: boot.backupKey } : null);
   const currentClass = useMemo(() => state.classes.find((c) => c.id === state.selectedClassId), [state]);
-  const classSkills = useMemo(() => state.skills.filter((s) => s.classIds.includes(state.selectedClassId)), [state]);
+  // Grouped by domain in library order (progressions.js), as the skill picker shows them
+  const classSkills = useMemo(() => pickerOrder(state.skills.filter((s) => s.classIds.includes(state.selectedClassId))), [state]);
   const selectedSkill = classSkills.find((s)=> s.id === state.selectedSkillId) || classSkills[0] || null;
 
-  useEffect(()=> saveState(state), [state]);
+  const [saveError, setSaveError] = useState(null);
+  const sync = useSync(state, setState, history.rebase);
+  const [syncOpen, setSyncOpen] = useState(false);
+  useEffect(()=>{ saveState(state).then(()=> setSaveError(null), setSaveError); }, [state]);
 
   // Guard: ensure a valid selected skill for the chosen class
   useEffect(()=>{
     if (!selectedSkill && classSkills[0]) {
-      setState((p)=> ({ ...p, selectedSkillId: classSkills[0].id }));
+      setState((p)=> ({ ...p, selectedSkillId: classSkills[0].id }), { record: false });
     }
   }, [selectedSkill, classSkills]);
 
+  // Undo/redo shortcuts (left alone while typing so inputs keep their native undo)
+  useEffect(()=>{
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const tag = e.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || e.target?.isContentEditable) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) { e.preventDefault(); history.undo(); }
+      else if ((key === "z" && e.shiftKey) || key === "y") { e.preventDefault(); history.redo(); }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [history.undo, history.redo]);
+
   if (!currentClass) return <div className="p-6">No class selected.</div>;
 
   // ----- Level & seat helpers -----
   const studentName = (id) => currentClass.students.find((s) => s.id === id)?.name ?? "";
   const getLevel = (studentId) => {
     if (!studentId || !selectedSkill) return 0;
-    const lv = currentClass.marks[selectedSkill.id]?.[studentId];
-    return typeof lv === "number" ? lv : 0;
+    return latestLevel(markHistory(currentClass, selectedSkill.id, studentId));
   };
+  const scaleOf = (skill) => effectiveScale(state, currentClass, skill);
+  const classScale = getScale(state, currentClass.scaleId);
+  const selMetas = scaleMetas(scaleOf(selectedSkill));
+  /** Converts a skill's level onto the class scale (for roll-ups across skills with different scales) */
+  const toClassScale = (skillId, lv) => convertLevel(lv, scaleOf(state.skills.find((s)=> s.id===skillId)), classScale);
 
   const cycleSeatLevel = (studentId) => {
-    if (!selectedSkill) return;
-    setState((prev) => {
-      const next = { ...prev };
-      const cls = next.classes.find((c) => c.id === prev.selectedClassId);
-      if (!cls) return prev;
-      const cur = cls.marks[selectedSkill.id]?.[studentId] ?? 0;
-      const newLevel = (cur + 1) % 5;
-      if (!cls.marks[selectedSkill.id]) cls.marks[selectedSkill.id] = {};
-      cls.marks[selectedSkill.id][studentId] = newLevel;
-      return next;
-    });
+    if (!selectedSkill || absentToday.has(studentId)) return;
+    setState((prev) => updateSelectedClass(prev, (cls) => {
+      const cur = latestLevel(markHistory(cls, selectedSkill.id, studentId));
+      const newLevel = (cur + 1) % (effectiveScale(prev, cls, selectedSkill).levels.length + 1);
+      return { ...cls, marks: appendMark(cls.marks, selectedSkill.id, studentId, newLevel) };
+    }));
+  };
+
+  /** Number keys and the level picker: sets the level directly (no entry is added when it is already current) */
+  const setSeatLevel = (studentId, level) => {
+    if (!selectedSkill || absentToday.has(studentId) || level > scaleOf(selectedSkill).levels.length) return false;
+    setState((prev) => updateSelectedClass(prev, (cls) => bulkMark(cls, selectedSkill.id, [studentId], level).cls));
+    return true;
+  };
+
+  // ----- Attendance: tap seats to cycle present / absent / tardy; absent students are not marked or counted -----
+  const [attendanceMode, setAttendanceMode] = useState(false);
+  const [attendanceDay, setAttendanceDay] = useState(null); // another day being corrected; null = today
+  const today = dayStamp();
+  const shownDay = attendanceMode && attendanceDay ? attendanceDay : today;
+  const absentToday = absentIds(currentClass, today);
+  const attendanceOf = (studentId) => (studentId ? statusOf(currentClass, shownDay, studentId) : "present");
+  const cycleAttendance = (studentId) => {
+    const next = nextStatus(attendanceOf(studentId));
+    setState((prev) => updateSelectedClass(prev, (cls) => setAttendance(cls, shownDay, studentId, next)));
+    setAnnouncement(`${studentName(studentId)}: ${next}`);
+  };
+  const toggleAttendanceMode = () => {
+    setAttendanceMode(!attendanceMode); setAttendanceDay(null);
+    setMoveMode(false); setMoveSource(null); setBulkMode(false); setRoomEdit(false);
   };
 
   const exportJSON = () => {
-    const blob = new Blob([JSON.stringify(state, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a"); a.href = url;
-    a.download = `monitoring-seating-${new Date().toISOString().slice(0,10)}.json`;
-    a.click(); URL.revokeObjectURL(url);
+    downloadFile(`monitoring-seating-${todayStamp()}.json`, JSON.stringify(state, null, 2), "application/json");
   };
+  const [csvOpen, setCsvOpen] = useState(false);
+  const [groupsOpen, setGroupsOpen] = useState(false);
+  const [arrangeOpen, setArrangeOpen] = useState(false);
+  const [printOpen, setPrintOpen] = useState(false);
 
+  const [pendingImport, setPendingImport] = useState(null);
   const importJSON = (file) => {
     const reader = new FileReader();
     reader.onload = () => {
-      try {
-        const parsed = migrateLegacy(String(reader.result));
-        setState(parsed);
-      } catch { alert("Invalid JSON file."); }
+      const { state: incoming, report } = migrateState(String(reader.result));
+      if (!incoming) { alert(`Could not import ${file.name}: ${report.fatal}. Nothing was changed.`); return; }
+      setPendingImport({ fileName: file.name, incoming, report });
     };
     reader.readAsText(file);
   };
+  const [snapshotsOpen, setSnapshotsOpen] = useState(false);
+  const restoreSnapshot = (snap) => {
+    const { state: incoming, report } = migrateState(snap.json);
+    if (!incoming) { alert(`That snapshot could not be read: ${report.fatal}.`); return; }
+    setSnapshotsOpen(false);
+    setPendingImport({ fileName: `snapshot from ${snap.date}`, incoming, report, defaultMode: "replace" });
+  };
 
-  const setClass = (id) => setState((p)=> ({ ...p, selectedClassId: id }));
-  const setSkill = (id) => setState((p)=> ({ ...p, selectedSkillId: id }));
+  const setClass = (id) => setState((p)=> ({ ...p, selectedClassId: id }), { record: false });
+  const setSkill = (id) => setState((p)=> ({ ...p, selectedSkillId: id }), { record: false });
 
   // ----- Class & Skill management -----
   const addClass = () => {
     const name = prompt("New class name?"); if (!name) return;
     const rows = 4, cols = 6;
-    const seats = Array.from({ length: rows * cols }, (_, i) => ({ r: Math.floor(i / cols), c: i % cols, studentId: null }));
+    const seats = gridSeats(rows, cols);
     const students = [];
     const marks = {};
     const id = uid();
-    setState((p)=> ({ ...p, classes: [...p.classes, { id, name, rows, cols, seats, students, marks, layoutMode: 'grid' }], selectedClassId: id }));
+    setState((p)=> ({ ...p, classes: [...p.classes, { id, name, rows, cols, seats, students, marks, layoutMode: 'grid', gradeLevel: currentClass.gradeLevel }], selectedClassId: id }));
   };
 
   const renameClass = () => {
@@ -271,14 +407,62 @@ export default function App(){
     setState((p)=> ({ ...p, classes: p.classes.map((c)=> c.id===currentClass.id ? { ...c, name } : c) }));
   };
 
-  const addSkill = () => {
-    const name = prompt("New skill name?"); if (!name) return;
-    const domain = prompt(`Domain? (optional)\nOptions: ${NC_DOMAINS.join("; ")}`) || "";
-    const standardCode = prompt("Standard code? (e.g., RP.2, EE.3) Optional") || "";
-    setState((p)=> ({
-      ...p,
-      skills: [...p.skills, { id: uid(), name, domain: domain || undefined, standardCode: cleanStandard(standardCode), classIds: [p.selectedClassId] }],
-    }));
+  const [classToolsOpen, setClassToolsOpen] = useState(false);
+
+  const setGradeLevel = (gradeLevel) => {
+    if (!Number.isInteger(gradeLevel) || gradeLevel < 1 || gradeLevel > 12) return;
+    setState((p)=> updateSelectedClass(p, (cls)=> ({ ...cls, gradeLevel })));
+  };
+
+  const setClassScale = (scaleId) => {
+    const to = getScale(state, scaleId);
+    if (to.id === classScale.id) return;
+    const affected = classSkills.filter((s)=> !s.scaleId).map((s)=> s.id);
+    const n = countMarks(currentClass, affected);
+    if (n && !confirm(`Convert ${n} marks in ${currentClass.name} from "${classScale.name}" to "${to.name}"? Levels are matched around proficient. (Undo is available.)`)) return;
+    setState((p)=> updateSelectedClass(p, (cls)=> ({ ...convertClassSkills(cls, affected, classScale, to), scaleId: to.id })));
+  };
+
+  const [scalesOpen, setScalesOpen] = useState(false);
+  const saveScaleEdit = (scale, levelMap) => {
+    if (levelMap) {
+      const n = state.classes.reduce((a, cl)=> a + countMarks(cl, state.skills.filter((sk)=> sk.classIds.includes(cl.id) && effectiveScale(state, cl, sk).id===scale.id).map((sk)=> sk.id)), 0);
+      if (n && !confirm(`${n} marks use "${scale.name}". Move them to the edited levels? Marks on removed levels drop to the next level down. (Undo is available.)`)) return false;
+    }
+    setState((p)=> saveScale(p, scale, levelMap));
+    return true;
+  };
+  const deleteScale = (id) => {
+    const users = state.classes.filter((c)=> c.scaleId===id).map((c)=> c.name).concat(state.skills.filter((s)=> s.scaleId===id).map((s)=> s.name));
+    if (id === DEFAULT_SCALE_ID) { alert("The default scale cannot be deleted."); return false; }
+    if (users.length) { alert(`This scale is still used by: ${users.join(", ")}`); return false; }
+    setState((p)=> ({ ...p, scales: p.scales.filter((sc)=> sc.id!==id) }));
+    return true;
+  };
+
+  const [skillEditor, setSkillEditor] = useState(null); // { skill?: Skill } — no skill = add
+  const addSkill = () => setSkillEditor({});
+  const saveSkill = ({ name, domain, standardCode, scaleId }) => {
+    const fields = { name, domain: domain || undefined, standardCode: cleanStandard(standardCode), scaleId: scaleId || undefined };
+    const editing = skillEditor?.skill;
+    if (editing) {
+      const next = { ...editing, ...fields };
+      // A different scale converts this skill's marks in every linked class
+      const moves = state.classes
+        .filter((cl)=> editing.classIds.includes(cl.id))
+        .map((cl)=> ({ classId: cl.id, n: countMarks(cl, [editing.id]), from: effectiveScale(state, cl, editing), to: effectiveScale(state, cl, next) }))
+        .filter((m)=> m.from.id !== m.to.id);
+      const n = moves.reduce((a, m)=> a + m.n, 0);
+      if (n && !confirm(`Convert ${n} marks on "${editing.name}" to the new level scale? Levels are matched around proficient. (Undo is available.)`)) return;
+      setState((p)=> moves.reduce(
+        (q, m)=> updateClass(q, m.classId, (c)=> convertClassSkills(c, [editing.id], m.from, m.to)),
+        { ...p, skills: p.skills.map((s)=> s.id===editing.id ? next : s) },
+      ));
+    } else {
+      const id = uid();
+      setState((p)=> ({ ...p, skills: [...p.skills, { id, ...fields, classIds: [p.selectedClassId] }], selectedSkillId: id }));
+    }
+    setSkillEditor(null);
   };
 
   const renameSkill = () => {
@@ -289,9 +473,7 @@ export default function App(){
 
   const editSkillMeta = () => {
     if (!selectedSkill) return;
-    const domain = prompt(`Domain? (blank = keep)\nCurrent: ${selectedSkill.domain || ""}\nOptions: ${NC_DOMAINS.join("; ")}`) || selectedSkill.domain || "";
-    const standardCode = prompt(`Standard code? (e.g., RP.2)\nCurrent: ${selectedSkill.standardCode || ""}`) || selectedSkill.standardCode || "";
-    setState((p)=> ({ ...p, skills: p.skills.map((s)=> s.id===selectedSkill.id ? { ...s, domain: domain || undefined, standardCode: cleanStandard(standardCode) } : s) }));
+    setSkillEditor({ skill: selectedSkill });
   };
 
   const linkSkillToClasses = () => {
@@ -307,95 +489,296 @@ export default function App(){
 
   const pClassName = (st, id) => st.classes.find((c)=>c.id===id)?.name || id;
 
+  // ----- Skill progressions: order, prerequisites and who is ready for the next skill -----
+  const [progressionsOpen, setProgressionsOpen] = useState(false);
+  const readyNext = readyForNext(classSkills, activeStudents(currentClass).map((s)=> s.id), {
+    level: (skillId, studentId)=> latestLevel(markHistory(currentClass, skillId, studentId)),
+    proficientAt: (skillId)=> scaleOf(state.skills.find((s)=> s.id===skillId)).proficientAt,
+  });
+
   // ----- Grid: swap seats mode -----
   const [moveMode, setMoveMode] = useState(false);
   const [moveSource, setMoveSource] = useState(null); // {r,c}
 
   const swapSeats = (a, b) => {
-    setState((prev) => {
-      const next = { ...prev };
-      const idx = next.classes.findIndex((c)=> c.id === prev.selectedClassId);
-      if (idx < 0) return prev;
-      const cls = { ...next.classes[idx] };
+    setState((prev) => updateSelectedClass(prev, (cls) => {
       const seats = cls.seats.map((s)=> ({...s}));
       const sa = seats.find((s)=> s.r===a.r && s.c===a.c);
       const sb = seats.find((s)=> s.r===b.r && s.c===b.c);
-      if (!sa || !sb) return prev;
+      if (!sa || !sb) return cls;
       const tmp = sa.studentId; sa.studentId = sb.studentId; sb.studentId = tmp;
-      cls.seats = seats; next.classes[idx] = cls; return next;
-    });
+      return { ...cls, seats };
+    }));
   };
 
   const onSeatClickGrid = (seat) => {
+    if (consumeLongPress() || bulkMode) return;
+    if (attendanceMode) { if (seat.studentId) cycleAttendance(seat.studentId); return; }
     if (moveMode) {
       if (!moveSource) { setMoveSource({ r: seat.r, c: seat.c }); return; }
       swapSeats(moveSource, seat); setMoveSource(null); return;
     }
-    if (seat.studentId) cycleSeatLevel(seat.studentId);
+    if (seat.studentId && canMark) cycleSeatLevel(seat.studentId);
+  };
+
+  // ----- Keyboard: roving focus between seats, number keys mark, shortcuts -----
+  const [focusSeat, setFocusSeat] = useState(null); // "r,c" of the seat that takes Tab focus
+  const [announcement, setAnnouncement] = useState(""); // read out by screen readers after a keyboard mark
+  const tabSeat = currentClass.seats.some((s)=> deskKey(s)===focusSeat) ? focusSeat : (currentClass.seats[0] ? deskKey(currentClass.seats[0]) : null);
+
+  const onSeatKeyDown = (e, seat) => {
+    const dir = { ArrowUp: "up", ArrowDown: "down", ArrowLeft: "left", ArrowRight: "right" }[e.key];
+    if (dir) {
+      e.preventDefault();
+      const next = nextDesk(currentClass, seat, dir);
+      if (!next) return;
+      setFocusSeat(deskKey(next));
+      document.querySelector(`[data-seat="${deskKey(next)}"]`)?.focus();
+      return;
+    }
+    if (bulkMode && (e.key === " " || e.key === "Enter")) {
+      e.preventDefault();
+      toggleBulkSeat(deskKey(seat));
+      return;
+    }
+    if (attendanceMode && (e.key === " " || e.key === "Enter")) {
+      e.preventDefault();
+      if (seat.studentId) cycleAttendance(seat.studentId);
+      return;
+    }
+    if (e.key === "n" && seat.studentId) {
+      e.preventDefault();
+      setNotesFor(seat.studentId);
+      return;
+    }
+    if ((e.key === "a" || (e.key === "Enter" && !seat.studentId)) && !moveMode && !roomEdit) {
+      e.preventDefault();
+      openAssignModal({ r: seat.r, c: seat.c });
+      return;
+    }
+    if (/^[0-9]$/.test(e.key) && !e.ctrlKey && !e.metaKey && !e.altKey && seat.studentId && canMark && !moveMode && !roomEdit) {
+      e.preventDefault();
+      const level = Number(e.key);
+      if (absentToday.has(seat.studentId)) setAnnouncement(`${studentName(seat.studentId)} is absent today`);
+      else if (setSeatLevel(seat.studentId, level)) setAnnouncement(`${studentName(seat.studentId)}: ${metaFor(selMetas, level).name} for ${selectedSkill.name}`);
+    }
+  };
+
+  /** What a screen reader says for a seat: who sits there and what the current view shows for them */
+  const seatAriaLabel = (seat) => {
+    if (!seat.studentId) return `Empty seat, ${seatLabel(seat)}`;
+    const face = seatFace(seat.studentId);
+    const shown = viewMode === "overlay" ? face.strip.map((it)=> `${it.skill.name}: ${it.meta.name}`).join("; ")
+      : viewMode === "domain" ? `${activeDomain} average: ${face.label}`
+      : selectedSkill ? `${selectedSkill.name}: ${face.meta.name}` : "no skill selected";
+    const swap = moveMode && moveSource && moveSource.r===seat.r && moveSource.c===seat.c ? ", picked up to swap" : "";
+    const picked = bulkMode && bulkSel.includes(deskKey(seat)) ? ", selected" : "";
+    const status = attendanceOf(seat.studentId);
+    const noted = recentNotes.has(seat.studentId) ? ". Has recent notes" : "";
+    return `${studentName(seat.studentId)}, ${seatLabel(seat)}${status === "present" ? "" : `, ${status}`}. ${shown}${swap}${picked}${noted}`;
   };
 
-  // ----- Free Layout: drag desks anywhere -----
+  // [ and ] switch skill, M toggles Move Seats (not while typing or with modifier keys)
+  useEffect(()=>{
+    const onKey = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      const tag = e.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || e.target?.isContentEditable) return;
+      if ((e.key === "[" || e.key === "]") && classSkills.length > 1) {
+        const i = classSkills.findIndex((s)=> s.id === selectedSkill?.id);
+        const next = classSkills[(i + (e.key === "]" ? 1 : classSkills.length - 1)) % classSkills.length];
+        setSkill(next.id);
+        setAnnouncement(`Skill: ${next.name}`);
+      } else if (e.key === "m" || e.key === "M") {
+        setMoveMode(!moveMode); setMoveSource(null); setBulkMode(false); setRoomEdit(false); setAttendanceMode(false);
+        setAnnouncement(moveMode ? "Move Seats off" : "Move Seats on");
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [classSkills, selectedSkill, moveMode]);
+
+  // ----- Direct level picker (long-press a seat) -----
+  const [picker, setPicker] = useState(null); // { studentId, x, y } in client coordinates
+  const press = useRef({ timer: null, fired: false, x: 0, y: 0, touch: false });
+
+  const startLongPress = (e, seat) => {
+    clearTimeout(press.current.timer);
+    press.current = { timer: null, fired: false, x: e.clientX, y: e.clientY, touch: e.pointerType === "touch" };
+    if (!seat.studentId || !canMark || !selectedSkill || moveMode || bulkMode || roomEdit || attendanceMode || absentToday.has(seat.studentId)) return;
+    press.current.timer = setTimeout(() => {
+      if (dragMoved.current) return;
+      press.current.fired = true;
+      setDragging(null); history.endBatch(); // a free-layout press that never moved is not a drag
+      setPicker({ studentId: seat.studentId, x: press.current.x, y: press.current.y });
+    }, LONG_PRESS_MS);
+  };
+  const onPressMove = (e) => {
+    if (Math.abs(e.clientX - press.current.x) > 8 || Math.abs(e.clientY - press.current.y) > 8) clearTimeout(press.current.timer);
+  };
+  const cancelLongPress = () => clearTimeout(press.current.timer);
+  /** True (once) right after a long press, so the click that ends it does not also cycle the level */
+  const consumeLongPress = () => { if (!press.current.fired) return false; press.current.fired = false; return true; };
+  /** Right-click opens the seat menu (Assign for an empty desk); a touch long-press is left to the level picker */
+  const onSeatContextMenu = (e, seat) => {
+    e.preventDefault();
+    if (press.current.touch || consumeLongPress()) return;
+    if (!seat.studentId) { openAssignModal({ r: seat.r, c: seat.c }); return; }
+    const rect = e.currentTarget.getBoundingClientRect();
+    // The keyboard menu key reports no pointer position; open next to the seat instead
+    setSeatMenu({ seat, x: e.clientX || rect.left + rect.width / 2, y: e.clientY || rect.bottom });
+  };
+
+  // ----- Anecdotal notes: from the seat menu, the level picker or the N key; searchable from the toolbar -----
+  const [seatMenu, setSeatMenu] = useState(null); // { seat, x, y }
+  const [notesFor, setNotesFor] = useState(null); // studentId whose notes are open
+  const [notesSearchOpen, setNotesSearchOpen] = useState(false);
+  const recentNotes = recentNoteIds(currentClass);
+
+  // ----- Bulk marking: select seats (tap, or drag a lasso; Shift adds) and set levels for many students at once -----
+  const [bulkMode, setBulkMode] = useState(false);
+  const [bulkSel, setBulkSel] = useState([]); // seat keys "r,c"
+  const [lasso, setLasso] = useState(null); // { x0, y0, x1, y1, seat, add } relative to the chart
+  const chartRef = useRef(null);
+  useEffect(()=>{ setBulkSel([]); }, [currentClass.id]);
+
+  const toggleBulkMode = () => {
+    setBulkMode(!bulkMode); setBulkSel([]);
+    setMoveMode(false); setMoveSource(null); setRoomEdit(false); setAttendanceMode(false);
+  };
+  const toggleBulkSeat = (key) => setBulkSel((sel)=> (sel.includes(key) ? sel.filter((k)=> k !== key) : [...sel, key]));
+  const chartPoint = (e) => {
+    const rect = chartRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const onChartPointerDown = (e) => {
+    if (!bulkMode || !chartRef.current) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    const p = chartPoint(e);
+    setLasso({ x0: p.x, y0: p.y, x1: p.x, y1: p.y, seat: e.target.closest?.("[data-seat]")?.dataset.seat ?? null, add: e.shiftKey });
+  };
+  const onChartPointerMove = (e) => {
+    if (!lasso) return;
+    const p = chartPoint(e);
+    setLasso((l)=> l && { ...l, x1: p.x, y1: p.y });
+  };
+  const onChartPointerUp = () => {
+    if (!lasso) return;
+    if (Math.abs(lasso.x1 - lasso.x0) < 6 && Math.abs(lasso.y1 - lasso.y0) < 6) {
+      if (lasso.seat) toggleBulkSeat(lasso.seat);
+    } else {
+      const rect = chartRef.current.getBoundingClientRect();
+      const box = { left: rect.left + Math.min(lasso.x0, lasso.x1), right: rect.left + Math.max(lasso.x0, lasso.x1), top: rect.top + Math.min(lasso.y0, lasso.y1), bottom: rect.top + Math.max(lasso.y0, lasso.y1) };
+      const hit = Array.from(chartRef.current.querySelectorAll("[data-seat]")).filter((el)=> {
+        const r = el.getBoundingClientRect();
+        return r.right > box.left && r.left < box.right && r.bottom > box.top && r.top < box.bottom;
+      }).map((el)=> el.dataset.seat);
+      setBulkSel((sel)=> Array.from(new Set([...(lasso.add ? sel : []), ...hit])));
+    }
+    setLasso(null);
+  };
+  const bulkStudentIds = currentClass.seats.filter((s)=> s.studentId && bulkSel.includes(deskKey(s))).map((s)=> s.studentId);
+
+  // ----- Free Layout: drag desks anywhere; room editor (desks, fixtures, selection, snapping) -----
   const boardRef = useRef(null);
-  const [dragging, setDragging] = useState(null); // {r,c}
+  const [dragging, setDragging] = useState(null); // { anchor, start: Map<item, {x,y}>, from: {x,y} }
+  const dragMoved = useRef(false);
+  const [roomEdit, setRoomEdit] = useState(false);
+  const [selection, setSelection] = useState([]); // room.js item keys ("d:r,c" / "f:id")
+  const [snapMode, setSnapMode] = useState("off"); // off | grid | align
+  const [guides, setGuides] = useState([]);
+  const [marquee, setMarquee] = useState(null); // { a, b, add } board points while drag-selecting
+  useEffect(()=>{ setRoomEdit(false); setSelection([]); }, [currentClass.id, currentClass.layoutMode]);
+
+  const boardPoint = (e) => {
+    const rect = boardRef.current.getBoundingClientRect();
+    return { x: (e.clientX - rect.left) / rect.width, y: (e.clientY - rect.top) / rect.height };
+  };
 
   const ensureXYForAll = () => {
     // Initialize x/y from grid when entering free mode the first time
-    setState((p)=>{
-      const next = { ...p };
-      const idx = next.classes.findIndex((c)=> c.id===p.selectedClassId);
-      if (idx<0) return p;
-      const cls = { ...next.classes[idx] };
+    setState((p)=> updateSelectedClass(p, (cls) => {
       let changed = false;
-      cls.seats = cls.seats.map((s) => {
+      const seats = cls.seats.map((s) => {
         if (typeof s.x === "number" && typeof s.y === "number") return s;
-        const x = (s.c + 0.5) / cls.cols;
-        const y = (s.r + 0.5) / cls.rows;
         changed = true;
-        return { ...s, x, y };
+        return { ...s, ...deskXY(cls, s) };
       });
-      if (changed) { next.classes[idx] = cls; }
-      return next;
-    });
+      return changed ? { ...cls, seats } : cls;
+    }), { record: false });
   };
 
   const setLayoutMode = (mode) => {
-    setState((p)=>{
-      const next = { ...p };
-      const idx = next.classes.findIndex((c)=> c.id===p.selectedClassId);
-      if (idx<0) return p;
-      const cls = { ...next.classes[idx], layoutMode: mode };
-      next.classes[idx] = cls;
-      return next;
-    });
+    setState((p)=> updateSelectedClass(p, (cls) => ({ ...cls, layoutMode: mode })));
     if (mode === "free") ensureXYForAll();
   };
 
-  const onPointerDownSeat = (e, seat) => {
-    if (currentClass.layoutMode !== "free") return;
+  /** Starts dragging a desk (or, in the room editor, the whole selection it belongs to) */
+  const onPointerDownItem = (e, key) => {
+    if (currentClass.layoutMode !== "free" || !boardRef.current || bulkMode) return;
+    e.stopPropagation();
+    let sel = [key];
+    if (roomEdit) {
+      const additive = e.shiftKey || e.ctrlKey || e.metaKey;
+      sel = additive ? (selection.includes(key) ? selection.filter((k)=> k !== key) : [...selection, key]) : (selection.includes(key) ? selection : [key]);
+      setSelection(sel);
+      if (!sel.includes(key)) return;
+    }
+    const items = new Map(roomItems(currentClass).map((it)=> [it.key, it]));
+    const start = new Map(sel.filter((k)=> items.has(k)).map((k)=> [k, { x: items.get(k).x, y: items.get(k).y }]));
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    history.beginBatch(); // the whole drag undoes as one step
+    dragMoved.current = false;
+    setDragging({ anchor: key, start, from: boardPoint(e) });
+  };
+
+  /** Room editor: pressing on empty floor starts a selection rectangle (Shift adds to the selection) */
+  const onPointerDownBoard = (e) => {
+    if (!roomEdit) return;
     e.currentTarget.setPointerCapture?.(e.pointerId);
-    setDragging({ r: seat.r, c: seat.c });
+    const p = boardPoint(e);
+    setMarquee({ a: p, b: p, add: e.shiftKey ? selection : [] });
   };
 
   const onPointerMoveBoard = (e) => {
-    if (currentClass.layoutMode !== "free" || !dragging) return;
-    const board = boardRef.current;
-    if (!board) return;
-    const rect = board.getBoundingClientRect();
-    const x = (e.clientX - rect.left) / rect.width;
-    const y = (e.clientY - rect.top) / rect.height;
-    const clampedX = Math.max(0.02, Math.min(0.98, x));
-    const clampedY = Math.max(0.02, Math.min(0.98, y));
-    setState((p)=>{
-      const next = { ...p };
-      const idx = next.classes.findIndex((c)=> c.id===p.selectedClassId);
-      if (idx<0) return p;
-      const cls = { ...next.classes[idx] };
-      cls.seats = cls.seats.map((s)=> (s.r===dragging.r && s.c===dragging.c ? { ...s, x: clampedX, y: clampedY } : s));
-      next.classes[idx] = cls; return next;
-    });
-  };
-
-  const onPointerUpBoard = () => setDragging(null);
+    if (currentClass.layoutMode !== "free" || !boardRef.current) return;
+    if (marquee) { const b = boardPoint(e); setMarquee((m)=> m && { ...m, b }); return; }
+    if (!dragging) return;
+    const p = boardPoint(e);
+    const dx = p.x - dragging.from.x, dy = p.y - dragging.from.y;
+    if (!dragMoved.current && Math.abs(dx) < 0.004 && Math.abs(dy) < 0.004) return; // a tap, not a drag
+    dragMoved.current = true;
+    cancelLongPress();
+    const a = dragging.start.get(dragging.anchor);
+    const others = roomItems(currentClass).filter((it)=> !dragging.start.has(it.key));
+    const snapped = snapPoint({ x: a.x + dx, y: a.y + dy }, snapMode, others);
+    setGuides(snapped.guides);
+    setState((prev)=> updateSelectedClass(prev, (cls)=> moveItems(cls, dragging.start, snapped.x - a.x, snapped.y - a.y)));
+  };
+
+  const onPointerUpBoard = () => {
+    if (marquee) {
+      const hit = itemsInRect(currentClass, marquee.a, marquee.b);
+      setSelection(Array.from(new Set([...marquee.add, ...hit])));
+      setMarquee(null);
+      return;
+    }
+    if (!dragging) return;
+    setDragging(null); setGuides([]); history.endBatch();
+  };
+
+  /** The browser took the pointer (a scroll or gesture on a tablet): drop the marquee and close the drag's undo step */
+  const onPointerCancelBoard = () => {
+    setMarquee(null);
+    setDragging(null); setGuides([]); history.endBatch();
+  };
+
+  /** Grid view: puts a desk back into an empty cell */
+  const addDeskAt = (r, c) => setState((p)=> updateSelectedClass(p, (cls)=> (
+    cls.seats.some((s)=> s.r===r && s.c===c) ? cls : { ...cls, seats: [...cls.seats, { r, c, studentId: null }] }
+  )));
 
   // ----- Resize grid -----
   const [rows, setRows] = useState(currentClass.rows);
@@ -403,22 +786,18 @@ export default function App(){
   useEffect(()=>{ setRows(currentClass.rows); setCols(currentClass.cols); }, [currentClass.rows, currentClass.cols]);
 
   const applySize = () => {
-    setState((p)=>{
-      const next = { ...p };
-      const idx = next.classes.findIndex((c)=> c.id===p.selectedClassId);
-      if (idx<0) return p;
-      const cls = { ...next.classes[idx] };
+    setState((p)=> updateSelectedClass(p, (cls) => {
+      // Cells left without a desk in the room editor stay empty; new rows/columns get desks
       const seats = [];
       for (let r=0; r<rows; r++) {
         for (let c=0; c<cols; c++) {
           const existing = cls.seats.find((s)=> s.r===r && s.c===c);
           if (existing) { seats.push(existing); }
-          else { seats.push({ r, c, studentId: null }); }
+          else if (r >= cls.rows || c >= cls.cols) { seats.push({ r, c, studentId: null }); }
         }
       }
-      cls.rows = rows; cls.cols = cols; cls.seats = seats;
-      next.classes[idx] = cls; return next;
-    });
+      return { ...cls, rows, cols, seats };
+    }));
   };
 
   // ----- Assign Seat Modal -----
@@ -427,20 +806,62 @@ export default function App(){
   const [filter, setFilter] = useState("");
 
   const openAssignModal = (pos) => { setAssignPos(pos); setAssignOpen(true); };
+  const [profileFor, setProfileFor] = useState(null); // { classId, studentId }
+  const [reportFor, setReportFor] = useState(null); // { classId, studentId } — studentId null for the whole class
+  const openProfile = (studentId) => { setAssignOpen(false); setProfileFor({ classId: currentClass.id, studentId }); };
+  const assignPosStudent = assignPos && currentClass.seats.find((s)=> s.r===assignPos.r && s.c===assignPos.c)?.studentId;
   const assignSeat = (studentId) => {
-    setState((p)=>{
-      const next = { ...p };
-      const idx = next.classes.findIndex((c)=> c.id===p.selectedClassId);
-      if (idx<0) return p;
-      const cls = { ...next.classes[idx] };
-      cls.seats = cls.seats.map((s)=> (assignPos && s.r===assignPos.r && s.c===assignPos.c ? { ...s, studentId } : s));
-      next.classes[idx] = cls; return next;
-    });
+    setState((p)=> updateSelectedClass(p, (cls) => ({
+      ...cls,
+      seats: cls.seats.map((s)=> (assignPos && s.r===assignPos.r && s.c===assignPos.c ? { ...s, studentId } : s)),
+    })));
     setAssignOpen(false);
   };
 
+  // ----- Overview modes (read-only views across skills) -----
+  const [viewMode, setViewMode] = useState("skill"); // skill | overlay | domain
+  const [overlayIds, setOverlayIds] = useState([]);
+  const [viewDomain, setViewDomain] = useState("");
+  const classDomains = Array.from(new Set(classSkills.map((s)=> s.domain).filter(Boolean)));
+  const overlaySkills = classSkills.filter((s)=> overlayIds.includes(s.id));
+  const activeDomain = classDomains.includes(viewDomain) ? viewDomain : (selectedSkill?.domain || classDomains[0] || "");
+  const domainSkillIds = classSkills.filter((s)=> s.domain === activeDomain).map((s)=> s.id);
+  const canMark = viewMode === "skill";
+
+  /** What a seat shows in the current view: color meta, corner label, optional per-skill strip */
+  const seatFace = (studentId) => {
+    if (attendanceOf(studentId) === "absent") return { meta: ABSENT_META, label: "Absent", strip: null };
+    if (viewMode === "overlay") {
+      const strip = overlaySkills.map((sk)=> ({ skill: sk, meta: metaFor(scaleMetas(scaleOf(sk)), studentId ? latestLevel(markHistory(currentClass, sk.id, studentId)) : 0) }));
+      return { meta: NA_META, label: "", strip };
+    }
+    if (viewMode === "domain") {
+      const avg = studentId ? meanLevel(currentClass, domainSkillIds, studentId, toClassScale) : null;
+      return { meta: metaFor(scaleMetas(classScale), avg == null ? 0 : Math.round(avg)), label: avg == null ? "N/A" : `avg ${avg.toFixed(1)}`, strip: null };
+    }
+    const meta = metaFor(selMetas, getLevel(studentId));
+    return { meta, label: meta.name, strip: null };
+  };
+
+  // ----- Mastery dashboard -----
+  const [dashScope, setDashScope] = useState("skill"); // skill | domain | standard
+  const [highlightLevel, setHighlightLevel] = useState(null);
+  const dashSkills = !selectedSkill ? [] : dashScope === "domain" && selectedSkill.domain
+    ? classSkills.filter((s)=> s.domain === selectedSkill.domain)
+    : dashScope === "standard" && selectedSkill.standardCode
+      ? classSkills.filter((s)=> s.standardCode === selectedSkill.standardCode)
+      : [selectedSkill];
+  // A single skill is counted on its own scale; roll-ups are converted onto the class scale
+  const dashScale = dashSkills.length === 1 ? scaleOf(dashSkills[0]) : classScale;
+  const mastery = masteryStats(currentClass, dashSkills.map((s)=> s.id), dashScale, dashSkills.length === 1 ? undefined : toClassScale, absentToday);
+  const highlightIds = highlightLevel == null ? null : new Set(mastery.byLevel[highlightLevel]);
+  const seatEmphasis = (studentId) => {
+    if (!highlightIds) return "";
+    return studentId && highlightIds.has(studentId) ? "outline outline-2 outline-offset-2 outline-indigo-500" : "opacity-40";
+  };
+
   const assignedIds = new Set(currentClass.seats.map((s)=> s.studentId).filter(Boolean));
-  const filteredStudents = currentClass.students
+  const filteredStudents = activeStudents(currentClass)
     .filter((s)=> s.name.toLowerCase().includes(filter.toLowerCase()))
     .sort((a,b)=> a.name.localeCompare(b.name));
 
@@ -454,14 +875,31 @@ export default function App(){
             <p className="text-sm text-gray-600">Tap seats to cycle levels • Swap seats in Grid • Drag desks in Free Layout • Link skills across classes.</p>
           </div>
           <div className="flex items-center gap-2">
+            <button onClick={history.undo} disabled={!history.canUndo} title="Undo (Ctrl/Cmd+Z)" className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 shadow-sm bg-white hover:bg-slate-50 border disabled:opacity-40"><Undo2 className="h-4 w-4"/>Undo</button>
+            <button onClick={history.redo} disabled={!history.canRedo} title="Redo (Shift+Ctrl/Cmd+Z)" className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 shadow-sm bg-white hover:bg-slate-50 border disabled:opacity-40"><Redo2 className="h-4 w-4"/>Redo</button>
             <button onClick={exportJSON} className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 shadow-sm bg-white hover:bg-slate-50 border"><Download className="h-4 w-4"/>Export</button>
+            <button onClick={()=>setCsvOpen(true)} className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 shadow-sm bg-white hover:bg-slate-50 border"><FileSpreadsheet className="h-4 w-4"/>Gradebook CSV</button>
+            <button onClick={()=>setPrintOpen(true)} className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 shadow-sm bg-white hover:bg-slate-50 border"><Printer className="h-4 w-4"/>Print</button>
+            <button onClick={()=>setReportFor({ classId: currentClass.id, studentId: null })} title="Printable progress reports for conferences" className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 shadow-sm bg-white hover:bg-slate-50 border"><FileText className="h-4 w-4"/>Reports</button>
             <label className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 shadow-sm bg-white hover:bg-slate-50 border cursor-pointer">
               <Upload className="h-4 w-4"/>Import
               <input type="file" accept="application/json" className="hidden" onChange={(e)=>{const f=e.target.files?.[0]; if(f) importJSON(f);}} />
             </label>
+            <button onClick={()=>setSnapshotsOpen(true)} title="Restore from a daily snapshot" className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 shadow-sm bg-white hover:bg-slate-50 border"><History className="h-4 w-4"/>Snapshots</button>
+            <button onClick={()=>setSyncOpen(true)} title={sync.status.error || "Sync between devices"} className={`inline-flex items-center gap-2 rounded-2xl px-3 py-2 shadow-sm bg-white hover:bg-slate-50 border ${sync.status.phase === "error" ? "border-red-300 text-red-700" : ""}`}>
+              {sync.status.phase === "off" || sync.status.phase === "offline" ? <CloudOff className="h-4 w-4"/> : <Cloud className={`h-4 w-4 ${sync.status.phase === "syncing" ? "animate-pulse" : ""}`}/>}
+              {syncLabel(sync.status)}
+            </button>
           </div>
         </div>
 
+        {saveError && (
+          <div role="alert" className="flex flex-wrap items-center justify-between gap-2 rounded-2xl border border-red-300 bg-red-50 px-3 py-2 text-sm text-red-800">
+            <span>Changes are not being saved: {saveError.name === "QuotaExceededError" ? "browser storage is full" : saveError.message || String(saveError)}. Export a backup before closing this tab.</span>
+            <button onClick={exportJSON} className="inline-flex items-center gap-1 rounded-xl border border-red-300 bg-white px-2 py-1 text-xs hover:bg-red-100"><Download className="h-3 w-3"/>Export now</button>
+          </div>
+        )}
+
         {/* Controls */}
         <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
           <div className="md:col-span-3 rounded-2xl bg-white p-3 shadow-sm border">
@@ -469,31 +907,62 @@ export default function App(){
               {/* Class Select */}
               <div className="flex items-center gap-2">
                 <Users className="h-4 w-4 text-gray-500"/>
-                <select className="rounded-xl border px-3 py-2 text-sm" value={state.selectedClassId} onChange={(e)=>setClass(e.target.value)}>
-                  {state.classes.map((cl)=> (<option key={cl.id} value={cl.id}>{cl.name}</option>))}
+                <select className="rounded-xl border px-3 py-2 text-sm" value={state.selectedClassId} onChange={(e)=>setClass(e.target.value)} aria-label="Class">
+                  {activeClasses(state).map((cl)=> (<option key={cl.id} value={cl.id}>{cl.name}</option>))}
+                  {state.classes.some((cl)=> cl.archived) && (
+                    <optgroup label="Archived">
+                      {state.classes.filter((cl)=> cl.archived).map((cl)=> (<option key={cl.id} value={cl.id}>{cl.name}</option>))}
+                    </optgroup>
+                  )}
                 </select>
                 <button onClick={addClass} className="inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs hover:bg-slate-50"><Plus className="h-3 w-3"/>Add</button>
                 <button onClick={renameClass} className="inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs hover:bg-slate-50"><Pencil className="h-3 w-3"/>Rename</button>
+                <button onClick={()=>setClassToolsOpen(true)} className="inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs hover:bg-slate-50"><Copy className="h-3 w-3"/>Manage</button>
+                <label className="inline-flex items-center gap-1 text-xs text-gray-600" title="Grade used for NC.<grade>.<code> standards">
+                  Grade
+                  <GradeInput grade={currentClass.gradeLevel} onCommit={setGradeLevel} />
+                </label>
+                <select value={classScale.id} onChange={(e)=>setClassScale(e.target.value)} className="rounded-xl border px-2 py-1 text-xs" title="Level scale for this class (skills may override)">
+                  {state.scales.map((sc)=> <option key={sc.id} value={sc.id}>Scale: {sc.name}</option>)}
+                </select>
+                <button onClick={()=>setScalesOpen(true)} className="inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs hover:bg-slate-50"><SlidersHorizontal className="h-3 w-3"/>Scales</button>
               </div>
 
               {/* Skill Select + actions */}
               <div className="flex items-center gap-2">
                 <Settings className="h-4 w-4 text-gray-500"/>
-                <select className="rounded-xl border px-3 py-2 text-sm" value={state.selectedSkillId || ""} onChange={(e)=>setSkill(e.target.value)}>
+                <select className="rounded-xl border px-3 py-2 text-sm" value={state.selectedSkillId || ""} onChange={(e)=>setSkill(e.target.value)} title="Skill ([ and ] switch)" aria-label="Skill" aria-keyshortcuts="[ ]">
                   {classSkills.length===0 && <option value="">(No skills linked to this class)</option>}
-                  {classSkills.map((sk)=> (
-                    <option key={sk.id} value={sk.id}>{sk.name}{sk.standardCode?` — ${sk.standardCode}`:""}</option>
-                  ))}
+                  {groupByDomain(classSkills).map((g, i, groups)=> {
+                    const options = g.skills.map((sk)=> <option key={sk.id} value={sk.id}>{sk.name}{sk.standardCode?` — ${sk.standardCode}`:""}</option>);
+                    return groups.length === 1 && !g.skills[0].domain ? options : <optgroup key={g.domain} label={g.domain}>{options}</optgroup>;
+                  })}
                 </select>
                 <button onClick={addSkill} className="inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs hover:bg-slate-50"><Plus className="h-3 w-3"/>Add</button>
                 <button onClick={renameSkill} className="inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs hover:bg-slate-50"><Pencil className="h-3 w-3"/>Rename</button>
                 <button onClick={editSkillMeta} className="inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs hover:bg-slate-50"><SlidersHorizontal className="h-3 w-3"/>Meta</button>
                 <button onClick={linkSkillToClasses} className="inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs hover:bg-slate-50"><LinkIcon className="h-3 w-3"/>Link</button>
+                <button onClick={()=>setProgressionsOpen(true)} disabled={!classSkills.length} title="Order skills and set prerequisites" className="inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs hover:bg-slate-50 disabled:opacity-40"><ListOrdered className="h-3 w-3"/>Order</button>
               </div>
 
               {/* Layout modes */}
               <div className="ml-auto flex items-center gap-2">
-                <button onClick={()=>{ setMoveMode(!moveMode); setDragging(null); }} className={`inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs ${moveMode?"bg-blue-50 border-blue-300":"hover:bg-slate-50"}`}>
+                <button onClick={()=>setGroupsOpen(true)} disabled={!selectedSkill} className="inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs hover:bg-slate-50 disabled:opacity-40">
+                  <Boxes className="h-3 w-3"/> Groups
+                </button>
+                <button onClick={()=>setArrangeOpen(true)} className="inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs hover:bg-slate-50">
+                  <Shuffle className="h-3 w-3"/> Arrange seats
+                </button>
+                <button onClick={()=>setNotesSearchOpen(true)} className="inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs hover:bg-slate-50">
+                  <StickyNote className="h-3 w-3"/> Notes
+                </button>
+                <button onClick={toggleBulkMode} disabled={!selectedSkill} aria-pressed={bulkMode} className={`inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs disabled:opacity-40 ${bulkMode?"bg-blue-50 border-blue-300":"hover:bg-slate-50"}`}>
+                  <Lasso className="h-3 w-3"/> {bulkMode?"Select seats: ON":"Select seats"}
+                </button>
+                <button onClick={toggleAttendanceMode} aria-pressed={attendanceMode} className={`inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs ${attendanceMode?"bg-blue-50 border-blue-300":"hover:bg-slate-50"}`}>
+                  <UserCheck className="h-3 w-3"/> {attendanceMode?"Attendance: ON":"Attendance"}
+                </button>
+                <button onClick={()=>{ setMoveMode(!moveMode); setDragging(null); setBulkMode(false); setRoomEdit(false); setAttendanceMode(false); }} title="Move Seats (M)" aria-keyshortcuts="M" aria-pressed={moveMode} className={`inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs ${moveMode?"bg-blue-50 border-blue-300":"hover:bg-slate-50"}`}>
                   <Move3D className="h-3 w-3"/> {moveMode?"Move Seats: ON":"Move Seats"}
                 </button>
                 <button onClick={()=> setLayoutMode(currentClass.layoutMode==='grid'?'free':'grid')} className="inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs hover:bg-slate-50">
@@ -501,98 +970,271 @@ export default function App(){
                 </button>
               </div>
 
-              <Legend />
+              <Legend metas={viewMode==="domain" ? scaleMetas(classScale) : selMetas} />
             </div>
           </div>
 
           {/* Roster & Tools */}
           <div className="rounded-2xl bg-white p-3 shadow-sm border">
-            <EditorPanel state={state} setState={setState} />
+            <EditorPanel state={state} setState={setState} onOpenProfile={openProfile} />
           </div>
         </div>
 
-        {/* Seating Area */}
-        <div className="rounded-3xl bg-white p-4 shadow-sm border">
-          <div className="mb-3 flex items-center justify-between">
-            <div className="flex items-center gap-2">
-              <Badge>Rows: {currentClass.rows}</Badge>
-              <Badge>Cols: {currentClass.cols}</Badge>
-              <Badge>Skill: {selectedSkill?.name ?? "—"}</Badge>
-              {selectedSkill?.standardCode && <Badge>Std: {selectedSkill.standardCode}</Badge>}
-              {selectedSkill?.domain && <Badge>Domain: {selectedSkill.domain}</Badge>}
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
+          {/* Seating Area */}
+          <div className="lg:col-span-3 rounded-3xl bg-white p-4 shadow-sm border">
+            <div className="mb-3 flex items-center justify-between">
+              <div className="flex items-center gap-2">
+                <Badge>Rows: {currentClass.rows}</Badge>
+                <Badge>Cols: {currentClass.cols}</Badge>
+                {currentClass.seats.length !== currentClass.rows * currentClass.cols && <Badge>Desks: {currentClass.seats.length}</Badge>}
+                <Badge>Skill: {selectedSkill?.name ?? "—"}</Badge>
+                {selectedSkill?.standardCode && <Badge>Std: {selectedSkill.standardCode}</Badge>}
+                {selectedSkill?.domain && <Badge>Domain: {selectedSkill.domain}</Badge>}
+                <select value={viewMode} onChange={(e)=>setViewMode(e.target.value)} className="rounded-xl border px-2 py-1 text-xs" title="Seat view">
+                  <option value="skill">View: selected skill</option>
+                  <option value="overlay">View: multi-skill overlay</option>
+                  <option value="domain" disabled={!classDomains.length}>View: domain average</option>
+                </select>
+                {viewMode==="overlay" && (
+                  <details className="relative">
+                    <summary className="cursor-pointer rounded-xl border px-2 py-1 text-xs list-none">Skills ({overlaySkills.length})</summary>
+                    <div className="absolute z-20 mt-1 w-72 max-h-64 overflow-y-auto rounded-xl border bg-white p-2 shadow-lg">
+                      {classSkills.map((sk)=> (
+                        <label key={sk.id} className="flex items-center gap-2 py-0.5 text-xs">
+                          <input type="checkbox" checked={overlayIds.includes(sk.id)} onChange={()=> setOverlayIds(overlayIds.includes(sk.id) ? overlayIds.filter((x)=> x!==sk.id) : [...overlayIds, sk.id])} />
+                          {sk.name}{sk.standardCode?` — ${sk.standardCode}`:""}
+                        </label>
+                      ))}
+                    </div>
+                  </details>
+                )}
+                {viewMode==="domain" && (
+                  <select value={activeDomain} onChange={(e)=>setViewDomain(e.target.value)} className="rounded-xl border px-2 py-1 text-xs">
+                    {classDomains.map((d)=> <option key={d} value={d}>{d}</option>)}
+                  </select>
+                )}
+              </div>
+              {currentClass.layoutMode === 'grid' ? (
+                <ResizeLayout rows={rows} cols={cols} setRows={setRows} setCols={setCols} apply={applySize} />
+              ) : (
+                <button onClick={()=>{ setRoomEdit(!roomEdit); setSelection([]); setBulkMode(false); setAttendanceMode(false); }} className={`inline-flex items-center gap-1 rounded-xl border px-3 py-1 text-sm ${roomEdit ? "bg-blue-50 border-blue-300" : "hover:bg-slate-50"}`}>
+                  <LayoutTemplate className="h-4 w-4"/> {roomEdit ? "Done editing room" : "Edit room"}
+                </button>
+              )}
             </div>
-            <ResizeLayout rows={rows} cols={cols} setRows={setRows} setCols={setCols} apply={applySize} />
-          </div>
-
-          {currentClass.layoutMode === 'grid' ? (
-            <div className="grid gap-3" style={{ gridTemplateColumns: `repeat(${currentClass.cols}, minmax(0, 1fr))` }}>
-              {Array.from({ length: currentClass.rows * currentClass.cols }, (_, idx) => {
-                const r = Math.floor(idx / currentClass.cols);
-                const c = idx % currentClass.cols;
-                const seat = currentClass.seats.find((s) => s.r === r && s.c === c) || { r, c, studentId: null };
-                const lv = getLevel(seat.studentId);
-                const meta = levelMeta[lv];
-                const name = studentName(seat.studentId);
-                const selected = moveMode && moveSource && moveSource.r===r && moveSource.c===c;
-                return (
-                  <button
-                    key={`${r}-${c}`}
-                    className={`relative rounded-2xl p-3 h-20 ring-2 ${meta.ring} ${meta.bg} transition focus:outline-none hover:brightness-95 ${selected?"outline outline-2 outline-blue-400": ""}`}
-                    onClick={()=> onSeatClickGrid(seat)}
-                    onDoubleClick={()=> openAssignModal({ r, c })}
-                    onContextMenu={(e)=>{ e.preventDefault(); openAssignModal({ r, c }); }}
-                    title={seat.studentId ? (moveMode?"Move or swap this seat":"Tap to cycle level") : (moveMode?"Move" : "Assign student")}
-                  >
-                    <div className="text-xs text-gray-500 absolute top-1 right-2">{r+1},{c+1}</div>
-                    <div className={`text-sm font-semibold ${meta.text} line-clamp-2 pr-6`}>{name || "(empty)"}</div>
-                    <div className="absolute bottom-2 right-2 text-[10px] text-gray-500">{meta.name}</div>
-                  </button>
-                );
-              })}
+            {roomEdit && currentClass.layoutMode === 'free' && (
+              <RoomToolbar cls={currentClass} setState={setState} selection={selection} setSelection={setSelection} snapMode={snapMode} setSnapMode={setSnapMode} />
+            )}
+
+            {attendanceMode && (
+              <AttendanceBar cls={currentClass} day={shownDay} today={today} setDay={(d)=> setAttendanceDay(d && d !== today ? d : null)}
+                counts={attendanceCounts(currentClass, shownDay, activeStudents(currentClass).map((s)=> s.id))}
+                onAllPresent={()=> setState((p)=> updateSelectedClass(p, (cls)=> {
+                  const { [shownDay]: _, ...days } = cls.attendance || {};
+                  return { ...cls, attendance: days };
+                }))} />
+            )}
+            {bulkMode && (
+              <BulkMarkBar cls={currentClass} skill={selectedSkill} metas={selMetas} canMark={canMark} studentIds={bulkStudentIds} selectedCount={bulkSel.length} absent={absentToday}
+                setState={setState} onAnnounce={setAnnouncement}
+                onSelectAll={()=> setBulkSel(currentClass.seats.filter((s)=> s.studentId).map(deskKey))} onClear={()=> setBulkSel([])} />
+            )}
+            <div ref={chartRef} className={`relative ${bulkMode ? "touch-none select-none" : ""}`} onPointerDown={onChartPointerDown} onPointerMove={onChartPointerMove} onPointerUp={onChartPointerUp}>
+            {currentClass.layoutMode === 'grid' ? (
+              <div role="group" aria-label={`Seating chart for ${currentClass.name}`} className="grid gap-3" style={{ gridTemplateColumns: `repeat(${currentClass.cols}, minmax(0, 1fr))` }}>
+                {Array.from({ length: currentClass.rows * currentClass.cols }, (_, idx) => {
+                  const r = Math.floor(idx / currentClass.cols);
+                  const c = idx % currentClass.cols;
+                  const seat = currentClass.seats.find((s) => s.r === r && s.c === c);
+                  if (!seat) return (
+                    <button key={`${r}-${c}`} onClick={()=> addDeskAt(r, c)} className="h-20 rounded-2xl border-2 border-dashed border-slate-200 text-xs text-gray-400 hover:bg-slate-50" title="No desk here — click to add one">No desk</button>
+                  );
+                  const face = seatFace(seat.studentId);
+                  const meta = face.meta;
+                  const name = studentName(seat.studentId);
+                  const selected = (moveMode && moveSource && moveSource.r===r && moveSource.c===c) || (bulkMode && bulkSel.includes(deskKey(seat)));
+                  return (
+                    <button
+                      key={`${r}-${c}`}
+                      data-seat={deskKey(seat)}
+                      tabIndex={deskKey(seat)===tabSeat ? 0 : -1}
+                      aria-label={seatAriaLabel(seat)}
+                      onFocus={()=> setFocusSeat(deskKey(seat))}
+                      onKeyDown={(e)=> onSeatKeyDown(e, seat)}
+                      className={`relative rounded-2xl p-3 h-20 ring-2 ${meta.ring} ${meta.bg} transition focus:outline-none focus-visible:ring-4 focus-visible:ring-blue-500 hover:brightness-95 ${selected?"outline outline-2 outline-blue-400": seatEmphasis(seat.studentId)}`}
+                      aria-pressed={bulkMode ? bulkSel.includes(deskKey(seat)) : undefined}
+                      style={{ WebkitTouchCallout: "none" }}
+                      onPointerDown={(e)=> startLongPress(e, seat)}
+                      onPointerMove={onPressMove}
+                      onPointerUp={cancelLongPress}
+                      onPointerLeave={cancelLongPress}
+                      onClick={()=> onSeatClickGrid(seat)}
+                      onDoubleClick={()=> openAssignModal({ r, c })}
+                      onContextMenu={(e)=> onSeatContextMenu(e, seat)}
+                      title={seat.studentId ? (attendanceMode?"Tap: present → absent → tardy":moveMode?"Move or swap this seat":canMark?"Tap to cycle level":"Overview mode — switch the view to a single skill to mark") : (moveMode?"Move" : "Assign student")}
+                    >
+                      <AttendanceBadge status={attendanceOf(seat.studentId)} />
+                      {recentNotes.has(seat.studentId) && <RecentNoteMark />}
+                      <div className="text-xs text-gray-500 absolute top-1 right-2">{r+1},{c+1}</div>
+                      <div className={`text-sm font-semibold ${meta.text} line-clamp-2 pr-6`}>{name || "(empty)"}</div>
+                      {face.strip && seat.studentId && <LevelStrip items={face.strip} />}
+                      <div className="absolute bottom-2 right-2 text-[10px] text-gray-500">{face.label}</div>
+                    </button>
+                  );
+                })}
+              </div>
+            ) : (
+              <div
+                ref={boardRef}
+                role="group"
+                aria-label={`Seating chart for ${currentClass.name}`}
+                onPointerDown={onPointerDownBoard}
+                onPointerMove={onPointerMoveBoard}
+                onPointerUp={onPointerUpBoard}
+                onPointerCancel={onPointerCancelBoard}
+                onLostPointerCapture={onPointerCancelBoard}
+                className={`relative w-full border rounded-2xl touch-none ${roomEdit ? "bg-slate-50" : ""}`}
+                style={{ height: 420, ...(roomEdit && snapMode === "grid" ? SNAP_GRID_BACKGROUND : {}) }}
+              >
+                {(currentClass.fixtures || []).map((f) => {
+                  const selected = roomEdit && selection.includes(fixtureItem(f));
+                  return (
+                    <div
+                      key={f.id}
+                      onPointerDown={(e)=> onPointerDownItem(e, fixtureItem(f))}
+                      className={`absolute -translate-x-1/2 -translate-y-1/2 flex items-center justify-center overflow-hidden rounded-md border border-slate-400 bg-slate-200 text-[10px] text-slate-600 ${roomEdit ? "cursor-move" : "pointer-events-none"} ${selected ? "outline outline-2 outline-blue-500" : ""}`}
+                      style={{ left: `${f.x*100}%`, top: `${f.y*100}%`, width: `${f.w*100}%`, height: `${f.h*100}%` }}
+                    >
+                      {FIXTURE_KINDS.find((k)=> k.id===f.kind)?.label}
+                    </div>
+                  );
+                })}
+                {currentClass.seats.map((s) => {
+                  const { x, y } = deskXY(currentClass, s);
+                  const face = seatFace(s.studentId);
+                  const meta = face.meta;
+                  const name = studentName(s.studentId);
+                  const selected = (roomEdit && selection.includes(deskItem(s))) || (bulkMode && bulkSel.includes(deskKey(s)));
+                  return (
+                    <button
+                      key={`${s.r}-${s.c}`}
+                      data-seat={deskKey(s)}
+                      tabIndex={deskKey(s)===tabSeat ? 0 : -1}
+                      aria-label={seatAriaLabel(s)}
+                      onFocus={()=> setFocusSeat(deskKey(s))}
+                      onKeyDown={(e)=> onSeatKeyDown(e, s)}
+                      className={`absolute -translate-x-1/2 -translate-y-1/2 rounded-2xl p-3 h-20 w-36 ring-2 ${meta.ring} ${meta.bg} transition focus:outline-none focus-visible:ring-4 focus-visible:ring-blue-500 hover:brightness-95 ${selected ? "outline outline-2 outline-blue-500" : seatEmphasis(s.studentId)}`}
+                      aria-pressed={bulkMode ? bulkSel.includes(deskKey(s)) : undefined}
+                      style={{ left: `${x*100}%`, top: `${y*100}%`, WebkitTouchCallout: "none" }}
+                      onPointerDown={(e)=> { startLongPress(e, s); onPointerDownItem(e, deskItem(s)); }}
+                      onPointerUp={cancelLongPress}
+                      onDoubleClick={()=> openAssignModal({ r: s.r, c: s.c })}
+                      onContextMenu={(e)=> onSeatContextMenu(e, s)}
+                      onClick={()=> {
+                        if (consumeLongPress() || dragMoved.current || roomEdit || bulkMode || !s.studentId) return;
+                        if (attendanceMode) cycleAttendance(s.studentId);
+                        else if (canMark) cycleSeatLevel(s.studentId);
+                      }}
+                      title={roomEdit ? "Click to select (Shift adds); drag to move the selection" : s.studentId && attendanceMode ? "Tap: present → absent → tardy" : s.studentId ? (canMark ? "Drag to move; tap to cycle level" : "Drag to move (overview mode)") : "Drag to place; double-tap to assign"}
+                    >
+                      <AttendanceBadge status={attendanceOf(s.studentId)} />
+                      {recentNotes.has(s.studentId) && <RecentNoteMark />}
+                      <div className="text-xs text-gray-500 absolute top-1 right-2">{s.r+1},{s.c+1}</div>
+                      <div className={`text-sm font-semibold ${meta.text} line-clamp-2 pr-6`}>{name || "(empty)"}</div>
+                      {face.strip && s.studentId && <LevelStrip items={face.strip} />}
+                      <div className="absolute bottom-2 right-2 text-[10px] text-gray-500">{face.label}</div>
+                    </button>
+                  );
+                })}
+                {guides.map((g)=> (
+                  <div key={g.axis} className="pointer-events-none absolute bg-blue-400" style={g.axis === "x" ? { left: `${g.at*100}%`, top: 0, bottom: 0, width: 1 } : { top: `${g.at*100}%`, left: 0, right: 0, height: 1 }} />
+                ))}
+                {marquee && (
+                  <div className="pointer-events-none absolute border border-blue-400 bg-blue-100/30" style={{
+                    left: `${Math.min(marquee.a.x, marquee.b.x)*100}%`, top: `${Math.min(marquee.a.y, marquee.b.y)*100}%`,
+                    width: `${Math.abs(marquee.a.x - marquee.b.x)*100}%`, height: `${Math.abs(marquee.a.y - marquee.b.y)*100}%`,
+                  }} />
+                )}
+              </div>
+            )}
+            {lasso && (
+              <div className="pointer-events-none absolute border border-blue-400 bg-blue-100/30" style={{
+                left: Math.min(lasso.x0, lasso.x1), top: Math.min(lasso.y0, lasso.y1), width: Math.abs(lasso.x1 - lasso.x0), height: Math.abs(lasso.y1 - lasso.y0),
+              }} />
+            )}
             </div>
-          ) : (
-            <div
-              ref={boardRef}
-              onPointerMove={onPointerMoveBoard}
-              onPointerUp={onPointerUpBoard}
-              className="relative w-full border rounded-2xl"
-              style={{ height: 420 }}
-            >
-              {currentClass.seats.map((s) => {
-                const x = (typeof s.x === 'number') ? s.x : (s.c + 0.5) / currentClass.cols;
-                const y = (typeof s.y === 'number') ? s.y : (s.r + 0.5) / currentClass.rows;
-                const lv = getLevel(s.studentId);
-                const meta = levelMeta[lv];
-                const name = studentName(s.studentId);
-                return (
-                  <button
-                    key={`${s.r}-${s.c}`}
-                    className={`absolute -translate-x-1/2 -translate-y-1/2 rounded-2xl p-3 h-20 w-36 ring-2 ${meta.ring} ${meta.bg} transition focus:outline-none hover:brightness-95`}
-                    style={{ left: `${x*100}%`, top: `${y*100}%` }}
-                    onPointerDown={(e)=> onPointerDownSeat(e, s)}
-                    onDoubleClick={()=> openAssignModal({ r: s.r, c: s.c })}
-                    onContextMenu={(e)=>{ e.preventDefault(); openAssignModal({ r: s.r, c: s.c }); }}
-                    onClick={()=> { if (!dragging && s.studentId) cycleSeatLevel(s.studentId); }}
-                    title={s.studentId ? "Drag to move; tap to cycle level" : "Drag to place; double-tap to assign"}
-                  >
-                    <div className="text-xs text-gray-500 absolute top-1 right-2">{s.r+1},{s.c+1}</div>
-                    <div className={`text-sm font-semibold ${meta.text} line-clamp-2 pr-6`}>{name || "(empty)"}</div>
-                    <div className="absolute bottom-2 right-2 text-[10px] text-gray-500">{meta.name}</div>
-                  </button>
-                );
-              })}
+            <div className="mt-2 text-xs text-gray-500">
+              Keyboard: Tab into the chart, arrows move between seats, 0–{selectedSkill ? scaleOf(selectedSkill).levels.length : 4} set the level, A assigns a student, N adds a note, [ ] switch skill, M toggles Move Seats. Long-press a seat to pick a level; right-click for notes.
             </div>
+            <div aria-live="polite" className="sr-only">{announcement}</div>
+          </div>
+          {picker && (
+            <LevelPicker x={picker.x} y={picker.y} metas={selMetas} current={getLevel(picker.studentId)} title={`${studentName(picker.studentId)} — ${selectedSkill?.name ?? ""}`}
+              onPick={(lv)=>{ setSeatLevel(picker.studentId, lv); setAnnouncement(`${studentName(picker.studentId)}: ${metaFor(selMetas, lv).name}`); setPicker(null); }}
+              onNote={()=>{ setNotesFor(picker.studentId); setPicker(null); }}
+              onClose={()=> setPicker(null)} />
+          )}
+          {seatMenu && (
+            <SeatMenu x={seatMenu.x} y={seatMenu.y} title={studentName(seatMenu.seat.studentId)} onClose={()=> setSeatMenu(null)} items={[
+              { label: "Add note…", run: ()=> setNotesFor(seatMenu.seat.studentId) },
+              { label: "Assign student…", run: ()=> openAssignModal({ r: seatMenu.seat.r, c: seatMenu.seat.c }) },
+              { label: "Profile", run: ()=> openProfile(seatMenu.seat.studentId) },
+            ]} />
           )}
+
+          <div className="space-y-4">
+            {/* Mastery Dashboard */}
+            <div className="rounded-3xl bg-white p-4 shadow-sm border">
+              <MasteryPanel
+                cls={currentClass}
+                skill={selectedSkill}
+                skillCount={dashSkills.length}
+                scope={dashScope}
+                setScope={(v)=>{ setDashScope(v); setHighlightLevel(null); }}
+                stats={mastery}
+                metas={scaleMetas(dashScale)}
+                highlightLevel={highlightLevel}
+                setHighlightLevel={setHighlightLevel}
+              />
+            </div>
+            {readyNext.length > 0 && (
+              <div className="rounded-3xl bg-white p-4 shadow-sm border">
+                <ReadyForNextPanel items={readyNext} studentName={studentName} selectedSkillId={selectedSkill?.id} onPickSkill={setSkill} />
+              </div>
+            )}
+          </div>
         </div>
       </div>
 
+      {syncOpen && <SyncModal state={state} sync={sync} onClose={()=>setSyncOpen(false)} />}
+      {snapshotsOpen && <SnapshotsModal onRestore={restoreSnapshot} onClose={()=>setSnapshotsOpen(false)} />}
+      {pendingImport && <ImportReviewModal {...pendingImport} current={state} onConfirm={(next)=>{ setState(next); setPendingImport(null); }} onClose={()=>setPendingImport(null)} />}
+      {loadNotice && <MigrationReportModal {...loadNotice} onClose={()=>setLoadNotice(null)} />}
+      {csvOpen && <GradebookExportModal state={state} onClose={()=>setCsvOpen(false)} />}
+
+      {groupsOpen && selectedSkill && <GroupsModal cls={currentClass} skill={selectedSkill} scale={scaleOf(selectedSkill)} setState={setState} onClose={()=>setGroupsOpen(false)} />}
+      {skillEditor && <SkillEditorModal skill={skillEditor.skill} grade={currentClass.gradeLevel} scales={state.scales} classScale={classScale} onSave={saveSkill} onClose={()=>setSkillEditor(null)} />}
+      {progressionsOpen && <SkillProgressionsModal state={state} classSkills={classSkills} setState={setState} onClose={()=>setProgressionsOpen(false)} />}
+      {classToolsOpen && <ClassToolsModal state={state} setState={setState} onClose={()=>setClassToolsOpen(false)} />}
+      {scalesOpen && <ScaleEditorModal scales={state.scales} onSave={saveScaleEdit} onDelete={deleteScale} onClose={()=>setScalesOpen(false)} />}
+      {printOpen && <PrintView cls={currentClass} skill={selectedSkill} getLevel={getLevel} metas={selMetas} onClose={()=>setPrintOpen(false)} />}
+      {arrangeOpen && <ArrangeSeatsModal cls={currentClass} skills={classSkills} scaleOf={scaleOf} setState={setState} onClose={()=>setArrangeOpen(false)} />}
+      {notesFor && <StudentNotesModal state={state} cls={currentClass} studentId={notesFor} defaultSkillId={selectedSkill?.id ?? ""} setState={setState} onClose={()=>setNotesFor(null)} />}
+      {notesSearchOpen && <NotesSearchModal state={state} cls={currentClass} onOpenStudent={(id)=>{ setNotesSearchOpen(false); setNotesFor(id); }} onClose={()=>setNotesSearchOpen(false)} />}
+      {profileFor && <StudentProfile state={state} setState={setState} classId={profileFor.classId} studentId={profileFor.studentId} onReport={()=>setReportFor(profileFor)} onClose={()=>setProfileFor(null)} />}
+      {reportFor && <ReportModal state={state} classId={reportFor.classId} studentId={reportFor.studentId} onClose={()=>setReportFor(null)} />}
+
       {/* Assign Seat Modal */}
       {assignOpen && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
           <div className="w-full max-w-lg rounded-2xl bg-white p-4 shadow-xl">
             <div className="flex items-center justify-between mb-2">
               <h4 className="font-semibold">Assign seat ({assignPos.r+1},{assignPos.c+1})</h4>
-              <button className="text-sm text-gray-500" onClick={()=>setAssignOpen(false)}>Close</button>
+              <div className="flex items-center gap-3">
+                {assignPosStudent && <button className="text-sm text-blue-600 hover:underline" onClick={()=>openProfile(assignPosStudent)}>Profile of {studentName(assignPosStudent)}</button>}
+                <button className="text-sm text-gray-500" onClick={()=>setAssignOpen(false)}>Close</button>
+              </div>
             </div>
             <input value={filter} onChange={(e)=>setFilter(e.target.value)} placeholder="Search student" className="w-full rounded-xl border px-3 py-2 text-sm" />
             <div className="mt-3 max-h-64 overflow-y-auto divide-y">
@@ -614,10 +1256,21 @@ export default function App(){
 // ---------- Small UI helpers ----------
 function Badge({ children }){ return <span className="inline-flex items-center rounded-full px-2.5 py-0.5 text-xs font-medium bg-gray-100">{children}</span>; }
 
-function Legend(){
+/** One small bar per skill, colored by level (multi-skill overlay) */
+function LevelStrip({ items }){
+  return (
+    <div className="absolute bottom-2 left-3 flex gap-0.5">
+      {items.map(({ skill, meta })=> (
+        <span key={skill.id} className={`h-2 w-3 rounded-sm ${meta.dot}`} title={`${skill.standardCode || skill.name}: ${meta.name}`}></span>
+      ))}
+    </div>
+  );
+}
+
+function Legend({ metas }){
   return (
     <div className="flex items-center gap-2 ml-auto">
-      {Object.entries(levelMeta).map(([k,m])=> (
+      {metas.map((m, k)=> (
         <div key={k} className="flex items-center gap-1">
           <span className={`h-3 w-3 inline-block rounded ${m.bg} ring-1 ${m.ring}`}></span>
           <span className="text-xs text-gray-600">{m.name}</span>
@@ -627,6 +1280,215 @@ function Legend(){
   );
 }
 
+/** Corner tag on a seat for absent and tardy students */
+function AttendanceBadge({ status }){
+  if (status === "present") return null;
+  const style = status === "absent" ? "bg-red-100 text-red-700 ring-red-300" : "bg-amber-100 text-amber-800 ring-amber-300";
+  return <span className={`absolute -top-2 left-2 rounded-full px-1.5 text-[10px] font-medium capitalize ring-1 ${style}`}>{status}</span>;
+}
+
+/** Corner mark on a seat whose student has a note from the last few days */
+function RecentNoteMark(){
+  return <span className="absolute -top-2 right-10 rounded-full bg-yellow-100 p-0.5 ring-1 ring-yellow-300" title="Recent notes"><StickyNote className="h-3 w-3 text-yellow-700"/></span>;
+}
+
+/** Small menu at the pointer (right-click on a seat); Escape or a click outside closes it */
+function SeatMenu({ x, y, title, items, onClose }){
+  const left = Math.min(x, window.innerWidth - 200), top = Math.min(y, window.innerHeight - 40 * (items.length + 1));
+  return (
+    <div className="fixed inset-0 z-50" onPointerDown={(e)=>{ if (e.target === e.currentTarget) onClose(); }} onContextMenu={(e)=>{ e.preventDefault(); onClose(); }}
+      onKeyDown={(e)=>{ if (e.key === "Escape") { e.preventDefault(); onClose(); } }}>
+      <div role="menu" aria-label={title} className="absolute w-48 rounded-xl border bg-white py-1 text-sm shadow-xl" style={{ left, top }}>
+        <div className="px-3 py-1 text-xs font-medium text-gray-500 truncate">{title}</div>
+        {items.map((it, i)=> (
+          <button key={it.label} role="menuitem" autoFocus={i === 0} onClick={()=>{ onClose(); it.run(); }} className="block w-full px-3 py-1.5 text-left hover:bg-slate-50 focus:bg-slate-100 focus:outline-none">{it.label}</button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/** Attendance mode: which day is being taken, the tally and a reset to everyone present */
+function AttendanceBar({ cls, day, today, setDay, counts, onAllPresent }){
+  const marked = Object.keys(cls.attendance?.[day] || {}).length;
+  return (
+    <div className="mb-3 flex flex-wrap items-center gap-2 rounded-2xl border bg-slate-50 p-2 text-xs">
+      <label className="inline-flex items-center gap-1">
+        Day <input type="date" value={day} max={today} onChange={(e)=> setDay(e.target.value)} className="rounded-xl border px-2 py-1" />
+      </label>
+      {day !== today && <button onClick={()=> setDay(null)} className="rounded-xl border bg-white px-2 py-1 hover:bg-slate-50">Back to today</button>}
+      <span className="tabular-nums">Present {counts.present} · Absent {counts.absent} · Tardy {counts.tardy}</span>
+      <button onClick={()=> { if (confirm(`Mark everyone present on ${day}? (Undo is available.)`)) onAllPresent(); }} disabled={!marked} className="rounded-xl border bg-white px-2 py-1 hover:bg-slate-50 disabled:opacity-40">Everyone present</button>
+      <span className="w-full text-gray-500">Tap a seat (or press Space on it) to cycle present → absent → tardy. Students absent today are skipped when marking and left out of the Mastery counts.</span>
+    </div>
+  );
+}
+
+/**
+ * Radial level picker opened by a long press on a seat, with a note button in the middle. Sits where the finger
+ * was (kept inside the window); digits pick a level too, Escape or a tap outside closes it.
+ */
+function LevelPicker({ x, y, metas, current, title, onPick, onNote, onClose }){
+  const R = 64, SIZE = 44;
+  const cx = Math.max(R + SIZE, Math.min(window.innerWidth - R - SIZE, x));
+  const cy = Math.max(R + SIZE, Math.min(window.innerHeight - R - SIZE, y));
+  const onKeyDown = (e) => {
+    if (e.key === "Escape") { e.preventDefault(); onClose(); }
+    else if (/^[0-9]$/.test(e.key) && Number(e.key) < metas.length) { e.preventDefault(); onPick(Number(e.key)); }
+  };
+  return (
+    <div className="fixed inset-0 z-50" onPointerDown={(e)=>{ if (e.target === e.currentTarget) onClose(); }} onContextMenu={(e)=> e.preventDefault()} onKeyDown={onKeyDown}>
+      <div role="dialog" aria-label={`Set level: ${title}`} className="absolute" style={{ left: cx, top: cy }}>
+        <div className="absolute -translate-x-1/2 -translate-y-1/2 whitespace-nowrap rounded-xl bg-white/90 px-2 py-1 text-xs font-medium shadow" style={{ top: -R - SIZE }}>{title}</div>
+        <button onClick={onNote} title="Add a note" className="absolute flex -translate-x-1/2 -translate-y-1/2 items-center justify-center rounded-full bg-white text-gray-700 shadow-lg ring-1 ring-gray-300 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500" style={{ left: 0, top: 0, width: SIZE, height: SIZE }}>
+          <StickyNote className="h-4 w-4"/><span className="sr-only">Add a note</span>
+        </button>
+        {metas.map((m, lv)=> {
+          const angle = (lv / metas.length) * 2 * Math.PI - Math.PI / 2;
+          return (
+            <button key={lv} onClick={()=> onPick(lv)} autoFocus={lv === current} aria-pressed={lv === current} title={`${lv} — ${m.name}`}
+              className={`absolute flex -translate-x-1/2 -translate-y-1/2 items-center justify-center rounded-full text-xs font-semibold shadow-lg focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${m.bg} ${m.text} ${lv === current ? "ring-2 ring-offset-2 ring-gray-700" : `ring-1 ${m.ring}`}`}
+              style={{ left: Math.cos(angle) * R, top: Math.sin(angle) * R, width: SIZE, height: SIZE }}>
+              {lv === 0 ? "N/A" : lv}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Level changes for many students at once: the selected seats, or every active student in the class when no
+ * seat is selected. Students absent today are skipped. Each action is one undo step.
+ */
+function BulkMarkBar({ cls, skill, metas, canMark, studentIds, selectedCount, absent, setState, onAnnounce, onSelectAll, onClear }){
+  const [level, setLevel] = useState(1);
+  const [fill, setFill] = useState(1);
+  const [from, setFrom] = useState(1);
+  const [to, setTo] = useState(Math.min(2, metas.length - 1));
+  const [status, setStatus] = useState("");
+  const picked = selectedCount ? studentIds : activeStudents(cls).map((s)=> s.id);
+  const scope = picked.filter((id)=> !absent.has(id));
+  const skipped = picked.length - scope.length;
+  const scopeLabel = `${selectedCount ? `${scope.length} selected student${scope.length===1?"":"s"}` : `everyone in ${cls.name}`}${skipped ? ` (${skipped} absent skipped)` : ""}`;
+  const levelName = (lv) => (lv === 0 ? "unmarked" : metaFor(metas, lv).name);
+
+  const apply = (target, onlyFrom, what) => {
+    if (!skill || !canMark) return;
+    const changed = bulkMark(cls, skill.id, scope, target, onlyFrom).changed;
+    if (!changed) { setStatus(`No one to change: ${what}.`); return; }
+    if (!confirm(`${what} for ${changed} student${changed===1?"":"s"} (${skill.name})? (Undo is available.)`)) return;
+    setState((p)=> updateClass(p, cls.id, (c)=> bulkMark(c, skill.id, scope, target, onlyFrom).cls));
+    const msg = `${what}: ${changed} student${changed===1?"":"s"} changed.`;
+    setStatus(msg); onAnnounce(msg);
+  };
+  const levelSelect = (value, onChange, label, withUnmarked) => (
+    <select value={value} onChange={(e)=> onChange(Number(e.target.value))} aria-label={label} className="rounded-xl border px-2 py-1">
+      {metas.map((m, lv)=> (lv === 0 && !withUnmarked ? null : <option key={lv} value={lv}>{lv === 0 ? "Unmarked" : `${lv} — ${m.name}`}</option>))}
+    </select>
+  );
+
+  if (!skill || !canMark) return <div className="mb-3 rounded-2xl border bg-slate-50 p-2 text-xs text-gray-600">Pick a skill (Skill view) to mark students in bulk.</div>;
+  return (
+    <div className="mb-3 flex flex-wrap items-center gap-2 rounded-2xl border bg-slate-50 p-2 text-xs">
+      <span className="font-medium">Applies to {scopeLabel}</span>
+      <button onClick={onSelectAll} className="rounded-xl border bg-white px-2 py-1 hover:bg-slate-50">Select all seated</button>
+      <button onClick={onClear} disabled={!selectedCount} className="rounded-xl border bg-white px-2 py-1 hover:bg-slate-50 disabled:opacity-40">Clear selection</button>
+      <span className="inline-flex items-center gap-1">
+        Set all to {levelSelect(level, setLevel, "Level for everyone in scope", true)}
+        <button onClick={()=> apply(level, null, `Set to ${levelName(level)}`)} className="rounded-xl border border-blue-300 bg-blue-50 px-2 py-1 hover:bg-blue-100">Apply</button>
+      </span>
+      <span className="inline-flex items-center gap-1">
+        Unmarked →{levelSelect(fill, setFill, "Level for unmarked students", false)}
+        <button onClick={()=> apply(fill, 0, `Mark unmarked as ${levelName(fill)}`)} className="rounded-xl border border-blue-300 bg-blue-50 px-2 py-1 hover:bg-blue-100">Apply</button>
+      </span>
+      <span className="inline-flex items-center gap-1">
+        Everyone at {levelSelect(from, setFrom, "Current level", false)} →{levelSelect(to, setTo, "New level", true)}
+        <button onClick={()=> apply(to, from, `${levelName(from)} → ${levelName(to)}`)} disabled={from === to} className="rounded-xl border border-blue-300 bg-blue-50 px-2 py-1 hover:bg-blue-100 disabled:opacity-40">Apply</button>
+      </span>
+      <span className="w-full text-gray-500">Tap seats to select them or drag across the chart to lasso several (Shift adds to the selection). {status}</span>
+    </div>
+  );
+}
+
+/** Faint lines every SNAP_STEP so grid snapping is visible */
+const SNAP_GRID_BACKGROUND = {
+  backgroundImage: "linear-gradient(to right, rgba(148,163,184,0.3) 1px, transparent 1px), linear-gradient(to bottom, rgba(148,163,184,0.3) 1px, transparent 1px)",
+  backgroundSize: `${SNAP_STEP * 100}% ${SNAP_STEP * 100}%`,
+};
+
+/** Room editor actions for the free layout; geometry lives in room.js */
+function RoomToolbar({ cls, setState, selection, setSelection, snapMode, setSnapMode }){
+  const [fixtureKind, setFixtureKind] = useState(FIXTURE_KINDS[0].id);
+  const [template, setTemplate] = useState(ROOM_TEMPLATES[0].id);
+  const [deskCount, setDeskCount] = useState(cls.seats.length);
+  useEffect(()=>{ setDeskCount(cls.seats.length); }, [cls.id, cls.seats.length]);
+  const edit = (next) => setState((p)=> updateClass(p, cls.id, ()=> next));
+  const selectedDesks = cls.seats.filter((s)=> selection.includes(deskItem(s)));
+  const selectedFixtures = (cls.fixtures || []).filter((f)=> selection.includes(fixtureItem(f)));
+
+  const addDesk = () => {
+    const res = addDesks(cls, [{ x: 0.5, y: 0.5 }]);
+    if (!res) { alert("The class grid is full; remove a desk first."); return; }
+    edit(res.cls); setSelection(res.keys);
+  };
+  const addRoomFixture = () => { const res = addFixture(cls, fixtureKind); edit(res.cls); setSelection(res.key ? [res.key] : []); };
+  const removeSelected = () => {
+    const seated = selectedDesks.filter((s)=> s.studentId).length;
+    if (seated && !confirm(`Remove ${selectedDesks.length} desk${selectedDesks.length===1?"":"s"}? ${seated} student${seated===1?"":"s"} will have no seat. (Undo is available.)`)) return;
+    edit(removeItems(cls, selection)); setSelection([]);
+  };
+  const runTemplate = () => {
+    const label = ROOM_TEMPLATES.find((t)=> t.id===template).label;
+    if (!confirm(`Arrange ${deskCount} desks as "${label}"? Students keep their desks. (Undo is available.)`)) return;
+    const res = applyTemplate(cls, template, deskCount);
+    if (res.error) { alert(res.error); return; }
+    edit(res.cls); setSelection([]);
+  };
+
+  return (
+    <div className="mb-3 flex flex-wrap items-center gap-2 rounded-2xl border bg-slate-50 p-2 text-xs">
+      <button onClick={addDesk} className="inline-flex items-center gap-1 rounded-xl border bg-white px-2 py-1 hover:bg-slate-50"><Plus className="h-3 w-3"/>Desk</button>
+      <span className="inline-flex items-center gap-1">
+        <select value={fixtureKind} onChange={(e)=>setFixtureKind(e.target.value)} className="rounded-xl border px-2 py-1">
+          {FIXTURE_KINDS.map((k)=> <option key={k.id} value={k.id}>{k.label}</option>)}
+        </select>
+        <button onClick={addRoomFixture} className="inline-flex items-center gap-1 rounded-xl border bg-white px-2 py-1 hover:bg-slate-50"><Plus className="h-3 w-3"/>Fixture</button>
+      </span>
+      <button onClick={()=>setSelection(roomItems(cls).map((it)=> it.key))} className="rounded-xl border bg-white px-2 py-1 hover:bg-slate-50">Select all</button>
+      <button onClick={removeSelected} disabled={!selection.length} className="rounded-xl border border-red-200 bg-white px-2 py-1 text-red-700 hover:bg-red-50 disabled:opacity-40">Remove selected ({selection.length})</button>
+      <button onClick={()=>edit(rotateFixtures(cls, selection))} disabled={!selectedFixtures.length} className="rounded-xl border bg-white px-2 py-1 hover:bg-slate-50 disabled:opacity-40">Rotate fixture</button>
+      <select value={snapMode} onChange={(e)=>setSnapMode(e.target.value)} className="rounded-xl border px-2 py-1" title="While dragging">
+        <option value="off">Snap: off</option>
+        <option value="grid">Snap: grid</option>
+        <option value="align">Snap: align with desks</option>
+      </select>
+      <span className="ml-auto inline-flex items-center gap-1">
+        <select value={template} onChange={(e)=>setTemplate(e.target.value)} className="rounded-xl border px-2 py-1">
+          {ROOM_TEMPLATES.map((t)=> <option key={t.id} value={t.id}>Template: {t.label}</option>)}
+        </select>
+        <input type="number" min={1} value={deskCount} onChange={(e)=>setDeskCount(Math.max(1, parseInt(e.target.value||"1")))} className="w-16 rounded-xl border px-2 py-1" aria-label="Number of desks" />
+        <button onClick={runTemplate} className="rounded-xl border bg-white px-2 py-1 hover:bg-slate-50">Apply</button>
+      </span>
+      <span className="w-full text-gray-500">Click a desk or fixture to select it, Shift+click or drag across the floor to select several, then drag to move them together.</span>
+    </div>
+  );
+}
+
+/** Keeps what is typed (even an empty field) and saves each valid grade; leaving an invalid field restores the grade */
+function GradeInput({ grade, onCommit }){
+  const [draft, setDraft] = useState(String(grade));
+  useEffect(()=>{ setDraft(String(grade)); }, [grade]);
+  const valid = (v) => /^\d+$/.test(v) && Number(v) >= 1 && Number(v) <= 12;
+  return (
+    <input type="number" min={1} max={12} value={draft}
+      onChange={(e)=>{ setDraft(e.target.value); if (valid(e.target.value)) onCommit(Number(e.target.value)); }}
+      onBlur={()=>{ if (!valid(draft)) setDraft(String(grade)); }}
+      className="w-14 rounded-xl border px-2 py-1 text-xs" />
+  );
+}
+
 function ResizeLayout({ rows, cols, setRows, setCols, apply }){
   return (
     <div className="flex items-center gap-2">
@@ -638,21 +1500,17 @@ function ResizeLayout({ rows, cols, setRows, setCols, apply }){
   );
 }
 
-function EditorPanel({ state, setState }){
+function EditorPanel({ state, setState, onOpenProfile }){
   const cl = state.classes.find((c)=> c.id===state.selectedClassId);
   const [newName, setNewName] = useState("");
+  const [rosterImportOpen, setRosterImportOpen] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const archivedCount = cl.students.length - activeStudents(cl).length;
 
   const addStudent = () => {
     if (!newName.trim()) return;
-    setState((p)=>{
-      const next = { ...p };
-      const idx = next.classes.findIndex((c)=> c.id===p.selectedClassId);
-      if (idx<0) return p;
-      const cls = { ...next.classes[idx] };
-      const stu = { id: uid(), name: newName.trim() };
-      cls.students = [...cls.students, stu];
-      next.classes[idx] = cls; return next;
-    });
+    const stu = { id: uid(), name: newName.trim() };
+    setState((p)=> updateSelectedClass(p, (cls) => ({ ...cls, students: [...cls.students, stu] })));
     setNewName("");
   };
 
@@ -660,25 +1518,7 @@ function EditorPanel({ state, setState }){
     const stSk = state.skills.find((s)=> s.id===state.selectedSkillId);
     if (!stSk) return;
     if (!confirm("Clear marks for current skill?")) return;
-    setState((p)=>{
-      const next = { ...p };
-      const idx = next.classes.findIndex((c)=> c.id===p.selectedClassId);
-      if (idx<0) return p;
-      const cls = { ...next.classes[idx] };
-      cls.marks = { ...cls.marks, [stSk.id]: {} };
-      next.classes[idx] = cls; return next;
-    });
-  };
-
-  const clearAllForStudent = (studentId) => {
-    setState((p)=>{
-      const next = { ...p };
-      const idx = next.classes.findIndex((c)=> c.id===p.selectedClassId);
-      if (idx<0) return p;
-      const cls = { ...next.classes[idx] };
-      for (const key of Object.keys(cls.marks)) { if (cls.marks[key] && studentId in cls.marks[key]) delete cls.marks[key][studentId]; }
-      next.classes[idx] = cls; return next;
-    });
+    setState((p)=> updateSelectedClass(p, (cls) => ({ ...cls, marks: { ...cls.marks, [stSk.id]: {} } })));
   };
 
   return (
@@ -687,46 +1527,1324 @@ function EditorPanel({ state, setState }){
       <div className="flex items-center gap-2 mb-2">
         <input value={newName} onChange={(e)=>setNewName(e.target.value)} placeholder="First Last" className="flex-1 rounded-xl border px-2 py-1 text-sm" />
         <button onClick={addStudent} className="rounded-xl border px-2 py-1 text-sm hover:bg-slate-50">Add</button>
+        <button onClick={()=>setRosterImportOpen(true)} className="rounded-xl border px-2 py-1 text-sm hover:bg-slate-50">Import…</button>
       </div>
       <div className="flex items-center justify-between mb-2 text-sm">
         <span className="text-gray-600">Assign a seat</span>
-        <span className="text-xs text-gray-500">Double-click a seat (or right-click) to assign</span>
+        <span className="text-xs text-gray-500">Double-click a seat (or right-click) to assign or open a profile</span>
       </div>
       <div className="mb-2">
         <button onClick={clearMarks} className="rounded-xl border px-2 py-1 text-sm hover:bg-slate-50">Reset current layer</button>
       </div>
       <div className="mt-3 max-h-60 overflow-y-auto divide-y">
-        {cl.students.map((s)=> (
+        {cl.students.filter((s)=> showArchived || !s.archived).map((s)=> (
           <div key={s.id} className="py-2 flex items-center justify-between">
-            <div className="text-sm">{s.name}</div>
-            <button className="text-xs text-red-600 hover:underline" onClick={()=>clearAllForStudent(s.id)}>Clear all</button>
+            <div className={`text-sm ${s.archived ? "text-gray-400" : ""}`}>{s.name}{s.archived && <span className="text-xs"> • archived</span>}</div>
+            <button className="text-xs text-gray-600 hover:underline" onClick={()=>onOpenProfile(s.id)}>{s.archived ? "Profile / restore" : "Profile / edit"}</button>
           </div>
         ))}
       </div>
+      {archivedCount > 0 && (
+        <label className="mt-1 inline-flex items-center gap-1 text-xs text-gray-600"><input type="checkbox" checked={showArchived} onChange={(e)=>setShowArchived(e.target.checked)} />Show {archivedCount} archived</label>
+      )}
+      {rosterImportOpen && <RosterImportModal cls={cl} setState={setState} onClose={()=>setRosterImportOpen(false)} />}
     </div>
   );
 }
 
-// ---------- Lightweight Runtime Tests (migrateLegacy) ----------
-(function runTests(){
-  // Test 1: handles malformed input gracefully
-  const bad = JSON.stringify({ classes: [{ id: "A", name: 123, rows: "x", cols: null, seats: [{}], students: [{}] }], skills: [{ id: 1, name: 2, standardCode: 3, classIds: "nope" }] });
-  const s1 = migrateLegacy(bad);
-  console.assert(Array.isArray(s1.classes) && s1.classes.length >= 1, "Test1: classes present");
-  console.assert(Array.isArray(s1.skills) && s1.skills.length >= 1, "Test1: skills present");
+/**
+ * This class's skills grouped by domain: move them up or down within their domain and chain prerequisites.
+ * The order is the library order, so it applies to every class the skills are linked to.
+ */
+function SkillProgressionsModal({ state, classSkills, setState, onClose }){
+  const [message, setMessage] = useState("");
+  const name = (id)=> state.skills.find((s)=> s.id===id)?.name ?? "(not in this class)";
+  const move = (id, dir) => setState((p)=> ({ ...p, skills: moveSkill(p.skills, p.skills.filter((s)=> s.classIds.includes(p.selectedClassId)), id, dir) }));
+  const link = (skillId, prereqId) => {
+    const next = addPrereq(state.skills, skillId, prereqId);
+    if (!next) { setMessage(`"${name(prereqId)}" already comes after "${name(skillId)}", so it cannot also be its prerequisite.`); return; }
+    setMessage("");
+    setState((p)=> ({ ...p, skills: addPrereq(p.skills, skillId, prereqId) || p.skills }));
+  };
+  const unlink = (skillId, prereqId) => setState((p)=> ({ ...p, skills: removePrereq(p.skills, skillId, prereqId) }));
 
-  // Test 2: strips NC.7 prefix
-  const raw2 = JSON.stringify({ classes: [{ id: "C1", rows: 1, cols: 1, seats: [{ r:0, c:0, studentId:null }], students: [], marks: {}, skills: [{ id: "k1", name: "Old", standardCode: "NC.7.RP.2" }] }], selectedClassId: "C1" });
-  const s2 = migrateLegacy(raw2);
-  const anyStd = (s2.skills.find((x)=>x.standardCode) || {}).standardCode || "";
-  console.assert(!anyStd.startsWith("NC.7."), "Test2: NC.7 stripped");
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-2xl rounded-2xl bg-white p-4 shadow-xl space-y-3 text-sm">
+        <div className="flex items-center justify-between">
+          <h4 className="font-semibold">Skill order and prerequisites</h4>
+          <button className="text-sm text-gray-500" onClick={onClose}>Close</button>
+        </div>
+        <div className="text-xs text-gray-500">The skill picker follows this order. A prerequisite is a skill students should be Proficient on first; "Ready to assess" lists who has met every prerequisite of a skill they have not been assessed on.</div>
+        {message && <div role="alert" className="rounded-xl border border-amber-300 bg-amber-50 px-3 py-1 text-xs text-amber-800">{message}</div>}
+        <div className="max-h-[65vh] overflow-y-auto space-y-3">
+          {groupByDomain(classSkills).map((g)=> (
+            <div key={g.domain}>
+              <div className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1">{g.domain}</div>
+              <ul className="space-y-1">
+                {g.skills.map((sk, i)=> {
+                  const options = classSkills.filter((o)=> o.id !== sk.id && !(sk.prereqIds || []).includes(o.id) && !wouldCycle(state.skills, sk.id, o.id));
+                  return (
+                    <li key={sk.id} className="flex flex-wrap items-center gap-2 rounded-xl border px-2 py-1">
+                      <span className="inline-flex">
+                        <button onClick={()=> move(sk.id, -1)} disabled={i === 0} aria-label={`Move ${sk.name} up`} className="rounded p-0.5 hover:bg-slate-100 disabled:opacity-30"><ArrowUp className="h-3 w-3"/></button>
+                        <button onClick={()=> move(sk.id, 1)} disabled={i === g.skills.length - 1} aria-label={`Move ${sk.name} down`} className="rounded p-0.5 hover:bg-slate-100 disabled:opacity-30"><ArrowDown className="h-3 w-3"/></button>
+                      </span>
+                      <span className="font-medium">{sk.name}</span>
+                      {sk.standardCode && <span className="text-xs text-gray-500">{sk.standardCode}</span>}
+                      <span className="ml-auto flex flex-wrap items-center gap-1">
+                        {(sk.prereqIds || []).map((pid)=> (
+                          <span key={pid} className="inline-flex items-center gap-1 rounded-full bg-slate-100 px-2 text-xs">
+                            after {name(pid)}
+                            <button onClick={()=> unlink(sk.id, pid)} aria-label={`Remove prerequisite ${name(pid)}`} className="text-gray-500 hover:text-red-600">×</button>
+                          </span>
+                        ))}
+                        <select value="" onChange={(e)=> e.target.value && link(sk.id, e.target.value)} disabled={!options.length} aria-label={`Add a prerequisite to ${sk.name}`} className="rounded-xl border px-2 py-0.5 text-xs">
+                          <option value="">+ prerequisite…</option>
+                          {options.map((o)=> <option key={o.id} value={o.id}>{o.name}</option>)}
+                        </select>
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          ))}
+        </div>
+        <div className="flex justify-end">
+          <button onClick={onClose} className="rounded-xl border px-3 py-1 hover:bg-slate-50">Done</button>
+        </div>
+      </div>
+    </div>
+  );
+}
 
-  // Test 3: legacy per-class skills lifted
-  const raw3 = JSON.stringify({ classes: [{ id: "C2", rows: 1, cols: 1, seats: [{ r:0, c:0, studentId:null }], students: [], marks: {}, skills: [{ name: "X", standardCode: "EE.3" }] }] });
-  const s3 = migrateLegacy(raw3);
-  console.assert(Array.isArray(s3.skills) && s3.skills.length >= 1, "Test3: lifted skills");
+function SkillEditorModal({ skill, grade, scales, classScale, onSave, onClose }){
+  const [name, setName] = useState(skill?.name || "");
+  const [scaleId, setScaleId] = useState(skill?.scaleId || "");
+  const [code, setCode] = useState(skill?.standardCode || "");
+  const [domain, setDomain] = useState(skill?.domain || "");
+  const [suggestOpen, setSuggestOpen] = useState(false);
+  const hasCatalog = CATALOG_GRADES.includes(grade);
+  const normalized = normalizeStandardCode(code);
+  const match = hasCatalog && normalized ? findStandard(grade, normalized) : null;
+  const suggestions = hasCatalog ? searchStandards(grade, code).slice(0, 8) : [];
+  const unknown = hasCatalog && !!normalized && !match && !normalized.includes("*");
+
+  const pick = (std) => {
+    setCode(std.code); setDomain(std.domain); setSuggestOpen(false);
+    if (!name.trim()) setName(std.description);
+  };
+  const onCodeChange = (v) => {
+    setCode(v); setSuggestOpen(true);
+    const d = domainForCode(normalizeStandardCode(v));
+    if (d) setDomain(d);
+  };
+  const save = () => { if (name.trim()) onSave({ name: name.trim(), domain, standardCode: normalized, scaleId }); };
 
-  // Test 4: selectedSkillId points to an existing skill or null (no throw)
-  const s4 = migrateLegacy(JSON.stringify({}));
-  console.assert("selectedSkillId" in s4, "Test4: selectedSkillId exists");
-})();
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-lg rounded-2xl bg-white p-4 shadow-xl space-y-3 text-sm">
+        <div className="flex items-center justify-between">
+          <h4 className="font-semibold">{skill ? "Edit skill" : "New skill"}</h4>
+          <button className="text-sm text-gray-500" onClick={onClose}>Close</button>
+        </div>
+        <label className="block">Name
+          <input value={name} onChange={(e)=>setName(e.target.value)} className="mt-1 w-full rounded-xl border px-3 py-2" placeholder="Distribute with Negative Numbers" />
+        </label>
+        <div className="relative">
+          <label className="block">Standard code <span className="text-xs text-gray-500">(NC.{grade}. is implied)</span>
+            <input value={code} onChange={(e)=>onCodeChange(e.target.value)} onFocus={()=>setSuggestOpen(true)} className="mt-1 w-full rounded-xl border px-3 py-2" placeholder="EE.3 — or search by description" />
+          </label>
+          {suggestOpen && suggestions.length > 0 && !match && (
+            <div className="absolute z-10 mt-1 w-full max-h-56 overflow-y-auto rounded-xl border bg-white shadow-lg">
+              {suggestions.map((std)=> (
+                <button key={std.code} onClick={()=>pick(std)} className="block w-full px-3 py-1.5 text-left hover:bg-slate-50">
+                  <span className="font-medium">{std.code}</span> <span className="text-xs text-gray-600">{std.description}</span>
+                </button>
+              ))}
+            </div>
+          )}
+          {match && <div className="mt-1 text-xs text-gray-600">NC.{grade}.{normalized} — {match.description}</div>}
+          {unknown && <div className="mt-1 text-xs text-amber-700">"{normalized}" is not in the NC grade {grade} math catalog. Check for a typo.</div>}
+          {!hasCatalog && <div className="mt-1 text-xs text-gray-500">No bundled catalog for grade {grade}; codes are saved as typed.</div>}
+        </div>
+        <label className="block">Domain
+          <select value={domain} onChange={(e)=>setDomain(e.target.value)} className="mt-1 w-full rounded-xl border px-3 py-2">
+            <option value="">(none)</option>
+            {NC_DOMAINS.map((d)=> <option key={d} value={d}>{d}</option>)}
+            {domain && !NC_DOMAINS.includes(domain) && <option value={domain}>{domain}</option>}
+          </select>
+        </label>
+        <label className="block">Level scale
+          <select value={scaleId} onChange={(e)=>setScaleId(e.target.value)} className="mt-1 w-full rounded-xl border px-3 py-2">
+            <option value="">Class default ({classScale.name})</option>
+            {scales.map((sc)=> <option key={sc.id} value={sc.id}>{sc.name}</option>)}
+          </select>
+        </label>
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="rounded-xl border px-3 py-1 hover:bg-slate-50">Cancel</button>
+          <button onClick={save} disabled={!name.trim()} className="rounded-xl border px-3 py-1 bg-blue-50 border-blue-300 hover:bg-blue-100 disabled:opacity-40">Save</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ScaleEditorModal({ scales, onSave, onDelete, onClose }){
+  const toDraft = (sc) => ({ ...sc, levels: sc.levels.map((l, i)=> ({ ...l, orig: i + 1 })), isNew: false });
+  const [draft, setDraft] = useState(()=> toDraft(scales[0]));
+  const original = scales.find((sc)=> sc.id===draft.id);
+  const metas = scaleMetas(draft);
+
+  const setLevel = (i, patch) => setDraft((d)=> ({ ...d, levels: d.levels.map((l, j)=> j===i ? { ...l, ...patch } : l) }));
+  const removeLevel = (i) => setDraft((d)=> {
+    const levels = d.levels.filter((_, j)=> j!==i);
+    return { ...d, levels, proficientAt: Math.max(1, Math.min(levels.length, d.proficientAt > i + 1 ? d.proficientAt - 1 : d.proficientAt)) };
+  });
+  const moveLevel = (i, dir) => setDraft((d)=> {
+    const j = i + dir;
+    if (j < 0 || j >= d.levels.length) return d;
+    const levels = [...d.levels]; [levels[i], levels[j]] = [levels[j], levels[i]];
+    return { ...d, levels };
+  });
+  const addLevel = () => setDraft((d)=> d.levels.length >= MAX_SCALE_LEVELS ? d : ({ ...d, levels: [...d.levels, { name: `Level ${d.levels.length + 1}`, color: "gray", orig: null }] }));
+  const newScale = () => setDraft({ id: uid(), name: "New scale", proficientAt: 2, isNew: true, levels: [
+    { name: "Not yet", color: "red", orig: null }, { name: "Got it", color: "green", orig: null },
+  ] });
+
+  const valid = draft.name.trim() && draft.levels.length > 0 && draft.levels.every((l)=> l.name.trim());
+  const save = () => {
+    if (!valid) return;
+    const scale = { id: draft.id, name: draft.name.trim(), proficientAt: draft.proficientAt, levels: draft.levels.map(({ name, color })=> ({ name: name.trim(), color })) };
+    const levelMap = original ? scaleLevelMap(original.levels.length, draft.levels) : null;
+    if (onSave(scale, levelMap)) setDraft(toDraft(scale));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-2xl rounded-2xl bg-white p-4 shadow-xl text-sm">
+        <div className="flex items-center justify-between mb-3">
+          <h4 className="font-semibold">Level scales</h4>
+          <button className="text-sm text-gray-500" onClick={onClose}>Close</button>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="space-y-1">
+            {scales.map((sc)=> (
+              <button key={sc.id} onClick={()=>setDraft(toDraft(sc))} className={`block w-full rounded-xl border px-2 py-1 text-left ${sc.id===draft.id?"bg-blue-50 border-blue-300":"hover:bg-slate-50"}`}>
+                {sc.name} <span className="text-xs text-gray-500">({sc.levels.length})</span>
+              </button>
+            ))}
+            <button onClick={newScale} className="inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs hover:bg-slate-50"><Plus className="h-3 w-3"/>New scale</button>
+          </div>
+          <div className="md:col-span-2 space-y-2">
+            <input value={draft.name} onChange={(e)=>setDraft({ ...draft, name: e.target.value })} className="w-full rounded-xl border px-3 py-2" />
+            <div className="text-xs text-gray-500">Level 0 is always N/A (not assessed). Tapping a seat cycles N/A → level 1 → … → level {draft.levels.length}.</div>
+            {draft.levels.map((l, i)=> (
+              <div key={i} className="flex items-center gap-2">
+                <span className={`h-4 w-4 rounded ${metas[i+1].bg} ring-1 ${metas[i+1].ring}`}></span>
+                <span className="w-4 text-xs text-gray-500">{i+1}</span>
+                <input value={l.name} onChange={(e)=>setLevel(i, { name: e.target.value })} className="flex-1 rounded-xl border px-2 py-1" />
+                <select value={l.color} onChange={(e)=>setLevel(i, { color: e.target.value })} className="rounded-xl border px-2 py-1 text-xs">
+                  {SCALE_COLORS.map((c)=> <option key={c} value={c}>{c}</option>)}
+                </select>
+                <button onClick={()=>moveLevel(i, -1)} className="text-xs text-gray-500" title="Move to a lower level">↑</button>
+                <button onClick={()=>moveLevel(i, 1)} className="text-xs text-gray-500" title="Move to a higher level">↓</button>
+                <button onClick={()=>removeLevel(i)} disabled={draft.levels.length<=1} className="text-xs text-red-600 disabled:opacity-40">remove</button>
+              </div>
+            ))}
+            <div className="flex items-center gap-3">
+              <button onClick={addLevel} disabled={draft.levels.length>=MAX_SCALE_LEVELS} className="inline-flex items-center gap-1 rounded-xl border px-2 py-1 text-xs hover:bg-slate-50 disabled:opacity-40"><Plus className="h-3 w-3"/>Add level</button>
+              <label className="inline-flex items-center gap-1 text-xs">Proficient from
+                <select value={draft.proficientAt} onChange={(e)=>setDraft({ ...draft, proficientAt: parseInt(e.target.value) })} className="rounded-xl border px-2 py-1">
+                  {draft.levels.map((l, i)=> <option key={i} value={i+1}>{l.name || i+1}</option>)}
+                </select>
+              </label>
+            </div>
+            <div className="flex justify-between pt-2">
+              {!draft.isNew ? <button onClick={()=>{ if (onDelete(draft.id)) setDraft(toDraft(scales.find((sc)=> sc.id!==draft.id) || scales[0])); }} className="rounded-xl border border-red-200 px-3 py-1 text-red-700 hover:bg-red-50">Delete scale</button> : <span />}
+              <button onClick={save} disabled={!valid} className="rounded-xl border px-3 py-1 bg-blue-50 border-blue-300 hover:bg-blue-100 disabled:opacity-40">Save scale</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Printable area in inches after 0.4in margins
+const PAPER = {
+  letter: { label: "Letter", w: 8.5, h: 11 },
+  a4: { label: "A4", w: 8.27, h: 11.69 },
+};
+const PRINT_MARGIN = 0.4;
+
+/**
+ * Print preview of the current class. Only #print-page is visible when printing.
+ * Sub mode prints names and seat positions only — no levels, colors, legend or skill badges.
+ */
+function PrintView({ cls, skill, getLevel, metas, onClose }){
+  const [paper, setPaper] = useState("letter");
+  const [landscape, setLandscape] = useState(true);
+  const [subMode, setSubMode] = useState(false);
+  const [showColors, setShowColors] = useState(true);
+  const [showLegend, setShowLegend] = useState(true);
+  const [showBadges, setShowBadges] = useState(true);
+
+  const pp = PAPER[paper];
+  const pageW = (landscape ? pp.h : pp.w) - PRINT_MARGIN * 2;
+  const pageH = (landscape ? pp.w : pp.h) - PRINT_MARGIN * 2;
+  const withData = !subMode && !!skill;
+  const name = (id) => cls.students.find((s)=> s.id===id)?.name ?? "";
+  const seatStyle = (studentId) => {
+    const meta = metaFor(metas, withData ? getLevel(studentId) : 0);
+    return withData && showColors && studentId ? `${meta.bg} ${meta.ring}` : "bg-white ring-gray-400";
+  };
+  const seatBody = (seat) => (
+    <>
+      <div className="absolute top-0.5 right-1 text-[8pt] text-gray-500">{seat.r+1},{seat.c+1}</div>
+      <div className="text-[10pt] font-semibold leading-tight pr-5">{name(seat.studentId)}</div>
+      {withData && seat.studentId && <div className="absolute bottom-0.5 right-1 text-[8pt] text-gray-600">{metaFor(metas, getLevel(seat.studentId)).name}</div>}
+    </>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-auto bg-slate-200 p-4">
+      <style>{`
+        @page { size: ${paper === "a4" ? "A4" : "letter"} ${landscape ? "landscape" : "portrait"}; margin: ${PRINT_MARGIN}in; }
+        @media print {
+          body * { visibility: hidden; }
+          #print-page, #print-page * { visibility: visible; }
+          #print-page { position: absolute; left: 0; top: 0; box-shadow: none; }
+          #print-page * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        }
+      `}</style>
+      <div className="mx-auto mb-3 flex max-w-4xl flex-wrap items-center gap-3 rounded-2xl bg-white p-3 text-sm shadow">
+        <select value={paper} onChange={(e)=>setPaper(e.target.value)} className="rounded-xl border px-2 py-1">
+          {Object.entries(PAPER).map(([k, v])=> <option key={k} value={k}>{v.label}</option>)}
+        </select>
+        <select value={landscape ? "landscape" : "portrait"} onChange={(e)=>setLandscape(e.target.value==="landscape")} className="rounded-xl border px-2 py-1">
+          <option value="landscape">Landscape</option>
+          <option value="portrait">Portrait</option>
+        </select>
+        <label className="inline-flex items-center gap-1 font-medium"><input type="checkbox" checked={subMode} onChange={(e)=>setSubMode(e.target.checked)} />Sub mode (names only)</label>
+        <label className={`inline-flex items-center gap-1 ${subMode?"opacity-40":""}`}><input type="checkbox" disabled={subMode} checked={showColors} onChange={(e)=>setShowColors(e.target.checked)} />Level colors</label>
+        <label className={`inline-flex items-center gap-1 ${subMode?"opacity-40":""}`}><input type="checkbox" disabled={subMode} checked={showLegend} onChange={(e)=>setShowLegend(e.target.checked)} />Legend</label>
+        <label className={`inline-flex items-center gap-1 ${subMode?"opacity-40":""}`}><input type="checkbox" disabled={subMode} checked={showBadges} onChange={(e)=>setShowBadges(e.target.checked)} />Skill/standard badges</label>
+        <div className="ml-auto flex gap-2">
+          <button onClick={()=>window.print()} className="inline-flex items-center gap-1 rounded-xl border px-3 py-1 bg-blue-50 border-blue-300 hover:bg-blue-100"><Printer className="h-3 w-3"/>Print</button>
+          <button onClick={onClose} className="rounded-xl border px-3 py-1 hover:bg-slate-50">Close</button>
+        </div>
+      </div>
+
+      <div id="print-page" className="mx-auto flex flex-col bg-white shadow" style={{ width: `${pageW}in`, height: `${pageH}in`, padding: "0.1in" }}>
+        <div className="flex items-baseline justify-between gap-2">
+          <div className="text-[14pt] font-bold">{cls.name}{subMode ? " — Seating Chart" : ""}</div>
+          <div className="text-[9pt] text-gray-500">{new Date().toLocaleDateString()}</div>
+        </div>
+        {withData && showBadges && (
+          <div className="mt-1 flex flex-wrap gap-1 text-[9pt]">
+            <Badge>Skill: {skill.name}</Badge>
+            {skill.standardCode && <Badge>Std: {skill.standardCode}</Badge>}
+            {skill.domain && <Badge>Domain: {skill.domain}</Badge>}
+          </div>
+        )}
+        <div className="my-1 text-center text-[9pt] uppercase tracking-widest text-gray-500">Front of room</div>
+        <div className="relative flex-1 min-h-0">
+          {cls.layoutMode === "free" ? (<>
+            {(cls.fixtures || []).map((f)=> (
+              <div key={f.id} className="absolute -translate-x-1/2 -translate-y-1/2 flex items-center justify-center overflow-hidden rounded border border-gray-400 bg-gray-100 text-[7pt] text-gray-600" style={{ left: `${f.x*100}%`, top: `${f.y*100}%`, width: `${f.w*100}%`, height: `${f.h*100}%` }}>
+                {FIXTURE_KINDS.find((k)=> k.id===f.kind)?.label}
+              </div>
+            ))}
+            {cls.seats.map((s)=>{
+              const { x, y } = deskXY(cls, s);
+              return (
+                <div key={`${s.r}-${s.c}`} className={`absolute -translate-x-1/2 -translate-y-1/2 rounded-lg ring-1 p-1 ${seatStyle(s.studentId)}`} style={{ left: `${x*100}%`, top: `${y*100}%`, width: "1.3in", height: "0.6in" }}>
+                  {seatBody(s)}
+                </div>
+              );
+            })}
+          </>) : (
+            <div className="grid h-full gap-1" style={{ gridTemplateColumns: `repeat(${cls.cols}, minmax(0, 1fr))`, gridTemplateRows: `repeat(${cls.rows}, minmax(0, 1fr))` }}>
+              {Array.from({ length: cls.rows * cls.cols }, (_, idx)=>{
+                const r = Math.floor(idx / cls.cols), c = idx % cls.cols;
+                const seat = cls.seats.find((s)=> s.r===r && s.c===c);
+                if (!seat) return <div key={`${r}-${c}`} />;
+                return <div key={`${r}-${c}`} className={`relative rounded-lg ring-1 p-1 ${seatStyle(seat.studentId)}`}>{seatBody(seat)}</div>;
+              })}
+            </div>
+          )}
+        </div>
+        {withData && showLegend && <div className="mt-1 flex"><Legend metas={metas} /></div>}
+      </div>
+    </div>
+  );
+}
+
+function ArrangeSeatsModal({ cls, skills, scaleOf, setState, onClose }){
+  const [rules, setRules] = useState(()=> normalizeSeatingRules(cls.seatingRules));
+  const [pairA, setPairA] = useState("");
+  const [pairB, setPairB] = useState("");
+  const [preview, setPreview] = useState(null);
+  const students = activeStudents(cls).sort((a,b)=> a.name.localeCompare(b.name));
+  const name = (id) => cls.students.find((s)=> s.id===id)?.name ?? "";
+  const levelsBySkill = (skillId) => ({
+    levels: new Map(cls.students.map((s)=> [s.id, latestLevel(markHistory(cls, skillId, s.id))])),
+    scale: scaleOf(skills.find((sk)=> sk.id===skillId)),
+  });
+
+  const update = (patch) => { setRules((r)=> ({ ...r, ...patch })); setPreview(null); };
+  const toggleFront = (id) => update({ front: rules.front.includes(id) ? rules.front.filter((x)=> x!==id) : [...rules.front, id] });
+  const addApart = () => {
+    if (!pairA || !pairB || pairA===pairB) return;
+    update({ apart: [...rules.apart, [pairA, pairB]] }); setPairA(""); setPairB("");
+  };
+
+  const generate = () => setPreview(arrangeSeats(cls, rules, levelsBySkill));
+  const apply = () => {
+    if (!preview) return;
+    setState((p)=> updateClass(p, cls.id, (c)=> ({ ...c, seats: preview.seats, seatingRules: rules })));
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-4xl rounded-2xl bg-white p-4 shadow-xl max-h-[92vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="font-semibold">Arrange seats — {cls.name}</h4>
+          <button className="text-sm text-gray-500" onClick={onClose}>Close</button>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+          <div>
+            <div className="font-medium mb-1">Front row (row 1)</div>
+            <div className="max-h-48 overflow-y-auto rounded-xl border divide-y">
+              {students.map((s)=> (
+                <label key={s.id} className="flex items-center gap-2 px-2 py-1"><input type="checkbox" checked={rules.front.includes(s.id)} onChange={()=>toggleFront(s.id)} />{s.name}</label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <div className="font-medium mb-1">Keep apart</div>
+            <div className="flex items-center gap-1 mb-2">
+              <select value={pairA} onChange={(e)=>setPairA(e.target.value)} className="flex-1 rounded-xl border px-1 py-1 text-xs"><option value="">—</option>{students.map((s)=> <option key={s.id} value={s.id}>{s.name}</option>)}</select>
+              <select value={pairB} onChange={(e)=>setPairB(e.target.value)} className="flex-1 rounded-xl border px-1 py-1 text-xs"><option value="">—</option>{students.map((s)=> <option key={s.id} value={s.id}>{s.name}</option>)}</select>
+              <button onClick={addApart} className="rounded-xl border px-2 py-1 text-xs hover:bg-slate-50">Add</button>
+            </div>
+            <ul className="divide-y rounded-xl border">
+              {rules.apart.length===0 && <li className="px-2 py-1 text-xs text-gray-500">No pairs yet</li>}
+              {rules.apart.map(([a,b], i)=> (
+                <li key={i} className="flex items-center justify-between px-2 py-1 text-xs">
+                  <span>{name(a)} ↔ {name(b)}</span>
+                  <button className="text-red-600 hover:underline" onClick={()=>update({ apart: rules.apart.filter((_, j)=> j!==i) })}>remove</button>
+                </li>
+              ))}
+            </ul>
+          </div>
+          <div className="space-y-2">
+            <div className="font-medium">Pair lowest level with proficient+</div>
+            <select value={rules.pairSkillId || ""} onChange={(e)=>update({ pairSkillId: e.target.value || null })} className="w-full rounded-xl border px-2 py-1 text-xs">
+              <option value="">(off)</option>
+              {skills.map((sk)=> <option key={sk.id} value={sk.id}>{sk.name}{sk.standardCode?` — ${sk.standardCode}`:""}</option>)}
+            </select>
+            <label className="flex items-center gap-2"><input type="checkbox" checked={rules.fillFront} onChange={(e)=>update({ fillFront: e.target.checked })} />Fill front seats first</label>
+            <p className="text-xs text-gray-500">Everything else is a random shuffle. Generate again for a different arrangement.</p>
+            <button onClick={generate} className="inline-flex items-center gap-1 rounded-xl border px-3 py-1 hover:bg-slate-50"><Shuffle className="h-3 w-3"/>{preview ? "Generate again" : "Generate"}</button>
+          </div>
+        </div>
+
+        {preview && (
+          <div className="mt-4">
+            <div className="font-medium text-sm mb-1">Preview</div>
+            <div className="grid gap-1" style={{ gridTemplateColumns: `repeat(${cls.cols}, minmax(0, 1fr))` }}>
+              {[...preview.seats].sort((a,b)=> a.r-b.r || a.c-b.c).map((s)=> (
+                <div key={`${s.r}-${s.c}`} className={`rounded-lg border px-1 py-2 text-xs text-center truncate ${rules.front.includes(s.studentId) ? "bg-blue-50" : "bg-slate-50"}`}>{name(s.studentId) || "—"}</div>
+              ))}
+            </div>
+            {preview.unmet.length === 0 && preview.unseated.length === 0
+              ? <div className="mt-2 text-xs text-green-700">All rules satisfied.</div>
+              : (
+                <ul className="mt-2 text-xs text-amber-700 list-disc pl-5">
+                  {preview.unmet.map((u, i)=> <li key={i}>{u}</li>)}
+                  {preview.unseated.length > 0 && <li>No seat for: {preview.unseated.join(", ")}</li>}
+                </ul>
+              )}
+          </div>
+        )}
+
+        <div className="mt-3 flex justify-end gap-2">
+          <button onClick={onClose} className="rounded-xl border px-3 py-1 text-sm hover:bg-slate-50">Cancel</button>
+          <button onClick={apply} disabled={!preview} className="rounded-xl border px-3 py-1 text-sm bg-blue-50 border-blue-300 hover:bg-blue-100 disabled:opacity-40">Apply arrangement</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function GroupsModal({ cls, skill, scale, setState, onClose }){
+  const [size, setSize] = useState(4);
+  const [mode, setMode] = useState("same");
+  const [seed, setSeed] = useState(0); // bump to regenerate
+  const result = useMemo(()=> buildGroups(cls, skill.id, size, mode, scale), [cls, skill.id, size, mode, scale, seed]);
+  const metas = scaleMetas(scale);
+  const anchorName = `${metas[scale.proficientAt].name}+`;
+  const name = (id) => cls.students.find((s)=> s.id===id)?.name ?? "";
+
+  const arrange = () => {
+    if (!confirm("Move desks into these groups on the free layout? (Undo is available.)")) return;
+    setState((p)=> updateClass(p, cls.id, (c)=> clusterSeats(c, result.groups)));
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-2xl rounded-2xl bg-white p-4 shadow-xl">
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="font-semibold">Small groups — {skill.name}</h4>
+          <button className="text-sm text-gray-500" onClick={onClose}>Close</button>
+        </div>
+        <div className="flex flex-wrap items-center gap-3 text-sm mb-3">
+          <label className="inline-flex items-center gap-2">Group size
+            <input type="number" min={2} max={10} value={size} onChange={(e)=>setSize(parseInt(e.target.value||"2"))} className="w-16 rounded-xl border px-2 py-1" />
+          </label>
+          <select value={mode} onChange={(e)=>setMode(e.target.value)} className="rounded-xl border px-2 py-1">
+            <option value="same">Same level (reteach / extend)</option>
+            <option value="mixed">Mixed, with a {anchorName} anchor</option>
+          </select>
+          <button onClick={()=>setSeed(seed+1)} className="rounded-xl border px-2 py-1 hover:bg-slate-50">Regenerate</button>
+        </div>
+        {result.missingAnchors > 0 && (
+          <div className="mb-2 text-xs text-amber-700">{result.missingAnchors} group{result.missingAnchors===1?"":"s"} without a {anchorName} anchor.</div>
+        )}
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 max-h-[55vh] overflow-y-auto">
+          {result.groups.map((g, i)=> (
+            <div key={i} className={`rounded-xl border p-2 ${g.level != null ? metas[g.level].bg : ""}`}>
+              <div className="text-xs font-semibold text-gray-600 mb-1">Group {i+1}{g.level != null ? ` — ${metas[g.level].name}` : ""}</div>
+              <ul className="text-sm">
+                {g.members.map((m)=> (
+                  <li key={m.id} className="flex justify-between"><span>{name(m.id)}</span><span className="text-xs text-gray-500">{metaFor(metas, m.level).name}</span></li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+        <div className="mt-3 flex justify-end gap-2">
+          <button onClick={onClose} className="rounded-xl border px-3 py-1 text-sm hover:bg-slate-50">Done</button>
+          <button onClick={arrange} disabled={!result.groups.length} className="rounded-xl border px-3 py-1 text-sm bg-blue-50 border-blue-300 hover:bg-blue-100 disabled:opacity-40">Move desks into clusters</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** Students Proficient on every prerequisite but not yet assessed on the skill that follows */
+function ReadyForNextPanel({ items, studentName, selectedSkillId, onPickSkill }){
+  return (
+    <div className="space-y-2">
+      <h3 className="font-semibold">Ready to assess</h3>
+      <div className="text-xs text-gray-500">Proficient on the prerequisites, not yet assessed on the next skill</div>
+      {items.map(({ skill, prereqs, studentIds })=> (
+        <div key={skill.id} className="rounded-xl border px-2 py-1 text-sm">
+          <button onClick={()=> onPickSkill(skill.id)} disabled={skill.id === selectedSkillId} className="font-medium text-blue-600 hover:underline disabled:text-gray-800 disabled:no-underline" title="Switch to this skill to assess">
+            {skill.name}
+          </button>
+          <span className="ml-1 text-xs text-gray-500">after {prereqs.map((p)=> p.name).join(", ")}</span>
+          <div className="text-xs text-gray-700">{studentIds.map(studentName).sort((a,b)=> a.localeCompare(b)).join(", ")}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function MasteryPanel({ cls, skill, skillCount, scope, setScope, stats, metas, highlightLevel, setHighlightLevel }){
+  const [open, setOpen] = useState(null); // level whose student list is expanded
+  if (!skill) return <div className="text-sm text-gray-500">No skill selected.</div>;
+  const name = (id) => cls.students.find((s)=> s.id===id)?.name ?? "";
+  const pct = (n) => (stats.total ? Math.round((n / stats.total) * 100) : 0);
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold">Mastery</h3>
+        <select value={scope} onChange={(e)=>setScope(e.target.value)} className="rounded-xl border px-2 py-1 text-xs">
+          <option value="skill">This skill</option>
+          <option value="domain" disabled={!skill.domain}>Domain{skill.domain?`: ${skill.domain}`:""}</option>
+          <option value="standard" disabled={!skill.standardCode}>Standard{skill.standardCode?`: ${skill.standardCode}`:""}</option>
+        </select>
+      </div>
+      <div className="text-xs text-gray-500">
+        {scope==="skill" ? skill.name : `${skillCount} skill${skillCount===1?"":"s"} — each student's mean marked level`}
+      </div>
+      <div className="space-y-1">
+        {Object.entries(metas).reverse().map(([k, m])=>{
+          const ids = stats.byLevel[k] || [];
+          const lv = Number(k);
+          const active = highlightLevel === lv;
+          return (
+            <div key={k}>
+              <button
+                onClick={()=>{ setHighlightLevel(active ? null : lv); setOpen(active ? null : lv); }}
+                className={`w-full rounded-xl px-2 py-1 text-left text-sm flex items-center gap-2 ${active?"ring-2 ring-indigo-400":""} hover:bg-slate-50`}
+                title="Highlight these students on the chart"
+              >
+                <span className={`h-3 w-3 inline-block rounded ${m.bg} ring-1 ${m.ring}`}></span>
+                <span className="flex-1">{m.name}</span>
+                <span className="tabular-nums">{ids.length}</span>
+                <span className="w-10 text-right text-xs text-gray-500 tabular-nums">{pct(ids.length)}%</span>
+              </button>
+              <div className="mx-2 h-1 rounded bg-gray-100"><div className={`h-1 rounded ${m.bg} ring-1 ${m.ring}`} style={{ width: `${pct(ids.length)}%` }} /></div>
+              {open === lv && ids.length > 0 && (
+                <div className="px-3 py-1 text-xs text-gray-600">{ids.map(name).sort((a,b)=> a.localeCompare(b)).join(", ")}</div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <div className="text-xs text-gray-500">{stats.total} students{stats.absent ? ` present — ${stats.absent} absent today not counted` : ""}</div>
+    </div>
+  );
+}
+
+function GradebookExportModal({ state, onClose }){
+  const [scope, setScope] = useState("current");
+  const [layout, setLayout] = useState("files");
+  const [cellFormat, setCellFormat] = useState("name");
+  const [domainAverages, setDomainAverages] = useState(false);
+  const [content, setContent] = useState("levels");
+
+  const classes = scope === "all" ? activeClasses(state) : state.classes.filter((c)=> c.id===state.selectedClassId);
+  // Highest level number in the export: skills may have their own scale, classes without skills show their own
+  const tops = new Set(classes.flatMap((cl)=> {
+    const skills = state.skills.filter((s)=> s.classIds.includes(cl.id));
+    return skills.length ? skills.map((sk)=> effectiveScale(state, cl, sk).levels.length) : [getScale(state, cl.scaleId).levels.length];
+  }));
+  const numberRange = tops.size === 1 ? `0–${[...tops][0]}` : `0–${Math.max(...tops)}, by each skill's scale`;
+
+  const run = () => {
+    gradebookFiles(state, classes, { layout, content, cellFormat, domainAverages })
+      .forEach((f)=> downloadFile(f.filename, f.text, "text/csv;charset=utf-8"));
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-md rounded-2xl bg-white p-4 shadow-xl space-y-3 text-sm">
+        <div className="flex items-center justify-between">
+          <h4 className="font-semibold">Gradebook CSV</h4>
+          <button className="text-sm text-gray-500" onClick={onClose}>Close</button>
+        </div>
+        <label className="flex items-center justify-between gap-2">Classes
+          <select value={scope} onChange={(e)=>setScope(e.target.value)} className="rounded-xl border px-2 py-1">
+            <option value="current">Current class</option>
+            <option value="all">All active classes</option>
+          </select>
+        </label>
+        {scope === "all" && (
+          <label className="flex items-center justify-between gap-2">Output
+            <select value={layout} onChange={(e)=>setLayout(e.target.value)} className="rounded-xl border px-2 py-1">
+              <option value="files">One file per class</option>
+              <option value="sections">One file, a section per class</option>
+            </select>
+          </label>
+        )}
+        <label className="flex items-center justify-between gap-2">Content
+          <select value={content} onChange={(e)=>setContent(e.target.value)} className="rounded-xl border px-2 py-1">
+            <option value="levels">Levels (student × skill)</option>
+            <option value="notes">Anecdotal notes (one row per note)</option>
+          </select>
+        </label>
+        {content === "levels" && <>
+          <label className="flex items-center justify-between gap-2">Cells
+            <select value={cellFormat} onChange={(e)=>setCellFormat(e.target.value)} className="rounded-xl border px-2 py-1">
+              <option value="name">Level name (e.g. Proficient)</option>
+              <option value="number">Level number ({numberRange})</option>
+            </select>
+          </label>
+          <label className="flex items-center gap-2"><input type="checkbox" checked={domainAverages} onChange={(e)=>setDomainAverages(e.target.checked)} />Add per-domain average columns</label>
+        </>}
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="rounded-xl border px-3 py-1 hover:bg-slate-50">Cancel</button>
+          <button onClick={run} className="rounded-xl border px-3 py-1 bg-blue-50 border-blue-300 hover:bg-blue-100">Download</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const REPORT_TYPE_STYLE = { migrated: "text-blue-700", repaired: "text-amber-700", dropped: "text-red-700" };
+
+/** Counts shown side by side when reviewing an import */
+function stateCounts(st) {
+  const students = st.classes.reduce((n, c) => n + c.students.length, 0);
+  const marks = st.classes.reduce((n, c) => n + countMarks(c, Object.keys(c.marks)), 0);
+  return { classes: st.classes.length, students, skills: st.skills.length, marks };
+}
+
+function ReportList({ report }){
+  if (!report.items.length) return <p className="text-xs text-gray-500">No changes were needed.</p>;
+  return (
+    <div className="max-h-56 overflow-y-auto divide-y border rounded-xl">
+      {report.items.map((it, i)=> (
+        <div key={i} className="py-1 px-2 text-xs flex gap-2">
+          <span className={`w-16 shrink-0 font-medium ${REPORT_TYPE_STYLE[it.type]}`}>{it.type}</span>
+          <span>{it.message}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const CONFLICT_CHOICES = [["newest", "Newest mark wins"], ["mine", "Keep this device"], ["theirs", "Take the file"]];
+
+/** Merge (default) or replace with an imported file; shows what will change before anything is applied */
+function ImportReviewModal({ fileName, incoming, report, current, defaultMode = "merge", onConfirm, onClose }){
+  const [mode, setMode] = useState(defaultMode);
+  const [classChoice, setClassChoice] = useState("all");
+  const [conflicts, setConflicts] = useState("newest");
+  const [choices, setChoices] = useState({});
+  const merge = useMemo(()=> mergeStates(current, incoming, { classIds: classChoice === "all" ? null : [classChoice], conflicts, choices }), [current, incoming, classChoice, conflicts, choices]);
+  const before = stateCounts(current), after = stateCounts(mode === "merge" ? merge.state : incoming);
+  const dropped = report.items.filter((it)=> it.type === "dropped").length;
+  const sum = merge.summary;
+  const lines = [
+    sum.classesAdded.length && `Add ${sum.classesAdded.length} class${sum.classesAdded.length===1?"":"es"}: ${sum.classesAdded.join(", ")}`,
+    sum.classesMerged.length && `Merge into ${sum.classesMerged.join(", ")} (names, seats and settings here are kept)`,
+    sum.studentsAdded && `${sum.studentsAdded} new student${sum.studentsAdded===1?"":"s"}`,
+    (sum.skillsAdded || sum.skillsLinked) && `${sum.skillsAdded} new skill${sum.skillsAdded===1?"":"s"}, ${sum.skillsLinked} linked to more classes`,
+    sum.scalesAdded && `${sum.scalesAdded} new level scale${sum.scalesAdded===1?"":"s"}`,
+    sum.notesAdded && `${sum.notesAdded} note${sum.notesAdded===1?"":"s"} added`,
+    sum.attendanceAdded && `${sum.attendanceAdded} attendance record${sum.attendanceAdded===1?"":"s"} added`,
+    `${sum.marksAdded} mark${sum.marksAdded===1?"":"s"} added to history${sum.marksConverted ? ` (${sum.marksConverted} converted to this device's scales)` : ""}`,
+    sum.classesUntouched && `${sum.classesUntouched} class${sum.classesUntouched===1?"":"es"} here not in the import left alone`,
+    sum.classesSkipped.length && `Not imported: ${sum.classesSkipped.join(", ")}`,
+  ].filter(Boolean);
+  const setChoice = (key, v) => setChoices((c)=> ({ ...c, [key]: v }));
+  const levelName = (cf, lv) => {
+    const cls = merge.state.classes.find((c)=> c.id===cf.classId);
+    return metaFor(scaleMetas(effectiveScale(merge.state, cls, merge.state.skills.find((s)=> s.id===cf.skillId))), lv).name;
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-2xl rounded-2xl bg-white p-4 shadow-xl space-y-3 text-sm max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between">
+          <h4 className="font-semibold">Import {fileName}</h4>
+          <button className="text-sm text-gray-500" onClick={onClose}>Close</button>
+        </div>
+        <p className="text-xs text-gray-600">
+          Saved with schema v{report.fromVersion || "?"}{report.fromVersion < SCHEMA_VERSION ? `, upgraded to v${SCHEMA_VERSION}` : ""}.
+        </p>
+        <div className="flex flex-wrap items-center gap-3">
+          <select value={mode} onChange={(e)=>setMode(e.target.value)} className="rounded-xl border px-2 py-1">
+            <option value="merge">Merge into my data</option>
+            <option value="replace">Replace all my data</option>
+          </select>
+          {mode === "merge" && (
+            <>
+              <select value={classChoice} onChange={(e)=>setClassChoice(e.target.value)} className="rounded-xl border px-2 py-1">
+                <option value="all">All classes in file</option>
+                {incoming.classes.map((c)=> <option key={c.id} value={c.id}>Only {c.name}</option>)}
+              </select>
+              <select value={conflicts} onChange={(e)=>{ setConflicts(e.target.value); setChoices({}); }} className="rounded-xl border px-2 py-1" title="When a student's current level differs between here and the file">
+                {CONFLICT_CHOICES.map(([v, label])=> <option key={v} value={v}>{label}</option>)}
+              </select>
+            </>
+          )}
+        </div>
+        <table className="w-full text-xs">
+          <thead><tr className="text-gray-500"><th className="text-left font-normal"></th>{Object.keys(before).map((k)=> <th key={k} className="text-right font-normal">{k}</th>)}</tr></thead>
+          <tbody>
+            <tr><td>Now</td>{Object.values(before).map((v, i)=> <td key={i} className="text-right">{v}</td>)}</tr>
+            <tr className="font-medium"><td>After import</td>{Object.values(after).map((v, i)=> <td key={i} className="text-right">{v}</td>)}</tr>
+          </tbody>
+        </table>
+        {mode === "replace" ? (
+          <p className="text-xs text-amber-700">Everything here is replaced by the file (Undo can bring it back).</p>
+        ) : (
+          <>
+            <ul className="list-disc pl-5 text-xs text-gray-700">{lines.map((l, i)=> <li key={i}>{l}</li>)}</ul>
+            {sum.conflicts.length > 0 && (
+              <div>
+                <div className="text-xs font-medium mb-1">{sum.conflicts.length} conflicting mark{sum.conflicts.length===1?"":"s"}</div>
+                <div className="max-h-48 overflow-y-auto divide-y border rounded-xl">
+                  {sum.conflicts.map((cf)=> (
+                    <div key={cf.key} className="py-1 px-2 text-xs flex flex-wrap items-center justify-between gap-2">
+                      <span>{cf.studentName} • {cf.skillName} <span className="text-gray-500">({cf.className})</span></span>
+                      <span className="text-gray-600">here {levelName(cf, cf.mine.level)} on {shortDate(cf.mine.at)} • file {levelName(cf, cf.theirs.level)} on {shortDate(cf.theirs.at)}</span>
+                      <select value={cf.choice} onChange={(e)=>setChoice(cf.key, e.target.value)} className="rounded-lg border px-1 py-0.5">
+                        {CONFLICT_CHOICES.map(([v, label])=> <option key={v} value={v}>{label}</option>)}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </>
+        )}
+        <div>
+          <div className="text-xs font-medium mb-1">Migration report</div>
+          <ReportList report={report} />
+        </div>
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="rounded-xl border px-3 py-1 hover:bg-slate-50">Cancel</button>
+          <button onClick={()=>onConfirm(mode === "merge" ? merge.state : incoming)} className={`rounded-xl border px-3 py-1 ${dropped || mode === "replace" ? "bg-amber-50 border-amber-300 hover:bg-amber-100" : "bg-blue-50 border-blue-300 hover:bg-blue-100"}`}>{mode === "merge" ? "Merge" : "Replace my data"}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const syncLabel = ({ phase, queued, lastSyncAt }) => {
+  if (phase === "off") return "Sync off";
+  if (phase === "syncing") return "Syncing…";
+  if (phase === "offline") return queued ? `Offline • ${queued} queued` : "Offline";
+  if (phase === "error") return "Sync error";
+  return lastSyncAt ? `Synced ${new Date(lastSyncAt).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })}` : "Sync on";
+};
+
+const CONFLICT_WINNER = { server: "the other device's change was kept", device: "this device's change was kept", both: "both marks were kept; the newest is current" };
+
+/** Settings and status for device sync; the endpoint and token stay on this device */
+function SyncModal({ state, sync, onClose }){
+  const { config, status } = sync;
+  const [endpoint, setEndpoint] = useState(config?.endpoint || "");
+  const [token, setToken] = useState(config?.token || "");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const enabled = !!config?.enabled;
+
+  const connect = async (mode) => {
+    if (!/^https?:\/\//.test(endpoint.trim())) { setError("Enter the full endpoint URL, starting with http:// or https://"); return; }
+    if (mode === "replace" && !confirm("Replace everything on this device with the server's data? (Undo can bring it back.)")) return;
+    setBusy(true); setError(null);
+    try { await sync.connect({ endpoint, token }, mode); }
+    catch (e) { setError(e.message); }
+    finally { setBusy(false); }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-lg rounded-2xl bg-white p-4 shadow-xl space-y-3 text-sm max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between">
+          <h4 className="font-semibold">Sync between devices</h4>
+          <button className="text-sm text-gray-500" onClick={onClose}>Close</button>
+        </div>
+        <p className="text-xs text-gray-600">Point every device at the same endpoint (a self-hosted server, or <code>npm run sync-server</code> for testing). Changes made offline are queued and sent when the connection returns; if two devices change the same seat, the newest change wins.</p>
+        <label className="block">Endpoint
+          <input value={endpoint} onChange={(e)=>setEndpoint(e.target.value)} disabled={enabled} placeholder="http://localhost:8787/my-classes" className="mt-1 w-full rounded-xl border px-3 py-2 text-sm disabled:bg-slate-50" />
+        </label>
+        <label className="block">Token (optional)
+          <input type="password" value={token} onChange={(e)=>setToken(e.target.value)} disabled={enabled} className="mt-1 w-full rounded-xl border px-3 py-2 text-sm disabled:bg-slate-50" />
+        </label>
+        {error && <p className="text-xs text-red-700">{error}</p>}
+        {enabled ? (
+          <>
+            <div className="text-xs text-gray-600">{syncLabel(status)} • {status.queued} change{status.queued===1?"":"s"} waiting{status.error && status.phase !== "idle" ? ` • ${status.error}` : ""}</div>
+            {status.conflicts.length > 0 && (
+              <div>
+                <div className="text-xs font-medium mb-1">Conflicts in the last sync</div>
+                <div className="max-h-40 overflow-y-auto divide-y border rounded-xl">
+                  {status.conflicts.slice(0, 50).map((cf, i)=> (
+                    <div key={i} className="py-1 px-2 text-xs">{describeKey(state, cf.key)}: {CONFLICT_WINNER[cf.winner]}</div>
+                  ))}
+                </div>
+              </div>
+            )}
+            <div className="flex justify-end gap-2">
+              <button onClick={sync.disconnect} className="rounded-xl border px-3 py-1 hover:bg-slate-50">Turn off</button>
+              <button onClick={sync.syncNow} disabled={status.phase === "syncing"} className="rounded-xl border px-3 py-1 bg-blue-50 border-blue-300 hover:bg-blue-100 disabled:opacity-40">Sync now</button>
+            </div>
+          </>
+        ) : (
+          <div className="flex flex-wrap justify-end gap-2">
+            <button onClick={()=>connect("replace")} disabled={busy} className="rounded-xl border px-3 py-1 hover:bg-slate-50 disabled:opacity-40">Use the server's data here</button>
+            <button onClick={()=>connect("merge")} disabled={busy} className="rounded-xl border px-3 py-1 bg-blue-50 border-blue-300 hover:bg-blue-100 disabled:opacity-40">Upload and merge this device</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** Daily snapshots kept in IndexedDB; restoring goes through the import review (replace or merge) */
+function SnapshotsModal({ onRestore, onClose }){
+  const [snaps, setSnaps] = useState(null);
+  const [error, setError] = useState(null);
+  useEffect(()=>{ listSnapshots().then(setSnaps, setError); }, []);
+  const summarize = (json) => {
+    try { const st = JSON.parse(json); return `${st.classes.length} classes • ${st.classes.reduce((n, c)=> n + c.students.length, 0)} students`; }
+    catch { return "unreadable"; }
+  };
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-md rounded-2xl bg-white p-4 shadow-xl space-y-3 text-sm">
+        <div className="flex items-center justify-between">
+          <h4 className="font-semibold">Restore from snapshot</h4>
+          <button className="text-sm text-gray-500" onClick={onClose}>Close</button>
+        </div>
+        <p className="text-xs text-gray-600">Each day your data is copied automatically before its first change; the last {SNAPSHOT_DAYS} days are kept.</p>
+        {error && <p className="text-xs text-red-700">Snapshots could not be read: {error.message}</p>}
+        {!snaps && !error && <p className="text-xs text-gray-500">Loading…</p>}
+        {snaps && !snaps.length && <p className="text-xs text-gray-500">No snapshots yet.</p>}
+        {snaps && snaps.length > 0 && (
+          <div className="max-h-72 overflow-y-auto divide-y border rounded-xl">
+            {snaps.map((sn)=> (
+              <div key={sn.date} className="py-1.5 px-2 flex items-center justify-between gap-2">
+                <div>
+                  <div className="font-medium">{new Date(`${sn.date}T12:00:00`).toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric", year: "numeric" })}</div>
+                  <div className="text-xs text-gray-500">saved {new Date(sn.savedAt).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })} • {summarize(sn.json)}</div>
+                </div>
+                <button onClick={()=>onRestore(sn)} className="rounded-xl border px-2 py-1 text-xs hover:bg-slate-50">Restore…</button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** Shown once at startup when saved data had to be migrated, repaired or could not be read */
+function MigrationReportModal({ report, backupKey, onClose }){
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-lg rounded-2xl bg-white p-4 shadow-xl space-y-3 text-sm">
+        <div className="flex items-center justify-between">
+          <h4 className="font-semibold">{report.fatal ? "Saved data could not be read" : "Saved data was updated"}</h4>
+          <button className="text-sm text-gray-500" onClick={onClose}>Close</button>
+        </div>
+        {report.fatal ? (
+          <p className="text-xs text-gray-600">{report.fatal}.{backupKey && <> The original was kept in <code>{backupKey}</code>.</>} The app started with sample data.</p>
+        ) : (
+          <>
+            <p className="text-xs text-gray-600">Your data was saved by an older version (schema v{report.fromVersion}) or needed repairs. Export a backup if anything below looks wrong.</p>
+            <ReportList report={report} />
+          </>
+        )}
+        <div className="flex justify-end"><button onClick={onClose} className="rounded-xl border px-3 py-1 hover:bg-slate-50">OK</button></div>
+      </div>
+    </div>
+  );
+}
+
+function RosterImportModal({ cls, setState, onClose }){
+  const [text, setText] = useState("");
+  const [mode, setMode] = useState("append");
+  const [autoSeat, setAutoSeat] = useState(true);
+  const planned = useMemo(()=> planRosterImport(cls, parseRoster(text)), [cls, text]);
+  const added = planned.filter((r)=> !r.duplicateOf && !r.duplicateInFile).length;
+  const dups = planned.length - added;
+
+  const loadFile = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => setText(String(reader.result));
+    reader.readAsText(file);
+  };
+
+  const apply = () => {
+    if (!planned.length) return;
+    if (mode === "replace" && !confirm(`Replace the roster of ${cls.name} with ${planned.length - planned.filter((r)=>r.duplicateInFile).length} students? Students not in the list lose their seat and marks.`)) return;
+    setState((p)=> updateSelectedClass(p, (c)=> applyRosterImport(c, planned, { mode, autoSeat })));
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-2xl rounded-2xl bg-white p-4 shadow-xl">
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="font-semibold">Import roster — {cls.name}</h4>
+          <button className="text-sm text-gray-500" onClick={onClose}>Close</button>
+        </div>
+        <p className="text-xs text-gray-500 mb-2">Paste spreadsheet columns or a CSV export. "Last, First" names and an optional student ID column are recognized.</p>
+        <textarea value={text} onChange={(e)=>setText(e.target.value)} rows={6} placeholder={'Smith, Jordan\t104233\nLee, Ava\t104871'} className="w-full rounded-xl border px-3 py-2 text-sm font-mono" />
+        <div className="mt-2 flex flex-wrap items-center gap-3 text-sm">
+          <label className="inline-flex items-center gap-2 rounded-xl border px-2 py-1 cursor-pointer hover:bg-slate-50">
+            <Upload className="h-3 w-3"/>Upload file
+            <input type="file" accept=".csv,.tsv,.txt,text/csv,text/plain" className="hidden" onChange={(e)=>{const f=e.target.files?.[0]; if(f) loadFile(f);}} />
+          </label>
+          <select value={mode} onChange={(e)=>setMode(e.target.value)} className="rounded-xl border px-2 py-1 text-sm">
+            <option value="append">Append to roster</option>
+            <option value="replace">Replace roster</option>
+          </select>
+          <label className="inline-flex items-center gap-1"><input type="checkbox" checked={autoSeat} onChange={(e)=>setAutoSeat(e.target.checked)} />Auto-fill empty seats</label>
+        </div>
+        <div className="mt-3 text-xs text-gray-600">{planned.length} rows • {added} new • {dups} duplicate{mode==="replace" && dups ? " (existing students are kept with their marks)" : ""}</div>
+        <div className="mt-1 max-h-64 overflow-y-auto divide-y border rounded-xl">
+          {planned.map((r, i)=> (
+            <div key={i} className="py-1 px-2 text-sm flex items-center justify-between">
+              <span>{r.name}{r.sisId && <span className="text-xs text-gray-500"> • {r.sisId}</span>}</span>
+              {r.duplicateOf && <span className="text-xs text-amber-700">already in class</span>}
+              {r.duplicateInFile && <span className="text-xs text-amber-700">repeated in list</span>}
+            </div>
+          ))}
+        </div>
+        <div className="mt-3 flex justify-end gap-2">
+          <button onClick={onClose} className="rounded-xl border px-3 py-1 text-sm hover:bg-slate-50">Cancel</button>
+          <button onClick={apply} disabled={!planned.length} className="rounded-xl border px-3 py-1 text-sm bg-blue-50 border-blue-300 hover:bg-blue-100 disabled:opacity-40">Import</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** Duplicate, copy layout, archive and delete for the selected class */
+function ClassToolsModal({ state, setState, onClose }){
+  const cls = state.classes.find((c)=> c.id===state.selectedClassId);
+  const [copyName, setCopyName] = useState(`${cls.name} (copy)`);
+  const [withRoster, setWithRoster] = useState(false);
+  const [layoutTargets, setLayoutTargets] = useState([]);
+  const others = activeClasses(state).filter((c)=> c.id !== cls.id);
+  const linked = state.skills.filter((s)=> s.classIds.includes(cls.id)).length;
+
+  const duplicate = () => {
+    if (!copyName.trim()) return;
+    setState((p)=> duplicateClass(p, cls.id, { name: copyName.trim(), withRoster }));
+    onClose();
+  };
+
+  const toggleTarget = (id) => setLayoutTargets((t)=> (t.includes(id) ? t.filter((x)=> x !== id) : [...t, id]));
+  const applyLayout = () => {
+    const targets = state.classes.filter((c)=> layoutTargets.includes(c.id));
+    const unseated = targets.reduce((n, t)=> n + copyLayout(cls, t).unseated, 0);
+    if (!confirm(`Give ${targets.map((t)=> t.name).join(", ")} the desk layout of ${cls.name}?${unseated ? ` ${unseated} student${unseated===1?"":"s"} whose desk no longer exists will be unseated.` : ""} (Undo is available.)`)) return;
+    setState((p)=> targets.reduce((acc, t)=> updateClass(acc, t.id, (c)=> copyLayout(cls, c).cls), p));
+    onClose();
+  };
+
+  const toggleArchived = () => {
+    if (!cls.archived && !confirm(`Archive ${cls.name}? It moves to the end of the class list and is left out of exports; nothing is deleted.`)) return;
+    setState((p)=> setClassArchived(p, cls.id, !cls.archived));
+    onClose();
+  };
+
+  const remove = () => {
+    const marks = countMarks(cls, Object.keys(cls.marks));
+    if (!confirm(`Delete ${cls.name} with its ${cls.students.length} students and ${marks} marks? It is also unlinked from ${linked} skill${linked===1?"":"s"}. (Undo is available; Archive keeps everything instead.)`)) return;
+    setState((p)=> deleteClass(p, cls.id));
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-md rounded-2xl bg-white p-4 shadow-xl space-y-4 text-sm">
+        <div className="flex items-center justify-between">
+          <h4 className="font-semibold">Manage {cls.name}</h4>
+          <button className="text-sm text-gray-500" onClick={onClose}>Close</button>
+        </div>
+
+        <div className="space-y-2">
+          <div className="font-medium">Duplicate</div>
+          <input value={copyName} onChange={(e)=>setCopyName(e.target.value)} className="w-full rounded-xl border px-2 py-1" aria-label="Name of the copy" />
+          <label className="flex items-center gap-2"><input type="checkbox" checked={withRoster} onChange={(e)=>setWithRoster(e.target.checked)} />Include roster and seats (marks are not copied)</label>
+          <div className="text-xs text-gray-500">Layout, grade, level scale and {linked} skill link{linked===1?"":"s"} are copied.</div>
+          <div className="flex justify-end"><button onClick={duplicate} disabled={!copyName.trim()} className="rounded-xl border px-3 py-1 bg-blue-50 border-blue-300 hover:bg-blue-100 disabled:opacity-40">Duplicate</button></div>
+        </div>
+
+        {others.length > 0 && (
+          <div className="space-y-2">
+            <div className="font-medium">Copy desk layout to</div>
+            <div className="max-h-32 overflow-y-auto space-y-1">
+              {others.map((c)=> (
+                <label key={c.id} className="flex items-center gap-2"><input type="checkbox" checked={layoutTargets.includes(c.id)} onChange={()=>toggleTarget(c.id)} />{c.name}</label>
+              ))}
+            </div>
+            <div className="text-xs text-gray-500">Grid size, layout mode, desks with their free-layout positions and room fixtures; students keep the desk at the same row and seat.</div>
+            <div className="flex justify-end"><button onClick={applyLayout} disabled={!layoutTargets.length} className="rounded-xl border px-3 py-1 hover:bg-slate-50 disabled:opacity-40">Copy layout</button></div>
+          </div>
+        )}
+
+        <div className="flex flex-wrap justify-end gap-2 border-t pt-3">
+          <button onClick={toggleArchived} disabled={!cls.archived && !others.length} title={!cls.archived && !others.length ? "The only active class cannot be archived" : undefined} className="rounded-xl border px-3 py-1 hover:bg-slate-50 disabled:opacity-40">{cls.archived ? "Restore class" : "Archive class"}</button>
+          <button onClick={remove} disabled={state.classes.length < 2} title={state.classes.length < 2 ? "The last class cannot be deleted" : undefined} className="rounded-xl border border-red-200 px-3 py-1 text-red-700 hover:bg-red-50 disabled:opacity-40">Delete class…</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** Progress reports for one student or the whole class, opened in a new tab to print or downloaded as HTML */
+function ReportModal({ state, classId, studentId, onClose }){
+  const cls = state.classes.find((c)=> c.id===classId);
+  const students = (cls?.students || [])
+    .filter((s)=> !s.archived || s.id===studentId)
+    .sort((a,b)=> a.name.localeCompare(b.name, undefined, { numeric: true }));
+  const [scope, setScope] = useState(studentId ? "student" : "class");
+  const [pick, setPick] = useState(studentId || students[0]?.id || "");
+  const [withNotes, setWithNotes] = useState(true);
+  if (!cls) return null;
+
+  const picked = students.find((s)=> s.id===pick);
+  const ids = scope === "class" ? activeStudents(cls).map((s)=> s.id) : picked ? [pick] : [];
+  const subject = scope === "class" ? cls.name : picked?.name ?? "";
+  const build = () => reportHtml(
+    students.filter((s)=> ids.includes(s.id)).map((s)=> studentReport(state, cls, s.id, { withNotes })),
+    { title: `${subject} — Progress report${scope === "class" ? "s" : ""}` },
+  );
+
+  const open = () => {
+    const url = URL.createObjectURL(new Blob([build()], { type: "text/html;charset=utf-8" }));
+    if (!window.open(url, "_blank")) {
+      URL.revokeObjectURL(url);
+      alert("The browser blocked the new tab. Use Download HTML instead.");
+      return;
+    }
+    setTimeout(()=> URL.revokeObjectURL(url), 60000);
+  };
+  const download = () => downloadFile(`report-${fileSafe(subject)}-${todayStamp()}.html`, build(), "text/html;charset=utf-8");
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-md rounded-2xl bg-white p-4 shadow-xl space-y-3 text-sm">
+        <div className="flex items-center justify-between">
+          <h4 className="font-semibold">Progress report</h4>
+          <button className="text-sm text-gray-500" onClick={onClose}>Close</button>
+        </div>
+        <label className="flex items-center justify-between gap-2">Report for
+          <select value={scope} onChange={(e)=>setScope(e.target.value)} className="rounded-xl border px-2 py-1">
+            <option value="student">One student</option>
+            <option value="class">Whole class ({activeStudents(cls).length}, a page each)</option>
+          </select>
+        </label>
+        {scope === "student" && (
+          <label className="flex items-center justify-between gap-2">Student
+            <select value={pick} onChange={(e)=>setPick(e.target.value)} className="rounded-xl border px-2 py-1">
+              {students.map((s)=> <option key={s.id} value={s.id}>{s.name}{s.archived ? " (archived)" : ""}</option>)}
+            </select>
+          </label>
+        )}
+        <label className="flex items-center gap-2"><input type="checkbox" checked={withNotes} onChange={(e)=>setWithNotes(e.target.checked)} />Include teacher notes</label>
+        <p className="text-xs text-gray-500">Each report lists a summary by domain, then every skill linked to {cls.name} with its standard, current level and the date it was last marked. Print it or save it as PDF from the browser.</p>
+        <div className="flex justify-end gap-2">
+          <button onClick={download} disabled={!ids.length} className="rounded-xl border px-3 py-1 hover:bg-slate-50 disabled:opacity-40">Download HTML</button>
+          <button onClick={open} disabled={!ids.length} className="inline-flex items-center gap-1 rounded-xl border px-3 py-1 bg-blue-50 border-blue-300 hover:bg-blue-100 disabled:opacity-40"><Printer className="h-3 w-3"/>Open to print</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** What a note is about: its skill (with standard code), a standard code alone, or "General" */
+function noteTopic(state, note){
+  const skill = state.skills.find((s)=> s.id===note.skillId);
+  if (skill) return skill.standardCode ? `${skill.name} (${skill.standardCode})` : skill.name;
+  if (note.skillId) return "(deleted skill)";
+  return note.standardCode || "General";
+}
+
+/** Notes newest first; studentName shows whose note it is (search results), onDelete adds a delete button */
+function NoteList({ state, notes, studentName, onOpenStudent, onDelete }){
+  if (!notes.length) return <div className="text-xs text-gray-500">No notes.</div>;
+  return (
+    <ul className="space-y-2">
+      {notes.map((n)=> (
+        <li key={n.id} className="rounded-xl border px-3 py-2">
+          <div className="flex items-center gap-2 text-xs text-gray-500">
+            <span title={new Date(n.at).toLocaleString()}>{shortDate(n.at)}</span>
+            {studentName && (onOpenStudent
+              ? <button onClick={()=> onOpenStudent(n.studentId)} className="font-medium text-blue-600 hover:underline">{studentName(n.studentId)}</button>
+              : <span className="font-medium">{studentName(n.studentId)}</span>)}
+            <span className="rounded bg-slate-100 px-1">{noteTopic(state, n)}</span>
+            {onDelete && <button onClick={()=> onDelete(n)} className="ml-auto text-red-600 hover:underline">Delete</button>}
+          </div>
+          <div className="mt-1 whitespace-pre-wrap text-sm">{n.text}</div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/** One student's notes with a form to add another; the selected skill is the default topic */
+function StudentNotesModal({ state, cls, studentId, defaultSkillId, setState, onClose }){
+  const [text, setText] = useState("");
+  const [skillId, setSkillId] = useState(defaultSkillId);
+  const [standardCode, setStandardCode] = useState("");
+  const student = cls.students.find((s)=> s.id===studentId);
+  const skills = state.skills.filter((s)=> s.classIds.includes(cls.id));
+  if (!student) return null;
+
+  const save = () => {
+    const res = addNote(cls, { studentId, text, skillId: skillId || null, standardCode: skillId ? "" : standardCode });
+    if (!res) return;
+    setState((p)=> updateClass(p, cls.id, (c)=> ({ ...c, notes: [...(c.notes || []), res.note] })));
+    setText("");
+  };
+  const remove = (note) => {
+    if (!confirm(`Delete this note from ${shortDate(note.at)}? (Undo is available.)`)) return;
+    setState((p)=> updateClass(p, cls.id, (c)=> deleteNote(c, note.id)));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-lg rounded-2xl bg-white p-4 shadow-xl space-y-3 text-sm">
+        <div className="flex items-center justify-between">
+          <h4 className="font-semibold">Notes — {student.name}</h4>
+          <button className="text-sm text-gray-500" onClick={onClose}>Close</button>
+        </div>
+        <textarea value={text} onChange={(e)=>setText(e.target.value)} autoFocus rows={3} aria-label="New note"
+          onKeyDown={(e)=>{ if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) { e.preventDefault(); save(); } }}
+          placeholder="e.g. sets up the equation correctly but drops the negative sign" className="w-full rounded-xl border px-3 py-2" />
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={skillId} onChange={(e)=>setSkillId(e.target.value)} className="rounded-xl border px-2 py-1" aria-label="Skill">
+            <option value="">No skill</option>
+            {skills.map((s)=> <option key={s.id} value={s.id}>{s.name}{s.standardCode ? ` — ${s.standardCode}` : ""}</option>)}
+          </select>
+          {!skillId && <input value={standardCode} onChange={(e)=>setStandardCode(e.target.value)} placeholder="Standard code (optional)" aria-label="Standard code" className="w-44 rounded-xl border px-2 py-1" />}
+          <button onClick={save} disabled={!text.trim()} title="Ctrl/Cmd+Enter" className="ml-auto rounded-xl border px-3 py-1 bg-blue-50 border-blue-300 hover:bg-blue-100 disabled:opacity-40">Add note</button>
+        </div>
+        <div className="max-h-[50vh] overflow-y-auto">
+          <NoteList state={state} notes={studentNotes(cls, studentId)} onDelete={remove} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** Every note in the class, filtered by words in the text, student, skill or standard */
+function NotesSearchModal({ state, cls, onOpenStudent, onClose }){
+  const [query, setQuery] = useState("");
+  const name = (id)=> cls.students.find((s)=> s.id===id)?.name ?? "";
+  const results = searchNotes(cls, query, (n)=> `${name(n.studentId)} ${noteTopic(state, n)}`);
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-2xl rounded-2xl bg-white p-4 shadow-xl space-y-3 text-sm">
+        <div className="flex items-center justify-between">
+          <h4 className="font-semibold">Notes — {cls.name}</h4>
+          <button className="text-sm text-gray-500" onClick={onClose}>Close</button>
+        </div>
+        <input value={query} onChange={(e)=>setQuery(e.target.value)} autoFocus placeholder="Search notes, students, skills or standards" aria-label="Search notes" className="w-full rounded-xl border px-3 py-2" />
+        <div className="text-xs text-gray-500">{results.length} of {(cls.notes || []).length} note{(cls.notes || []).length===1?"":"s"} — click a name to add a note for that student</div>
+        <div className="max-h-[60vh] overflow-y-auto">
+          <NoteList state={state} notes={results} studentName={name} onOpenStudent={onOpenStudent} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function StudentProfile({ state, setState, classId, studentId, onReport, onClose }){
+  const cls = state.classes.find((c)=> c.id===classId);
+  const student = cls?.students.find((s)=> s.id===studentId);
+  const [moveTo, setMoveTo] = useState("");
+  if (!cls || !student) return null;
+  const seat = cls.seats.find((s)=> s.studentId===studentId);
+  const others = findStudentAcrossClasses(state, student).filter((m)=> m.cls.id !== cls.id);
+  const markedSkills = Object.keys(cls.marks).filter((k)=> markHistory(cls, k, studentId).length);
+
+  const clearAll = () => {
+    if (!confirm(`Clear every mark for ${student.name} in ${cls.name}? (Undo is available.)`)) return;
+    setState((p)=> updateClass(p, cls.id, (c)=> clearStudentMarks(c, studentId)));
+  };
+
+  const rename = () => {
+    const name = prompt("Student name?", student.name);
+    if (!name || !name.trim() || name.trim() === student.name) return;
+    setState((p)=> updateClass(p, cls.id, (c)=> updateStudent(c, studentId, { name: name.trim() })));
+  };
+
+  const toggleArchived = () => {
+    if (!student.archived && !confirm(`Archive ${student.name}? They leave their seat and are hidden from the roster, groups and reports; their marks are kept.`)) return;
+    setState((p)=> updateClass(p, cls.id, (c)=> setStudentArchived(c, studentId, !student.archived)));
+  };
+
+  const remove = () => {
+    if (!confirm(`Remove ${student.name} from ${cls.name}? Their seat and all ${markedSkills.length} skill histories are deleted. (Undo is available; Archive keeps the history instead.)`)) return;
+    setState((p)=> updateClass(p, cls.id, (c)=> removeStudent(c, studentId)));
+    onClose();
+  };
+
+  const transfer = () => {
+    const target = state.classes.find((c)=> c.id===moveTo);
+    if (!target) return;
+    const carried = sharedSkills(state, cls.id, target.id).filter((sk)=> markedSkills.includes(sk.id)).length;
+    const lost = markedSkills.length - carried;
+    if (!confirm(`Move ${student.name} to ${target.name}? Marks on ${carried} shared skill${carried===1?"":"s"} go along${lost ? `; ${lost} skill histor${lost===1?"y":"ies"} only linked to ${cls.name} will be dropped` : ""}. They start without a seat.`)) return;
+    setState((p)=> transferStudent(p, cls.id, target.id, studentId));
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
+      <div className="w-full max-w-2xl rounded-2xl bg-white p-4 shadow-xl">
+        <div className="flex items-center justify-between mb-1">
+          <h4 className="font-semibold">{student.name}</h4>
+          <button className="text-sm text-gray-500" onClick={onClose}>Close</button>
+        </div>
+        <div className="mb-3 flex flex-wrap items-center gap-2">
+          <Badge>{cls.name}</Badge>
+          <Badge>{student.archived ? "Archived" : seat ? seatLabel(seat) : "No seat"}</Badge>
+          {student.sisId && <Badge>ID: {student.sisId}</Badge>}
+        </div>
+        <div className="max-h-[60vh] overflow-y-auto space-y-4">
+          <ProfileSkills state={state} cls={cls} studentId={studentId} />
+          {studentNotes(cls, studentId).length > 0 && (
+            <div>
+              <div className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1">Notes</div>
+              <NoteList state={state} notes={studentNotes(cls, studentId)} />
+            </div>
+          )}
+          {others.map(({ cls: oc, student: os })=> (
+            <div key={oc.id}>
+              <div className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1">Also in {oc.name}</div>
+              <ProfileSkills state={state} cls={oc} studentId={os.id} />
+            </div>
+          ))}
+        </div>
+        <div className="mt-3 flex flex-wrap items-center justify-end gap-2 text-sm">
+          <button onClick={onReport} className="inline-flex items-center gap-1 rounded-xl border px-3 py-1 hover:bg-slate-50"><FileText className="h-3 w-3"/>Progress report…</button>
+          <button onClick={rename} className="rounded-xl border px-3 py-1 hover:bg-slate-50">Rename…</button>
+          {activeClasses(state).some((c)=> c.id !== cls.id) && (
+            <span className="inline-flex items-center gap-1">
+              <select value={moveTo} onChange={(e)=>setMoveTo(e.target.value)} className="rounded-xl border px-2 py-1">
+                <option value="">Move to class…</option>
+                {activeClasses(state).filter((c)=> c.id !== cls.id).map((c)=> <option key={c.id} value={c.id}>{c.name}</option>)}
+              </select>
+              <button onClick={transfer} disabled={!moveTo} className="rounded-xl border px-3 py-1 hover:bg-slate-50 disabled:opacity-40">Move</button>
+            </span>
+          )}
+          <button onClick={toggleArchived} className="rounded-xl border px-3 py-1 hover:bg-slate-50">{student.archived ? "Restore to roster" : "Archive"}</button>
+          <button onClick={clearAll} className="rounded-xl border border-red-200 px-3 py-1 text-red-700 hover:bg-red-50">Clear all marks…</button>
+          <button onClick={remove} className="rounded-xl border border-red-200 px-3 py-1 text-red-700 hover:bg-red-50">Remove…</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** Linked skills for one student in one class, grouped by NC domain */
+function ProfileSkills({ state, cls, studentId }){
+  const skills = state.skills.filter((s)=> s.classIds.includes(cls.id));
+  if (!skills.length) return <div className="text-sm text-gray-500">No skills linked to {cls.name}.</div>;
+  const groups = new Map();
+  for (const sk of skills) {
+    const d = sk.domain || "Other";
+    if (!groups.has(d)) groups.set(d, []);
+    groups.get(d).push(sk);
+  }
+  return (
+    <div className="space-y-3">
+      {Array.from(groups.entries()).map(([domain, list])=> (
+        <div key={domain}>
+          <div className="text-sm font-semibold mb-1">{domain}</div>
+          <div className="divide-y rounded-xl border">
+            {list.map((sk)=>{
+              const entries = markHistory(cls, sk.id, studentId);
+              const metas = scaleMetas(effectiveScale(state, cls, sk));
+              const meta = metaFor(metas, latestLevel(entries));
+              return (
+                <div key={sk.id} className="px-2 py-1.5">
+                  <div className="flex items-center gap-2 text-sm">
+                    <span className="flex-1">{sk.name}</span>
+                    {sk.standardCode && <span className="text-xs text-gray-500">{sk.standardCode}</span>}
+                    <span className={`rounded-full px-2 py-0.5 text-xs ring-1 ${meta.bg} ${meta.ring} ${meta.text}`}>{meta.name}</span>
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {entries.length===0 ? "No observations yet" : entries.map((e)=> `${metaFor(metas, e.level).name} on ${shortDate(e.at)}`).join(" → ")}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import { activeStudents } from "./classes";
+import { shuffle } from "./groups";
+import { levelName } from "./scales";
+
+/**
+ * Arranging a class grid from the teacher's seating rules: keep pairs apart, seat students in the front row, and
+ * sit a student at the lowest level next to a Proficient (or better) neighbor on one skill.
+ */
+
+/**
+ * Scores a placement (slot index -> studentId|null). Row 0 is the front.
+ * "Apart" = not in touching seats (including diagonals). "Pair" = a student at the lowest level has a
+ * neighbor at or above the proficient level directly left or right. Returns the list of broken rules when `explain` is set, else a count.
+ */
+export function seatingViolations(slots, placement, ctx, explain = false) {
+  const pos = new Map();
+  placement.forEach((id, i) => { if (id) pos.set(id, slots[i]); });
+  const broken = [];
+  for (const id of ctx.rules.front) {
+    const p = pos.get(id);
+    if (p && p.r !== 0) broken.push(`${ctx.name(id)} is not in the front row`);
+  }
+  for (const [a, b] of ctx.rules.apart) {
+    const pa = pos.get(a), pb = pos.get(b);
+    if (pa && pb && Math.abs(pa.r - pb.r) <= 1 && Math.abs(pa.c - pb.c) <= 1) broken.push(`${ctx.name(a)} and ${ctx.name(b)} are seated together`);
+  }
+  if (ctx.levels) {
+    for (const [id, p] of pos) {
+      if (ctx.levels.get(id) !== 1) continue;
+      const buddy = [p.c - 1, p.c + 1].some((c) => { const nb = ctx.at.get(`${p.r},${c}`); const nid = nb != null ? placement[nb] : null; return nid && ctx.levels.get(nid) >= ctx.proficientAt; });
+      if (!buddy) broken.push(`${ctx.name(id)} (${ctx.lowName}) has no ${ctx.highName} neighbor`);
+    }
+  }
+  return explain ? broken : broken.length;
+}
+
+/**
+ * Fills the class grid from rules by random restarts + swap hill-climbing.
+ * levelsBySkill(skillId) -> { levels: Map<studentId, level>, scale } for the pairing rule.
+ * Returns { seats, unmet: string[], unseated: string[] } — seats keep their x/y, only studentId changes.
+ * `random` (default Math.random) drives every shuffle and swap, so a seeded one gives a repeatable result.
+ */
+export function arrangeSeats(cls, rules, levelsBySkill, { restarts = 12, iterations = 2500, random = Math.random } = {}) {
+  const order = [...cls.seats].sort((a, b) => a.r - b.r || a.c - b.c);
+  const students = shuffle(activeStudents(cls).map((s) => s.id), random);
+  const unseated = students.slice(order.length);
+  const ids = students.slice(0, order.length);
+  const slots = (rules.fillFront ? order.slice(0, Math.max(ids.length, 1)) : order).map((s) => ({ r: s.r, c: s.c }));
+  const at = new Map(slots.map((s, i) => [`${s.r},${s.c}`, i]));
+  const name = (id) => cls.students.find((s) => s.id === id)?.name ?? id;
+  const pairing = rules.pairSkillId ? levelsBySkill(rules.pairSkillId) : null;
+  const ctx = { rules, name, at, levels: pairing?.levels ?? null };
+  if (pairing) {
+    const { scale } = pairing;
+    Object.assign(ctx, { proficientAt: scale.proficientAt, lowName: levelName(scale, 1), highName: `${levelName(scale, scale.proficientAt)}+` });
+  }
+
+  let best = null, bestCost = Infinity;
+  for (let r = 0; r < restarts && bestCost > 0; r++) {
+    const placement = shuffle([...ids, ...Array(slots.length - ids.length).fill(null)], random);
+    let cost = seatingViolations(slots, placement, ctx);
+    for (let it = 0; it < iterations && cost > 0; it++) {
+      const i = Math.floor(random() * slots.length), j = Math.floor(random() * slots.length);
+      if (i === j || placement[i] === placement[j]) continue;
+      [placement[i], placement[j]] = [placement[j], placement[i]];
+      const next = seatingViolations(slots, placement, ctx);
+      if (next <= cost) cost = next;
+      else [placement[i], placement[j]] = [placement[j], placement[i]];
+    }
+    if (cost < bestCost) { best = [...placement]; bestCost = cost; }
+  }
+  const byKey = new Map(slots.map((s, i) => [`${s.r},${s.c}`, best ? best[i] : null]));
+  const seats = cls.seats.map((s) => ({ ...s, studentId: byKey.get(`${s.r},${s.c}`) ?? null }));
+  const unmet = best ? seatingViolations(slots, best, ctx, true) : [];
+  const frontSeats = slots.filter((s) => s.r === 0).length;
+  if (rules.front.length > frontSeats) unmet.unshift(`${rules.front.length} students must sit in front but row 1 has ${frontSeats} seats`);
+  return { seats, unmet, unseated: unseated.map(name) };
+}
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { BUILTIN_SCALES } from "./schema";
+import { arrangeSeats, seatingViolations } from "./arrange";
+
+const [four] = BUILTIN_SCALES;
+const rules = (fields = {}) => ({ apart: [], front: [], pairSkillId: null, fillFront: true, ...fields });
+/** rows × cols grid, students s0..s(n-1) all unseated */
+const cls = (rows, cols, n) => ({
+  rows, cols,
+  seats: Array.from({ length: rows * cols }, (_, i) => ({ r: Math.floor(i / cols), c: i % cols, studentId: null })),
+  students: Array.from({ length: n }, (_, i) => ({ id: `s${i}`, name: `S${i}` })),
+});
+/** Small seeded generator (mulberry32) so every run places students the same way */
+const seeded = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+const opts = () => ({ random: seeded(214) });
+const seatOf = (seats, id) => seats.find((s) => s.studentId === id);
+const touching = (a, b) => Math.abs(a.r - b.r) <= 1 && Math.abs(a.c - b.c) <= 1;
+
+describe("arrangeSeats", () => {
+  it("meets front-row and keep-apart rules when they can be met", () => {
+    const { seats, unmet, unseated } = arrangeSeats(cls(3, 3, 9), rules({ front: ["s0", "s1"], apart: [["s2", "s3"], ["s0", "s4"]] }), () => null, opts());
+    expect(unmet).toEqual([]);
+    expect(unseated).toEqual([]);
+    expect([seatOf(seats, "s0").r, seatOf(seats, "s1").r]).toEqual([0, 0]);
+    expect(touching(seatOf(seats, "s2"), seatOf(seats, "s3"))).toBe(false);
+    expect(touching(seatOf(seats, "s0"), seatOf(seats, "s4"))).toBe(false);
+  });
+
+  it("sits each lowest-level student beside a Proficient-or-better neighbor", () => {
+    const levels = new Map([["s0", 1], ["s1", 1], ["s2", 3], ["s3", 4], ["s4", 2], ["s5", 2]]);
+    const { seats, unmet } = arrangeSeats(cls(2, 3, 6), rules({ pairSkillId: "k" }), () => ({ levels, scale: four }), opts());
+    expect(unmet).toEqual([]);
+    for (const id of ["s0", "s1"]) {
+      const p = seatOf(seats, id);
+      const beside = seats.filter((s) => s.r === p.r && Math.abs(s.c - p.c) === 1).map((s) => levels.get(s.studentId));
+      expect(beside.some((lv) => lv >= 3)).toBe(true);
+    }
+  });
+
+  it("fills the front first, leaves extra students unseated and explains rules it cannot meet", () => {
+    const front = arrangeSeats(cls(2, 3, 3), rules(), () => null, opts());
+    expect(front.seats.filter((s) => s.studentId).every((s) => s.r === 0)).toBe(true);
+    const crowded = arrangeSeats(cls(1, 2, 3), rules({ front: ["s0", "s1", "s2"] }), () => null, opts());
+    expect(crowded.unseated).toHaveLength(1);
+    expect(crowded.unmet[0]).toBe("3 students must sit in front but row 1 has 2 seats");
+  });
+});
+
+describe("arrangeSeats with a seeded random", () => {
+  it("gives the same seating for the same seed", () => {
+    const run = () => arrangeSeats(cls(3, 3, 7), rules({ apart: [["s1", "s2"]] }), () => null, opts()).seats.map((s) => s.studentId);
+    expect(run()).toEqual(run());
+  });
+});
+
+describe("seatingViolations", () => {
+  it("counts broken rules, or names them when asked", () => {
+    const slots = [{ r: 0, c: 0 }, { r: 0, c: 1 }, { r: 1, c: 0 }];
+    const ctx = { rules: rules({ front: ["b"], apart: [["a", "c"]] }), name: (id) => id.toUpperCase(), at: new Map(slots.map((s, i) => [`${s.r},${s.c}`, i])), levels: null };
+    expect(seatingViolations(slots, ["a", null, "b"], ctx)).toBe(1);
+    expect(seatingViolations(slots, ["a", "c", "b"], ctx, true)).toEqual(["B is not in the front row", "A and C are seated together"]);
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Daily attendance per class. `cls.attendance[date][studentId]` is "absent" or "tardy"; a student without an
+ * entry is present, so a new day needs no data. Dates are local calendar days ("YYYY-MM-DD").
+ *
+ * Absent students are skipped when marking and left out of level counts; tardy students are marked as usual.
+ */
+
+export const ATTENDANCE_STATUSES = ["present", "absent", "tardy"];
+
+export const statusOf = (cls, date, studentId) => cls.attendance?.[date]?.[studentId] || "present";
+
+/** Present → absent → tardy → present (tapping a seat in attendance mode) */
+export const nextStatus = (status) => ATTENDANCE_STATUSES[(ATTENDANCE_STATUSES.indexOf(status) + 1) % ATTENDANCE_STATUSES.length];
+
+/** Returns the class with one student's status for a day; "present" removes the entry (does not mutate) */
+export function setAttendance(cls, date, studentId, status) {
+  const { [studentId]: _, ...rest } = cls.attendance?.[date] || {};
+  const day = status === "present" ? rest : { ...rest, [studentId]: status };
+  const { [date]: __, ...days } = cls.attendance || {};
+  return { ...cls, attendance: Object.keys(day).length ? { ...days, [date]: day } : days };
+}
+
+/** Ids of students marked absent that day */
+export function absentIds(cls, date) {
+  return new Set(Object.entries(cls.attendance?.[date] || {}).filter(([, st]) => st === "absent").map(([id]) => id));
+}
+
+/** { present, absent, tardy } for the given students on a day */
+export function attendanceCounts(cls, date, studentIds) {
+  const out = { present: 0, absent: 0, tardy: 0 };
+  for (const id of studentIds) out[statusOf(cls, date, id)]++;
+  return out;
+}
+
+/** Drops a student from every day (removed from the class) */
+export function clearStudentAttendance(cls, studentId) {
+  if (!cls.attendance) return cls;
+  const attendance = {};
+  for (const [date, day] of Object.entries(cls.attendance)) {
+    const { [studentId]: _, ...rest } = day;
+    if (Object.keys(rest).length) attendance[date] = rest;
+  }
+  return { ...cls, attendance };
+}
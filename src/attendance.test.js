@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { absentIds, attendanceCounts, clearStudentAttendance, nextStatus, setAttendance, statusOf } from "./attendance";
+
+const cls = () => ({ id: "A", students: [{ id: "s1" }, { id: "s2" }, { id: "s3" }], attendance: { "2026-10-01": { s1: "absent", s2: "tardy" } } });
+
+describe("attendance", () => {
+  it("treats students without an entry as present", () => {
+    expect(statusOf(cls(), "2026-10-01", "s3")).toBe("present");
+    expect(statusOf(cls(), "2026-10-02", "s1")).toBe("present");
+    expect(statusOf({ id: "B" }, "2026-10-01", "s1")).toBe("present");
+  });
+
+  it("cycles present, absent, tardy", () => {
+    expect(["present", "absent", "tardy"].map(nextStatus)).toEqual(["absent", "tardy", "present"]);
+  });
+
+  it("stores only absent and tardy and drops empty days", () => {
+    const c = cls();
+    const next = setAttendance(c, "2026-10-02", "s3", "absent");
+    expect(next.attendance["2026-10-02"]).toEqual({ s3: "absent" });
+    expect(next.attendance["2026-10-01"]).toBe(c.attendance["2026-10-01"]);
+    const back = setAttendance(setAttendance(next, "2026-10-02", "s3", "present"), "2026-10-01", "s1", "present");
+    expect(back.attendance).toEqual({ "2026-10-01": { s2: "tardy" } });
+    expect(c.attendance["2026-10-01"]).toEqual({ s1: "absent", s2: "tardy" });
+  });
+
+  it("leaves absent students out; tardy students still count", () => {
+    expect([...absentIds(cls(), "2026-10-01")]).toEqual(["s1"]);
+    expect(attendanceCounts(cls(), "2026-10-01", ["s1", "s2", "s3"])).toEqual({ present: 1, absent: 1, tardy: 1 });
+  });
+
+  it("forgets a removed student on every day", () => {
+    expect(clearStudentAttendance(cls(), "s1").attendance).toEqual({ "2026-10-01": { s2: "tardy" } });
+    expect(clearStudentAttendance(setAttendance(cls(), "2026-10-01", "s2", "present"), "s1").attendance).toEqual({});
+  });
+});
@@ -0,0 +1,182 @@
+import { clearStudentAttendance } from "./attendance";
+import { markHistory } from "./marks";
+import { clearStudentNotes, studentNotes } from "./notes";
+import { nameKey } from "./roster";
+import { convertLevel, normalizeSeatingRules, uid } from "./schema";
+import { effectiveScale } from "./scales";
+
+/**
+ * Class and student lifecycle on the whole app state or one class: every function returns new objects and leaves
+ * its input alone, so results can go straight onto the undo stack.
+ */
+
+/** Returns state with class `classId` replaced by fn(cls); returning the same class means "no change" */
+export function updateClass(p, classId, fn) {
+  const idx = p.classes.findIndex((c) => c.id === classId);
+  if (idx < 0) return p;
+  const cls = fn(p.classes[idx]);
+  if (!cls || cls === p.classes[idx]) return p;
+  const classes = [...p.classes];
+  classes[idx] = cls;
+  return { ...p, classes };
+}
+export const updateSelectedClass = (p, fn) => updateClass(p, p.selectedClassId, fn);
+
+// ---------- Students ----------
+/** Students still on the roster; archived ones keep their history but are hidden from seats, groups, stats and exports */
+export const activeStudents = (cls) => cls.students.filter((s) => !s.archived);
+
+/** Removes every mark (all skills) for one student in a class */
+export function clearStudentMarks(cls, studentId) {
+  const marks = {};
+  for (const [key, byStudent] of Object.entries(cls.marks)) {
+    if (byStudent && studentId in byStudent) { const { [studentId]: _, ...rest } = byStudent; marks[key] = rest; }
+    else marks[key] = byStudent;
+  }
+  return { ...cls, marks };
+}
+
+/** Frees the student's seat and drops them from seating rules; roster and marks are untouched */
+export function unseatStudent(cls, studentId) {
+  const rules = cls.seatingRules && normalizeSeatingRules(cls.seatingRules);
+  return {
+    ...cls,
+    seats: cls.seats.map((s) => (s.studentId === studentId ? { ...s, studentId: null } : s)),
+    ...(rules ? { seatingRules: { ...rules, apart: rules.apart.filter((pr) => !pr.includes(studentId)), front: rules.front.filter((id) => id !== studentId) } } : {}),
+  };
+}
+
+/** Takes a student out of a class completely: roster entry, seat, seating rules and every mark */
+export function removeStudent(cls, studentId) {
+  const c = unseatStudent(clearStudentNotes(clearStudentAttendance(clearStudentMarks(cls, studentId), studentId), studentId), studentId);
+  return { ...c, students: c.students.filter((s) => s.id !== studentId), marks: Object.fromEntries(Object.entries(c.marks).filter(([, bySt]) => bySt)) };
+}
+
+export function updateStudent(cls, studentId, fields) {
+  return { ...cls, students: cls.students.map((s) => (s.id === studentId ? { ...s, ...fields } : s)) };
+}
+
+/** Archiving frees the seat and keeps the marks; restoring puts the student back on the roster unseated */
+export function setStudentArchived(cls, studentId, archived) {
+  const { archived: _, ...rest } = cls.students.find((s) => s.id === studentId) || {};
+  const c = { ...cls, students: cls.students.map((s) => (s.id === studentId ? (archived ? { ...rest, archived: true } : rest) : s)) };
+  return archived ? unseatStudent(c, studentId) : c;
+}
+
+/** Skills whose marks follow a student from one class to another (linked to both) */
+export const sharedSkills = (state, fromId, toId) => state.skills.filter((s) => s.classIds.includes(fromId) && s.classIds.includes(toId));
+
+/**
+ * Moves a student to another class (schedule change). Marks on skills linked to both classes go with them,
+ * converted when the two classes use different level scales; the rest leave with the old roster entry.
+ * Notes about the student go with them.
+ */
+export function transferStudent(state, fromId, toId, studentId) {
+  const from = state.classes.find((c) => c.id === fromId);
+  const to = state.classes.find((c) => c.id === toId);
+  const student = from?.students.find((s) => s.id === studentId);
+  if (!student || !to || to.students.some((s) => s.id === studentId)) return state;
+  const carried = {};
+  for (const sk of sharedSkills(state, fromId, toId)) {
+    const entries = markHistory(from, sk.id, studentId);
+    if (!entries.length) continue;
+    const a = effectiveScale(state, from, sk), b = effectiveScale(state, to, sk);
+    carried[sk.id] = entries.map((e) => ({ ...e, level: convertLevel(e.level, a, b) }));
+  }
+  const notes = studentNotes(from, studentId);
+  let next = updateClass(state, fromId, (c) => removeStudent(c, studentId));
+  next = updateClass(next, toId, (c) => {
+    const marks = { ...c.marks };
+    for (const [skillId, entries] of Object.entries(carried)) marks[skillId] = { ...marks[skillId], [studentId]: entries };
+    const { archived: _, ...moved } = student;
+    return { ...c, students: [...c.students, moved], marks, ...(notes.length ? { notes: [...(c.notes || []), ...notes] } : {}) };
+  });
+  return next;
+}
+
+/** The same student in other classes: matched by SIS id when both have one, else by name */
+export function findStudentAcrossClasses(state, student) {
+  const out = [];
+  for (const cl of state.classes) {
+    const match = cl.students.find((s) => (student.sisId && s.sisId ? s.sisId === student.sisId : nameKey(s.name) === nameKey(student.name)));
+    if (match) out.push({ cls: cl, student: match });
+  }
+  return out;
+}
+
+// ---------- Classes ----------
+export const gridSeats = (rows, cols) => Array.from({ length: rows * cols }, (_, i) => ({ r: Math.floor(i / cols), c: i % cols, studentId: null }));
+
+/** Classes for the day-to-day pickers; archived periods stay in the data (and in exports of the whole file) */
+export const activeClasses = (state) => state.classes.filter((c) => !c.archived);
+
+/** Selection to fall back on when `classId` goes away: the first other active class, else any other class */
+const otherClassId = (state, classId) => (activeClasses(state).find((c) => c.id !== classId) || state.classes.find((c) => c.id !== classId))?.id;
+
+/** Deletes a class with its roster and marks and unlinks it from every skill (the skills themselves stay in the library) */
+export function deleteClass(state, classId) {
+  if (state.classes.length < 2 || !state.classes.some((c) => c.id === classId)) return state;
+  return {
+    ...state,
+    classes: state.classes.filter((c) => c.id !== classId),
+    skills: state.skills.map((s) => (s.classIds.includes(classId) ? { ...s, classIds: s.classIds.filter((id) => id !== classId) } : s)),
+    selectedClassId: state.selectedClassId === classId ? otherClassId(state, classId) : state.selectedClassId,
+  };
+}
+
+/** Class fields a duplicate copies as they are; marks, attendance and notes belong to one period and never do */
+const DUPLICATED_SETTINGS = ["rows", "cols", "layoutMode", "gradeLevel", "scaleId", "fixtures"];
+
+/**
+ * A new class with the same room layout, grade, scale and skill links. With `withRoster` the students (same ids)
+ * and their seats and seating rules come along; the copy starts a fresh term either way.
+ */
+export function duplicateClass(state, classId, { name, withRoster }) {
+  const src = state.classes.find((c) => c.id === classId);
+  if (!src) return state;
+  const id = uid();
+  const rules = normalizeSeatingRules(src.seatingRules);
+  const settings = Object.fromEntries(DUPLICATED_SETTINGS.filter((k) => k in src).map((k) => [k, src[k]]));
+  const copy = {
+    ...settings,
+    id,
+    name,
+    seats: src.seats.map((s) => ({ ...s, studentId: withRoster ? s.studentId : null })),
+    students: withRoster ? activeStudents(src).map(({ archived: _a, ...s }) => s) : [],
+    marks: {},
+    seatingRules: { ...rules, apart: [], front: [] },
+  };
+  if (withRoster) {
+    const kept = new Set(copy.students.map((s) => s.id));
+    copy.seats = copy.seats.map((s) => (s.studentId && !kept.has(s.studentId) ? { ...s, studentId: null } : s));
+    copy.seatingRules = { ...rules, apart: rules.apart.filter((pr) => pr.every((sid) => kept.has(sid))), front: rules.front.filter((sid) => kept.has(sid)) };
+  }
+  return {
+    ...state,
+    classes: [...state.classes, copy],
+    skills: state.skills.map((s) => (s.classIds.includes(classId) ? { ...s, classIds: [...s.classIds, id] } : s)),
+    selectedClassId: id,
+  };
+}
+
+/**
+ * Gives class `toId` the desk layout of `fromId` (grid size, layout mode, desks with their x/y, room fixtures). Students keep the desk
+ * at the same row/seat when it still exists; the rest are unseated.
+ * @returns {{ cls: object, unseated: number }}
+ */
+export function copyLayout(from, to) {
+  const byPos = new Map(to.seats.map((s) => [`${s.r},${s.c}`, s.studentId]));
+  const seats = from.seats.map(({ studentId: _, ...s }) => ({ ...s, studentId: byPos.get(`${s.r},${s.c}`) ?? null }));
+  const seated = new Set(seats.map((s) => s.studentId).filter(Boolean));
+  const unseated = to.seats.filter((s) => s.studentId && !seated.has(s.studentId)).length;
+  return { cls: { ...to, rows: from.rows, cols: from.cols, layoutMode: from.layoutMode, seats, fixtures: from.fixtures || [] }, unseated };
+}
+
+/** Archived classes keep everything; they sit at the end of the class picker and are left out of exports and student moves */
+export function setClassArchived(state, classId, archived) {
+  const next = updateClass(state, classId, (c) => {
+    const { archived: _, ...rest } = c;
+    return archived ? { ...rest, archived: true } : rest;
+  });
+  return archived && next.selectedClassId === classId ? { ...next, selectedClassId: otherClassId(next, classId) } : next;
+}
@@ -0,0 +1,106 @@
+import { describe, expect, it } from "vitest";
+import { BUILTIN_SCALES, DEFAULT_SCALE_ID } from "./schema";
+import { copyLayout, deleteClass, duplicateClass, findStudentAcrossClasses, removeStudent, setClassArchived, setStudentArchived, transferStudent, updateClass } from "./classes";
+
+const at = "2026-09-01T10:00:00.000Z";
+const period = (id, fields = {}) => ({
+  id, name: id, rows: 1, cols: 2, scaleId: DEFAULT_SCALE_ID,
+  students: [{ id: "a", name: "Ava Lee" }, { id: "b", name: "Ben Ortiz", sisId: "S2" }],
+  seats: [{ r: 0, c: 0, studentId: "a" }, { r: 0, c: 1, studentId: "b" }],
+  marks: { k: { a: [{ level: 4, at }], b: [{ level: 1, at }] }, j: { a: [{ level: 2, at }] } },
+  seatingRules: { apart: [["a", "b"]], front: ["a"], pairSkillId: null, fillFront: true },
+  attendance: { "2026-09-01": { a: "absent" } },
+  notes: [{ id: "n1", studentId: "a", text: "Explains ratios well", at }],
+  ...fields,
+});
+
+describe("students", () => {
+  it("removes a student with their seat, rules, marks, attendance and notes", () => {
+    const next = removeStudent(period("P1"), "a");
+    expect(next.students.map((s) => s.id)).toEqual(["b"]);
+    expect(next.seats[0].studentId).toBeNull();
+    expect(next.seatingRules).toMatchObject({ apart: [], front: [] });
+    expect(next.marks).toEqual({ k: { b: [{ level: 1, at }] }, j: {} });
+    expect(next.attendance).toEqual({});
+    expect(next.notes).toEqual([]);
+  });
+
+  it("archives a student out of their seat but keeps the history, and restores them unseated", () => {
+    const archived = setStudentArchived(period("P1"), "a", true);
+    expect(archived.students[0]).toEqual({ id: "a", name: "Ava Lee", archived: true });
+    expect(archived.seats[0].studentId).toBeNull();
+    expect(archived.marks.k.a).toHaveLength(1);
+    expect(setStudentArchived(archived, "a", false).students[0]).toEqual({ id: "a", name: "Ava Lee" });
+  });
+
+  it("moves a student with marks on shared skills (converted to the new scale) and their notes", () => {
+    const state = {
+      scales: BUILTIN_SCALES,
+      classes: [period("P1"), period("P2", { students: [], seats: [], marks: {}, notes: [], scaleId: "check" })],
+      skills: [{ id: "k", classIds: ["P1", "P2"] }, { id: "j", classIds: ["P1"] }],
+    };
+    const next = transferStudent(state, "P1", "P2", "a");
+    expect(next.classes[0].students.map((s) => s.id)).toEqual(["b"]);
+    expect(next.classes[1].students).toEqual([{ id: "a", name: "Ava Lee" }]);
+    expect(next.classes[1].marks).toEqual({ k: { a: [{ level: 2, at }] } });
+    expect(next.classes[1].notes.map((n) => n.id)).toEqual(["n1"]);
+    expect(transferStudent(next, "P1", "P2", "a")).toBe(next);
+  });
+
+  it("finds the same student in other classes by SIS id, else by name", () => {
+    const state = { classes: [period("P1"), period("P2", { students: [{ id: "x", name: "ava  lee" }, { id: "y", name: "Benjamin Ortiz", sisId: "S2" }] })] };
+    expect(findStudentAcrossClasses(state, { name: "Ava Lee" }).map((m) => `${m.cls.id}:${m.student.id}`)).toEqual(["P1:a", "P2:x"]);
+    expect(findStudentAcrossClasses(state, { name: "Ben Ortiz", sisId: "S2" }).map((m) => m.student.id)).toEqual(["b", "y"]);
+  });
+});
+
+describe("updateClass", () => {
+  it("returns the same state when the class is missing or unchanged", () => {
+    const state = { classes: [period("P1")] };
+    expect(updateClass(state, "nope", () => ({}))).toBe(state);
+    expect(updateClass(state, "P1", (c) => c)).toBe(state);
+    expect(updateClass(state, "P1", (c) => ({ ...c, name: "X" })).classes[0].name).toBe("X");
+  });
+});
+
+describe("classes", () => {
+  const state = () => ({ classes: [period("P1"), period("P2")], skills: [{ id: "k", classIds: ["P1", "P2"] }, { id: "j", classIds: ["P1"] }], selectedClassId: "P1" });
+
+  it("deletes a class and unlinks it from skills, keeping the last class", () => {
+    const next = deleteClass(state(), "P1");
+    expect(next.classes.map((c) => c.id)).toEqual(["P2"]);
+    expect(next.skills.map((s) => s.classIds)).toEqual([["P2"], []]);
+    expect(next.selectedClassId).toBe("P2");
+    expect(deleteClass(next, "P2")).toBe(next);
+  });
+
+  it("duplicates layout, rules and skill links; marks, attendance and notes never come along", () => {
+    const next = duplicateClass(state(), "P1", { name: "P1 copy", withRoster: true });
+    const copy = next.classes[2];
+    expect(copy).toMatchObject({ name: "P1 copy", marks: {}, seatingRules: { apart: [["a", "b"]], front: ["a"] } });
+    expect(copy).not.toHaveProperty("attendance");
+    expect(copy).not.toHaveProperty("notes");
+    expect(copy.seats.map((s) => s.studentId)).toEqual(["a", "b"]);
+    expect(next.skills.map((s) => s.classIds.includes(copy.id))).toEqual([true, true]);
+    expect(next.selectedClassId).toBe(copy.id);
+    const empty = duplicateClass(state(), "P1", { name: "Empty", withRoster: false }).classes[2];
+    expect(empty.students).toEqual([]);
+    expect(Object.keys(empty).sort()).toEqual(["cols", "id", "marks", "name", "rows", "scaleId", "seatingRules", "seats", "students"]);
+    expect(empty.seats.map((s) => s.studentId)).toEqual([null, null]);
+  });
+
+  it("copies a desk layout, unseating students whose desk is gone", () => {
+    const from = { ...period("P1"), rows: 1, cols: 1, seats: [{ r: 0, c: 0, studentId: "a", x: 0.3, y: 0.4 }], layoutMode: "free" };
+    const { cls, unseated } = copyLayout(from, period("P2"));
+    expect(cls.seats).toEqual([{ r: 0, c: 0, studentId: "a", x: 0.3, y: 0.4 }]);
+    expect(cls).toMatchObject({ cols: 1, layoutMode: "free", fixtures: [] });
+    expect(unseated).toBe(1);
+  });
+
+  it("archives a class and moves the selection off it", () => {
+    const next = setClassArchived(state(), "P1", true);
+    expect(next.classes[0].archived).toBe(true);
+    expect(next.selectedClassId).toBe("P2");
+    expect(setClassArchived(next, "P1", false).classes[0]).not.toHaveProperty("archived");
+  });
+});
@@ -0,0 +1,82 @@
+import { activeStudents } from "./classes";
+import { latestLevel, markHistory } from "./marks";
+import { convertLevel } from "./schema";
+import { effectiveScale, getScale, levelName } from "./scales";
+
+/**
+ * Gradebook CSV export: the student × skill level matrix (optionally with per-domain averages) and the anecdotal
+ * notes list, as text ready to download. Archived students are left out of both.
+ */
+
+export const todayStamp = () => new Date().toISOString().slice(0, 10);
+
+export const csvCell = (v) => {
+  const str = v == null ? "" : String(v);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+export const toCSV = (rows) => rows.map((r) => r.map(csvCell).join(",")).join("\r\n");
+
+const skillHeader = (sk) => [sk.standardCode, sk.domain, sk.name].filter(Boolean).join(" — ");
+
+/**
+ * One row per active student (alphabetical; archived students are left out), one column per skill linked to the class.
+ * cellFormat "name" writes the level name from the skill's scale, "number" the level value. Unmarked cells stay blank.
+ * Domain averages use marked levels only (N/A counts as not assessed), converted to the class scale.
+ */
+export function gradebookRows(state, cls, { cellFormat = "name", domainAverages = false } = {}) {
+  const skills = state.skills.filter((s) => s.classIds.includes(cls.id));
+  const classScale = getScale(state, cls.scaleId);
+  const scales = skills.map((sk) => effectiveScale(state, cls, sk));
+  const domains = domainAverages ? Array.from(new Set(skills.map((s) => s.domain || "(no domain)"))) : [];
+  const header = ["Student", "Student ID", ...skills.map(skillHeader), ...domains.map((d) => `Average — ${d}`)];
+  const students = activeStudents(cls).sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  const body = students.map((stu) => {
+    const levels = skills.map((sk) => {
+      const entries = markHistory(cls, sk.id, stu.id);
+      return entries.length ? latestLevel(entries) : null;
+    });
+    const cells = levels.map((lv, i) => (lv == null ? "" : cellFormat === "number" ? lv : levelName(scales[i], lv)));
+    const avgs = domains.map((d) => {
+      const vals = levels
+        .map((lv, i) => (lv && (skills[i].domain || "(no domain)") === d ? convertLevel(lv, scales[i], classScale) : 0))
+        .filter(Boolean);
+      return vals.length ? (vals.reduce((a, b) => a + b, 0) / vals.length).toFixed(2) : "";
+    });
+    return [stu.name, stu.sisId || "", ...cells, ...avgs];
+  });
+  return [header, ...body];
+}
+
+/** Anecdotal notes of active students, oldest first: one row per note with its skill or standard */
+export function notesRows(state, cls) {
+  const students = new Map(activeStudents(cls).map((s) => [s.id, s]));
+  const body = (cls.notes || [])
+    .filter((n) => students.has(n.studentId))
+    .sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0))
+    .map((n) => {
+      const skill = state.skills.find((s) => s.id === n.skillId);
+      const stu = students.get(n.studentId);
+      return [n.at.slice(0, 10), stu.name, stu.sisId || "", skill ? skill.name : "", skill?.standardCode || n.standardCode || "", n.text];
+    });
+  return [["Date", "Student", "Student ID", "Skill", "Standard", "Note"], ...body];
+}
+
+export const fileSafe = (name) => name.replace(/[^\w-]+/g, "_");
+
+/**
+ * Returns [{ filename, text }] — one file per class, or a single file with one section per class.
+ * content "levels" is the gradebook matrix, "notes" the anecdotal notes.
+ */
+export function gradebookFiles(state, classes, { layout = "files", content = "levels", ...opts } = {}) {
+  const bom = "\uFEFF"; // lets Excel read UTF-8 (level names, em dashes)
+  const rows = (cl) => (content === "notes" ? notesRows(state, cl) : gradebookRows(state, cl, opts));
+  const prefix = content === "notes" ? "notes" : "gradebook";
+  if (layout === "sections" || classes.length === 1) {
+    const text = classes.length === 1
+      ? toCSV(rows(classes[0]))
+      : classes.map((cl) => `${csvCell(cl.name)}\r\n${toCSV(rows(cl))}`).join("\r\n\r\n");
+    const base = classes.length === 1 ? fileSafe(classes[0].name) : "all-classes";
+    return [{ filename: `${prefix}-${base}-${todayStamp()}.csv`, text: bom + text }];
+  }
+  return classes.map((cl) => ({ filename: `${prefix}-${fileSafe(cl.name)}-${todayStamp()}.csv`, text: bom + toCSV(rows(cl)) }));
+}
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { BUILTIN_SCALES, DEFAULT_SCALE_ID } from "./schema";
+import { gradebookFiles, gradebookRows, notesRows, toCSV } from "./gradebook";
+
+const at = "2026-09-01T10:00:00.000Z";
+const state = () => ({
+  scales: BUILTIN_SCALES,
+  skills: [
+    { id: "k", name: "Unit rates", standardCode: "RP.2", domain: "Ratios", classIds: ["C"] },
+    { id: "j", name: "Ratio tables", domain: "Ratios", classIds: ["C"], scaleId: "check" },
+    { id: "x", name: "Elsewhere", classIds: ["D"] },
+  ],
+  classes: [{
+    id: "C", name: "Period 1", scaleId: DEFAULT_SCALE_ID,
+    students: [{ id: "b", name: "Ben", sisId: "S2" }, { id: "a", name: "Ava" }, { id: "z", name: "Zed", archived: true }],
+    marks: { k: { a: [{ level: 1, at }, { level: 4, at: "2026-09-08T10:00:00.000Z" }], z: [{ level: 3, at }] }, j: { a: [{ level: 1, at }], b: [{ level: 2, at }] } },
+    notes: [
+      { id: "n2", studentId: "b", text: "Said \"ratio\", not rate", at: "2026-09-10T10:00:00.000Z", standardCode: "RP.1" },
+      { id: "n1", studentId: "a", text: "Uses a tape diagram", at, skillId: "k" },
+      { id: "n3", studentId: "z", text: "Archived", at },
+    ],
+  }],
+});
+
+describe("gradebookRows", () => {
+  it("writes one row per active student, alphabetical, with each skill's level name and blanks for unmarked", () => {
+    const st = state();
+    expect(gradebookRows(st, st.classes[0])).toEqual([
+      ["Student", "Student ID", "RP.2 — Ratios — Unit rates", "Ratios — Ratio tables"],
+      ["Ava", "", "Advanced", "Not yet"],
+      ["Ben", "S2", "", "Checked"],
+    ]);
+  });
+
+  it("writes level numbers and averages each domain on the class scale", () => {
+    const st = state();
+    const rows = gradebookRows(st, st.classes[0], { cellFormat: "number", domainAverages: true });
+    expect(rows[0].at(-1)).toBe("Average — Ratios");
+    // Ava: Advanced (4) and "Not yet" (1 on the check scale → Help, 1) average 2.5; Ben: Checked → Proficient (3)
+    expect(rows.slice(1).map((r) => r.slice(2))).toEqual([[4, 1, "2.50"], ["", 2, "3.00"]]);
+  });
+});
+
+describe("notes and files", () => {
+  it("lists active students' notes oldest first with their skill or standard", () => {
+    const st = state();
+    expect(notesRows(st, st.classes[0]).slice(1)).toEqual([
+      ["2026-09-01", "Ava", "", "Unit rates", "RP.2", "Uses a tape diagram"],
+      ["2026-09-10", "Ben", "S2", "", "RP.1", 'Said "ratio", not rate'],
+    ]);
+  });
+
+  it("quotes CSV cells and names one file per class or one file with sections", () => {
+    expect(toCSV([["a,b", 'say "hi"', null, 3]])).toBe('"a,b","say ""hi""",,3');
+    const st = state();
+    const other = { ...st.classes[0], id: "D", name: "Period 2" };
+    const files = gradebookFiles(st, [st.classes[0], other]);
+    expect(files.map((f) => f.filename.replace(/\d{4}-\d\d-\d\d/, "DAY"))).toEqual(["gradebook-Period_1-DAY.csv", "gradebook-Period_2-DAY.csv"]);
+    const [one] = gradebookFiles(st, [st.classes[0], other], { layout: "sections", content: "notes" });
+    expect(one.filename).toMatch(/^notes-all-classes-/);
+    expect(one.text.startsWith("\uFEFFPeriod 1\r\nDate,Student")).toBe(true);
+    expect(one.text).toContain("\r\n\r\nPeriod 2\r\n");
+  });
+});
@@ -0,0 +1,86 @@
+import { activeStudents } from "./classes";
+import { latestLevel, markHistory } from "./marks";
+
+/**
+ * Small groups from one skill's current levels (same-level for reteaching, or mixed around a Proficient anchor),
+ * and clustering each group's desks together on the free board.
+ */
+
+/** Fisher–Yates; returns a new array. `random` is swappable so tests can seed it */
+export function shuffle(arr, random = Math.random) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) { const j = Math.floor(random() * (i + 1)); [a[i], a[j]] = [a[j], a[i]]; }
+  return a;
+}
+
+/** Splits into ceil(n/size) groups whose sizes differ by at most one */
+function chunkBalanced(arr, size) {
+  if (!arr.length) return [];
+  const k = Math.ceil(arr.length / Math.max(1, size));
+  const out = Array.from({ length: k }, () => []);
+  arr.forEach((x, i) => out[Math.floor((i * k) / arr.length)].push(x));
+  return out;
+}
+
+/**
+ * Builds groups from one skill's current levels. Ties are shuffled so "Regenerate" gives a new mix.
+ * mode "same": one level per group (lowest level together for reteach; N/A students last).
+ * mode "mixed": every group starts with an anchor at or above the scale's proficient level while anchors last;
+ * the rest are dealt round-robin from lowest level up so each group gets a spread.
+ * Returns { groups: { level?: number, members: { id, level }[] }[], missingAnchors: number }
+ */
+export function buildGroups(cls, skillId, size, mode, scale) {
+  const people = shuffle(activeStudents(cls)).map((s) => ({ id: s.id, level: latestLevel(markHistory(cls, skillId, s.id)) }));
+  size = Math.max(2, size);
+  if (mode === "same") {
+    const groups = [];
+    for (const lv of [...scale.levels.map((_, i) => i + 1), 0]) {
+      chunkBalanced(people.filter((p) => p.level === lv), size).forEach((members) => groups.push({ level: lv, members }));
+    }
+    return { groups, missingAnchors: 0 };
+  }
+  const k = Math.ceil(people.length / size);
+  const anchors = people.filter((p) => p.level >= scale.proficientAt).sort((a, b) => b.level - a.level);
+  const groups = Array.from({ length: k }, () => ({ members: [] }));
+  anchors.slice(0, k).forEach((a, i) => groups[i].members.push(a));
+  const placed = new Set(anchors.slice(0, k).map((a) => a.id));
+  const rest = people.filter((p) => !placed.has(p.id)).sort((a, b) => (a.level || 9) - (b.level || 9));
+  let g = 0;
+  for (const p of rest) {
+    let tries = 0;
+    while (groups[g].members.length >= size && tries++ < k) g = (g + 1) % k;
+    groups[g].members.push(p);
+    g = (g + 1) % k;
+  }
+  return { groups, missingAnchors: Math.max(0, k - anchors.length) };
+}
+
+/**
+ * Moves each group into a desk cluster on the free board (seat x/y, 0..1). Grouped students without a seat
+ * take an empty one; empty desks line up along the back wall.
+ */
+export function clusterSeats(cls, groups) {
+  let seats = cls.seats.map((s) => ({ ...s }));
+  const seatOf = new Map(seats.filter((s) => s.studentId).map((s) => [s.studentId, s]));
+  const free = seats.filter((s) => !s.studentId);
+  const clusterCols = Math.min(groups.length, Math.ceil(Math.sqrt(groups.length * 1.5))) || 1;
+  const clusterRows = Math.ceil(groups.length / clusterCols) || 1;
+  const used = new Set();
+  groups.forEach((grp, gi) => {
+    const cx = ((gi % clusterCols) + 0.5) / clusterCols;
+    const cy = (Math.floor(gi / clusterCols) + 0.5) / (clusterRows + 0.4); // leave a strip for spare desks
+    const perCol = Math.ceil(grp.members.length / 2);
+    grp.members.forEach((m, mi) => {
+      let seat = seatOf.get(m.id);
+      if (!seat) { seat = free.shift(); if (!seat) return; seat.studentId = m.id; }
+      const col = mi < perCol ? 0 : 1;
+      const row = mi % perCol;
+      seat.x = Math.max(0.06, Math.min(0.94, cx + (col - 0.5) * 0.16 / Math.max(1, clusterCols / 2)));
+      seat.y = Math.max(0.06, Math.min(0.94, cy + (row - (perCol - 1) / 2) * 0.22 / clusterRows));
+      used.add(seat);
+    });
+  });
+  const spare = seats.filter((s) => !used.has(s));
+  spare.forEach((s, i) => { s.x = (i + 0.5) / spare.length; s.y = 0.95; });
+  return { ...cls, seats, layoutMode: "free" };
+}
@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { BUILTIN_SCALES } from "./schema";
+import { buildGroups, clusterSeats, shuffle } from "./groups";
+
+const [four] = BUILTIN_SCALES;
+const at = "2026-09-01T10:00:00.000Z";
+/** Ten students: levels 1,1,1,2,2,3,3,4 and two never marked */
+const cls = () => {
+  const levels = [1, 1, 1, 2, 2, 3, 3, 4, 0, 0];
+  const students = levels.map((_, i) => ({ id: `s${i}`, name: `S${i}` }));
+  const marks = { k: Object.fromEntries(levels.flatMap((lv, i) => (lv ? [[`s${i}`, [{ level: lv, at }]]] : []))) };
+  return { students: [...students, { id: "gone", name: "Gone", archived: true }], marks, seats: students.map((s, i) => ({ r: 0, c: i, studentId: i < 8 ? s.id : null })) };
+};
+const ids = (groups) => groups.flatMap((g) => g.members.map((m) => m.id)).sort();
+
+describe("buildGroups", () => {
+  it("same-level groups keep one level each, lowest first and unmarked last, with balanced sizes", () => {
+    const { groups } = buildGroups(cls(), "k", 2, "same", four);
+    expect(groups.every((g) => g.members.every((m) => m.level === g.level))).toBe(true);
+    expect(groups.map((g) => g.level)).toEqual([1, 1, 2, 3, 4, 0]);
+    expect(groups.map((g) => g.members.length).sort()).toEqual([1, 1, 2, 2, 2, 2]);
+    expect(ids(groups)).toHaveLength(10);
+  });
+
+  it("mixed groups each get a Proficient-or-better anchor while anchors last", () => {
+    const { groups, missingAnchors } = buildGroups(cls(), "k", 3, "mixed", four);
+    expect(groups).toHaveLength(4);
+    expect(groups.every((g) => g.members.length <= 3)).toBe(true);
+    expect(groups.filter((g) => g.members[0].level >= 3)).toHaveLength(3);
+    expect(missingAnchors).toBe(1);
+    expect(ids(groups)).not.toContain("gone");
+  });
+});
+
+describe("clusterSeats", () => {
+  it("seats grouped students without a desk and moves every desk onto the free board", () => {
+    const { groups } = buildGroups(cls(), "k", 5, "mixed", four);
+    const next = clusterSeats(cls(), groups);
+    expect(next.layoutMode).toBe("free");
+    expect(next.seats.map((s) => s.studentId).filter(Boolean).sort()).toEqual(ids(groups));
+    expect(next.seats.every((s) => s.x > 0 && s.x < 1 && s.y > 0 && s.y < 1)).toBe(true);
+  });
+});
+
+describe("shuffle", () => {
+  it("returns a new array with the same items", () => {
+    const a = [1, 2, 3, 4];
+    expect(shuffle(a).sort()).toEqual(a);
+    expect(shuffle(a)).not.toBe(a);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Undo/redo stack of whole-state snapshots: { past, present, future, anchor }. Every function returns a new stack
+ * (or the same one when nothing changes) and never mutates states, since they stay on the stack.
+ *
+ * While `anchor` is set (a batch, e.g. one drag) changes replace the present without adding steps; ending the
+ * batch records the anchor as a single undo step. Undo and redo wait until the batch ends.
+ */
+
+export const HISTORY_LIMIT = 100;
+
+export const initHistory = (present) => ({ past: [], present, future: [], anchor: null });
+
+/** Sets the present; record false (e.g. selection) or an open batch adds no undo step */
+export function record(h, next, { record: addStep = true } = {}) {
+  if (next === h.present) return h;
+  if (!addStep || h.anchor) return { ...h, present: next };
+  return { past: [...h.past, h.present].slice(-HISTORY_LIMIT), present: next, future: [], anchor: null };
+}
+
+export const beginBatch = (h) => (h.anchor ? h : { ...h, anchor: h.present });
+
+/** Closes the batch; safe to call when none is open (pointerup and pointercancel may both arrive) */
+export function endBatch(h) {
+  if (!h.anchor) return h;
+  if (h.anchor === h.present) return { ...h, anchor: null };
+  return { past: [...h.past, h.anchor].slice(-HISTORY_LIMIT), present: h.present, future: [], anchor: null };
+}
+
+/**
+ * Applies fn to every snapshot (present, past, future and an open batch's anchor) without adding a step, for changes
+ * that did not come from this stack (e.g. another device's edits) and so must survive undo and redo.
+ */
+export function rebase(h, fn) {
+  const map = (list) => list.map(fn);
+  return { past: map(h.past), present: fn(h.present), future: map(h.future), anchor: h.anchor && fn(h.anchor) };
+}
+
+export function undo(h) {
+  if (!h.past.length || h.anchor) return h;
+  return { past: h.past.slice(0, -1), present: h.past[h.past.length - 1], future: [h.present, ...h.future], anchor: null };
+}
+
+export function redo(h) {
+  if (!h.future.length || h.anchor) return h;
+  return { past: [...h.past, h.present], present: h.future[0], future: h.future.slice(1), anchor: null };
+}
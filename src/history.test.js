@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import { HISTORY_LIMIT, beginBatch, endBatch, initHistory, rebase, record, redo, undo } from "./history";
+
+describe("history", () => {
+  it("records one undo step per change, and none with record: false", () => {
+    let h = record(record(initHistory("a"), "b"), "c", { record: false });
+    expect(h.past).toEqual(["a"]);
+    h = undo(h);
+    expect(h.present).toBe("a");
+    expect(redo(h).present).toBe("c");
+  });
+
+  it("folds a batch into one step", () => {
+    let h = beginBatch(initHistory("a"));
+    h = record(record(h, "b"), "c");
+    expect(undo(h)).toBe(h); // waits for the batch to end
+    h = endBatch(h);
+    expect(h).toMatchObject({ past: ["a"], present: "c", anchor: null });
+    expect(undo(h).present).toBe("a");
+  });
+
+  it("recovers when a batch ends by cancel instead of pointerup", () => {
+    // A drag the browser cancels (scroll, gesture) calls endBatch from pointercancel; a late duplicate end is harmless
+    let h = record(beginBatch(initHistory("a")), "moved");
+    h = endBatch(endBatch(h));
+    h = record(h, "next edit");
+    expect(h.past).toEqual(["a", "moved"]);
+    expect(undo(undo(h)).present).toBe("a");
+  });
+
+  it("keeps a rebased change through undo and redo", () => {
+    // Another device's edit arrives between local edits: undoing the local edit must not roll it back
+    const add = (mark) => (st) => ({ ...st, marks: [...st.marks, mark] });
+    let h = record(initHistory({ marks: [] }), add("local 1")({ marks: [] }));
+    h = record(h, add("local 2")(h.present));
+    h = undo(h);
+    h = rebase(h, add("remote"));
+    expect(h.present.marks).toEqual(["local 1", "remote"]);
+    expect(undo(h).present.marks).toEqual(["remote"]);
+    expect(redo(h).present.marks).toEqual(["local 1", "local 2", "remote"]);
+    expect(h.past).toHaveLength(1);
+  });
+
+  it("rebases an open batch's anchor so the batch still folds into one step", () => {
+    let h = record(beginBatch(initHistory(1)), 2);
+    h = endBatch(rebase(h, (n) => n * 10));
+    expect(h).toMatchObject({ past: [10], present: 20, anchor: null });
+  });
+
+  it("drops an empty batch and caps the stack", () => {
+    expect(endBatch(beginBatch(initHistory("a")))).toEqual(initHistory("a"));
+    let h = initHistory(0);
+    for (let i = 1; i <= HISTORY_LIMIT + 5; i++) h = record(h, i);
+    expect(h.past).toHaveLength(HISTORY_LIMIT);
+  });
+});
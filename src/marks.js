@@ -0,0 +1,43 @@
+import { nowISO } from "./schema";
+
+/**
+ * Dated mark history: `cls.marks[skillId][studentId]` is a list of { level, at } entries. Nothing is overwritten;
+ * a student's current level on a skill is simply the newest entry.
+ */
+
+/** @returns {MarkEntry[]} entries for one student on one skill, oldest first */
+export function markHistory(cls, skillId, studentId) {
+  const entries = cls?.marks?.[skillId]?.[studentId];
+  return Array.isArray(entries) ? entries : [];
+}
+
+/** Current level = newest entry (by timestamp); 0 when never marked */
+export function latestLevel(entries) {
+  let best = null;
+  for (const e of entries) { if (!best || e.at >= best.at) best = e; }
+  return best ? best.level : 0;
+}
+
+/** Returns marks with a new dated entry appended (does not mutate) */
+export function appendMark(marks, skillId, studentId, level, at = nowISO()) {
+  const bySkill = marks[skillId] || {};
+  const prevEntries = Array.isArray(bySkill[studentId]) ? bySkill[studentId] : [];
+  return { ...marks, [skillId]: { ...bySkill, [studentId]: [...prevEntries, { level, at }] } };
+}
+
+/**
+ * Sets one level for many students in a single update. With `onlyFrom` only students whose current level is
+ * that value change (0 = unmarked). Students already at `level` get no new entry.
+ * @returns {{ cls: ClassData, changed: number }}
+ */
+export function bulkMark(cls, skillId, studentIds, level, onlyFrom = null) {
+  const at = nowISO();
+  let marks = cls.marks, changed = 0;
+  for (const id of studentIds) {
+    const cur = latestLevel(markHistory(cls, skillId, id));
+    if (cur === level || (onlyFrom != null && cur !== onlyFrom)) continue;
+    marks = appendMark(marks, skillId, id, level, at);
+    changed++;
+  }
+  return { cls: changed ? { ...cls, marks } : cls, changed };
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { appendMark, bulkMark, latestLevel, markHistory } from "./marks";
+
+describe("mark history", () => {
+  it("appends dated entries without touching the previous marks", () => {
+    const before = { k: { s1: [{ level: 1, at: "2026-09-01T10:00:00.000Z" }] } };
+    const after = appendMark(before, "k", "s1", 3, "2026-09-08T10:00:00.000Z");
+    expect(markHistory({ marks: after }, "k", "s1").map((e) => e.level)).toEqual([1, 3]);
+    expect(before.k.s1).toHaveLength(1);
+    expect(appendMark({}, "k", "s2", 2, "2026-09-08T10:00:00.000Z")).toEqual({ k: { s2: [{ level: 2, at: "2026-09-08T10:00:00.000Z" }] } });
+  });
+
+  it("takes the newest entry as the current level, whatever order the entries are in", () => {
+    expect(latestLevel([{ level: 4, at: "2026-09-08T10:00:00.000Z" }, { level: 2, at: "2026-09-01T10:00:00.000Z" }])).toBe(4);
+    expect(latestLevel([])).toBe(0);
+  });
+
+  it("reads missing or malformed history as empty", () => {
+    expect(markHistory({ marks: { k: { s1: 3 } } }, "k", "s1")).toEqual([]);
+    expect(markHistory(undefined, "k", "s1")).toEqual([]);
+  });
+});
+
+describe("bulkMark", () => {
+  const at = "2026-09-01T10:00:00.000Z";
+  const cls = () => ({ marks: { k: { a: [{ level: 1, at }], b: [{ level: 3, at }] } } });
+  const levels = (c) => ["a", "b", "c"].map((id) => latestLevel(markHistory(c, "k", id)));
+
+  it("sets everyone to one level, skipping students already there", () => {
+    const { cls: next, changed } = bulkMark(cls(), "k", ["a", "b", "c"], 3);
+    expect(changed).toBe(2);
+    expect(levels(next)).toEqual([3, 3, 3]);
+    expect(next.marks.k.b).toHaveLength(1);
+  });
+
+  it("changes only students at the `onlyFrom` level (0 = unmarked)", () => {
+    expect(levels(bulkMark(cls(), "k", ["a", "b", "c"], 2, 0).cls)).toEqual([1, 3, 2]);
+    expect(levels(bulkMark(cls(), "k", ["a", "b", "c"], 4, 3).cls)).toEqual([1, 4, 0]);
+  });
+
+  it("returns the same class when no one changes", () => {
+    const c = cls();
+    expect(bulkMark(c, "k", ["a", "b"], 0, 0)).toEqual({ cls: c, changed: 0 });
+    expect(bulkMark(c, "k", [], 2).cls).toBe(c);
+  });
+});
@@ -0,0 +1,37 @@
+import { activeStudents } from "./classes";
+import { latestLevel, markHistory } from "./marks";
+
+/**
+ * Class mastery summaries for the dashboard and overview colors: a student's level on one skill or rolled up over a
+ * domain or standard, and the roster counted by level. Skills on different scales are compared through `conv`.
+ */
+
+/**
+ * A student's level across several skills: the newest level on one skill, or the rounded mean of their
+ * marked (non-N/A) levels when rolling up a domain/standard. 0 when nothing is marked.
+ * conv(skillId, level) converts each skill's level onto a common scale before averaging.
+ */
+export function rolledUpLevel(cls, skillIds, studentId, conv = (_, lv) => lv) {
+  if (skillIds.length === 1) return conv(skillIds[0], latestLevel(markHistory(cls, skillIds[0], studentId)));
+  const avg = meanLevel(cls, skillIds, studentId, conv);
+  return avg == null ? 0 : Math.round(avg);
+}
+
+/** Mean of a student's marked (non-N/A) levels over several skills, or null when none are marked */
+export function meanLevel(cls, skillIds, studentId, conv = (_, lv) => lv) {
+  const marked = skillIds.map((id) => conv(id, latestLevel(markHistory(cls, id, studentId)))).filter((lv) => lv > 0);
+  return marked.length ? marked.reduce((a, b) => a + b, 0) / marked.length : null;
+}
+
+/**
+ * Groups the class roster by rolled-up level on `scale`: { byLevel: { [level]: studentId[] }, total, absent }.
+ * Students in `absent` are not counted anywhere; `absent` in the result is how many were left out.
+ */
+export function masteryStats(cls, skillIds, scale, conv, absent = new Set()) {
+  const byLevel = Object.fromEntries(Array.from({ length: scale.levels.length + 1 }, (_, k) => [k, []]));
+  const everyone = activeStudents(cls);
+  const students = everyone.filter((s) => !absent.has(s.id));
+  if (!skillIds.length) return { byLevel, total: 0, absent: 0 };
+  for (const stu of students) byLevel[Math.min(rolledUpLevel(cls, skillIds, stu.id, conv), scale.levels.length)].push(stu.id);
+  return { byLevel, total: students.length, absent: everyone.length - students.length };
+}
@@ -0,0 +1,28 @@
+import { describe, expect, it } from "vitest";
+import { BUILTIN_SCALES } from "./schema";
+import { masteryStats, meanLevel, rolledUpLevel } from "./mastery";
+
+const [four] = BUILTIN_SCALES;
+const mark = (level, day = 1) => [{ level, at: `2026-09-0${day}T10:00:00.000Z` }];
+const cls = {
+  students: [{ id: "a", name: "A" }, { id: "b", name: "B" }, { id: "c", name: "C" }, { id: "d", name: "D", archived: true }],
+  marks: { k: { a: [...mark(1, 1), ...mark(4, 2)], b: mark(2) }, j: { a: mark(3), b: mark(0) } },
+};
+
+describe("mastery", () => {
+  it("rolls several skills up to the rounded mean of marked levels, leaving N/A out", () => {
+    expect(meanLevel(cls, ["k", "j"], "a")).toBe(3.5);
+    expect(rolledUpLevel(cls, ["k", "j"], "a")).toBe(4);
+    expect(rolledUpLevel(cls, ["k", "j"], "b")).toBe(2);
+    expect(meanLevel(cls, ["k", "j"], "c")).toBeNull();
+    expect(rolledUpLevel(cls, ["k"], "a", (_, lv) => lv - 1)).toBe(3);
+  });
+
+  it("counts active students by level and leaves absent students out", () => {
+    expect(masteryStats(cls, ["k"], four)).toEqual({ byLevel: { 0: ["c"], 1: [], 2: ["b"], 3: [], 4: ["a"] }, total: 3, absent: 0 });
+    const stats = masteryStats(cls, ["k"], four, undefined, new Set(["a"]));
+    expect(stats).toMatchObject({ total: 2, absent: 1 });
+    expect(stats.byLevel[4]).toEqual([]);
+    expect(masteryStats(cls, [], four).total).toBe(0);
+  });
+});
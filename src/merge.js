@@ -0,0 +1,170 @@
+import { DEFAULT_SCALE_ID, convertLevel } from "./schema";
+
+/**
+ * Merge import: folds a (migrated) state from a file into the current one instead of replacing it.
+ *
+ * Classes, students and skills are matched by `id`. What is merged:
+ * - classes only in the file are added; for classes on both sides the roster gains the file's new students
+ *   and marks are merged — name, grid, seats, grade, scale and seating rules stay as they are here
+ * - skills only in the file are added; skills on both sides get the union of their `classIds`
+ * - mark histories are unioned; when both sides have marks and their current levels differ, the conflict
+ *   is resolved by policy ("newest" | "mine" | "theirs") or by a per-conflict choice
+ * - notes are unioned by id
+ * - attendance days are unioned; where both sides have a status for the same student and day, this device's wins
+ * - level scales only in the file are added
+ */
+
+/** @typedef {'newest'|'mine'|'theirs'} ConflictChoice */
+/**
+ * @typedef {{ key: string, classId: string, className: string, skillId: string, skillName: string, studentId: string,
+ *   studentName: string, mine: MarkEntry, theirs: MarkEntry, choice: ConflictChoice }} MarkConflict
+ */
+/**
+ * @typedef {{ classesAdded: string[], classesMerged: string[], classesSkipped: string[], classesUntouched: number,
+ *   studentsAdded: number, skillsAdded: number, skillsLinked: number, scalesAdded: number,
+ *   marksAdded: number, marksConverted: number, attendanceAdded: number, notesAdded: number, conflicts: MarkConflict[] }} MergeSummary
+ */
+
+export const conflictKey = (classId, skillId, studentId) => `${classId}|${skillId}|${studentId}`;
+
+const entryKey = (e) => `${e.at}|${e.level}`;
+const newestEntry = (entries) => entries.reduce((best, e) => (!best || e.at >= best.at ? e : best), null);
+const byAt = (a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0);
+
+/** Both histories with exact duplicates removed, oldest first */
+function unionEntries(a, b) {
+  const seen = new Set(a.map(entryKey));
+  return [...a, ...b.filter((e) => !seen.has(entryKey(e)))].sort(byAt);
+}
+
+/**
+ * "newest" keeps both histories so the latest timestamp wins; "mine"/"theirs" keep the chosen side's
+ * history plus the other side's entries from before it, so the chosen level stays current.
+ */
+function resolveHistory(mine, theirs, choice) {
+  const all = unionEntries(mine, theirs);
+  if (choice === "newest") return all;
+  const keep = choice === "mine" ? mine : theirs;
+  const keepKeys = new Set(keep.map(entryKey));
+  const cutoff = newestEntry(keep).at;
+  return all.filter((e) => keepKeys.has(entryKey(e)) || e.at < cutoff);
+}
+
+function scaleFor(st, cls, skillId) {
+  const id = st.skills.find((s) => s.id === skillId)?.scaleId || cls.scaleId || DEFAULT_SCALE_ID;
+  return st.scales.find((sc) => sc.id === id) || st.scales.find((sc) => sc.id === DEFAULT_SCALE_ID);
+}
+const sameScale = (a, b) => a === b || (a && b && a.levels.length === b.levels.length && a.proficientAt === b.proficientAt);
+
+/**
+ * Merges the file's marks into one class; returns null when nothing changes. Levels recorded on a different
+ * scale in the file are converted to the scale the skill uses after the merge (existing scales win).
+ */
+function mergeMarks(incoming, merged, mineCls, theirsCls, opts, summary, names) {
+  let marks = null;
+  for (const [skillId, byStudent] of Object.entries(theirsCls.marks)) {
+    const from = scaleFor(incoming, theirsCls, skillId);
+    const to = scaleFor(merged, mineCls, skillId);
+    const convert = !sameScale(from, to);
+    for (const [studentId, rawTheirs] of Object.entries(byStudent)) {
+      const theirs = convert ? rawTheirs.map((e) => ({ ...e, level: convertLevel(e.level, from, to) })) : rawTheirs;
+      const mine = (marks || mineCls.marks)[skillId]?.[studentId] || [];
+      let next;
+      const a = newestEntry(mine), b = newestEntry(theirs);
+      if (a && b && a.level !== b.level) {
+        const key = conflictKey(mineCls.id, skillId, studentId);
+        const choice = opts.choices?.[key] || opts.conflicts;
+        summary.conflicts.push({ key, classId: mineCls.id, className: mineCls.name, skillId, skillName: names.skill(skillId), studentId, studentName: names.student(studentId), mine: a, theirs: b, choice });
+        next = resolveHistory(mine, theirs, choice);
+      } else {
+        next = unionEntries(mine, theirs);
+      }
+      const added = next.filter((e) => !mine.includes(e)).length;
+      if (!added && next.length === mine.length) continue;
+      summary.marksAdded += added;
+      if (convert) summary.marksConverted += added;
+      marks = marks || { ...mineCls.marks };
+      marks[skillId] = { ...marks[skillId], [studentId]: next };
+    }
+  }
+  return marks;
+}
+
+/** The file's attendance entries this class does not have yet; returns null when there are none */
+function mergeAttendance(mineCls, theirsCls, summary) {
+  let attendance = null;
+  for (const [date, day] of Object.entries(theirsCls.attendance || {})) {
+    const mine = (attendance || mineCls.attendance || {})[date] || {};
+    const added = Object.entries(day).filter(([id]) => !(id in mine));
+    if (!added.length) continue;
+    summary.attendanceAdded += added.length;
+    attendance = attendance || { ...mineCls.attendance };
+    attendance[date] = { ...mine, ...Object.fromEntries(added) };
+  }
+  return attendance;
+}
+
+/**
+ * Merges `incoming` into `current` without mutating either.
+ * opts.classIds limits the import to those classes from the file (null = every class in the file);
+ * opts.conflicts is the default policy and opts.choices overrides it per conflictKey.
+ * @returns {{ state: AppState, summary: MergeSummary }}
+ */
+export function mergeStates(current, incoming, { classIds = null, conflicts = "newest", choices = {} } = {}) {
+  /** @type {MergeSummary} */
+  const summary = { classesAdded: [], classesMerged: [], classesSkipped: [], classesUntouched: 0, studentsAdded: 0, skillsAdded: 0, skillsLinked: 0, scalesAdded: 0, marksAdded: 0, marksConverted: 0, attendanceAdded: 0, notesAdded: 0, conflicts: [] };
+  const picked = incoming.classes.filter((c) => !classIds || classIds.includes(c.id));
+  summary.classesSkipped = incoming.classes.filter((c) => !picked.includes(c)).map((c) => c.name);
+  const pickedIds = new Set(picked.map((c) => c.id));
+  const skillName = (id) => (current.skills.find((s) => s.id === id) || incoming.skills.find((s) => s.id === id))?.name || "(deleted skill)";
+
+  const skills = current.skills.map((mine) => {
+    const theirs = incoming.skills.find((s) => s.id === mine.id);
+    const links = (theirs?.classIds || []).filter((id) => pickedIds.has(id) && !mine.classIds.includes(id));
+    if (!links.length) return mine;
+    summary.skillsLinked++;
+    return { ...mine, classIds: [...mine.classIds, ...links] };
+  });
+  for (const theirs of incoming.skills) {
+    if (current.skills.some((s) => s.id === theirs.id)) continue;
+    const links = theirs.classIds.filter((id) => pickedIds.has(id));
+    if (!links.length && classIds) continue; // belongs only to classes that were not imported
+    skills.push({ ...theirs, classIds: links });
+    summary.skillsAdded++;
+  }
+
+  const scales = [...current.scales];
+  for (const sc of incoming.scales) {
+    if (scales.some((s) => s.id === sc.id)) continue;
+    scales.push(sc);
+    summary.scalesAdded++;
+  }
+
+  const classes = current.classes.map((mine) => {
+    const theirs = picked.find((c) => c.id === mine.id);
+    if (!theirs) { summary.classesUntouched++; return mine; }
+    const known = new Set(mine.students.map((s) => s.id));
+    const added = theirs.students.filter((s) => !known.has(s.id));
+    const students = [...mine.students, ...added];
+    summary.studentsAdded += added.length;
+    const studentName = (id) => students.find((s) => s.id === id)?.name || "(removed student)";
+    const marks = mergeMarks(incoming, { skills, scales }, mine, theirs, { conflicts, choices }, summary, { skill: skillName, student: studentName });
+    const attendance = mergeAttendance(mine, theirs, summary);
+    const knownNotes = new Set((mine.notes || []).map((n) => n.id));
+    const newNotes = (theirs.notes || []).filter((n) => !knownNotes.has(n.id));
+    summary.notesAdded += newNotes.length;
+    summary.classesMerged.push(mine.name);
+    if (!added.length && !marks && !attendance && !newNotes.length) return mine;
+    return { ...mine, students, marks: marks || mine.marks, ...(attendance ? { attendance } : {}), ...(newNotes.length ? { notes: [...(mine.notes || []), ...newNotes] } : {}) };
+  });
+  for (const theirs of picked) {
+    if (current.classes.some((c) => c.id === theirs.id)) continue;
+    classes.push(theirs);
+    summary.classesAdded.push(theirs.name);
+    summary.studentsAdded += theirs.students.length;
+    summary.notesAdded += (theirs.notes || []).length;
+    summary.marksAdded += Object.values(theirs.marks).reduce((n, bySt) => n + Object.values(bySt).reduce((m, e) => m + e.length, 0), 0);
+  }
+
+  return { state: { ...current, classes, skills, scales }, summary };
+}
@@ -0,0 +1,105 @@
+import { describe, expect, it } from "vitest";
+import { conflictKey, mergeStates } from "./merge";
+import { BUILTIN_SCALES } from "./schema";
+
+const cls = (id, extra = {}) => ({ id, name: id, rows: 1, cols: 2, seats: [{ r: 0, c: 0, studentId: null }, { r: 0, c: 1, studentId: null }], students: [], marks: {}, layoutMode: "grid", gradeLevel: 7, scaleId: "default", ...extra });
+const state = (classes, skills, extra = {}) => ({ schemaVersion: 4, classes, skills, scales: BUILTIN_SCALES, selectedClassId: classes[0].id, selectedSkillId: null, ...extra });
+const mark = (level, at) => ({ level, at: `2026-09-${at}T12:00:00.000Z` });
+
+describe("mergeStates", () => {
+  it("adds new classes and students and unions skill classIds", () => {
+    const mine = state([cls("A", { students: [{ id: "s1", name: "Ana" }] })], [{ id: "k", name: "K", classIds: ["A"] }]);
+    const file = state(
+      [cls("A", { students: [{ id: "s1", name: "Ana" }, { id: "s2", name: "Ben" }] }), cls("B")],
+      [{ id: "k", name: "K", classIds: ["A", "B"] }, { id: "j", name: "J", classIds: ["B"] }],
+    );
+    const { state: out, summary } = mergeStates(mine, file);
+    expect(out.classes.map((c) => c.id)).toEqual(["A", "B"]);
+    expect(out.classes[0].students.map((s) => s.id)).toEqual(["s1", "s2"]);
+    expect(out.skills.find((s) => s.id === "k").classIds).toEqual(["A", "B"]);
+    expect(out.skills.map((s) => s.id)).toContain("j");
+    expect(summary).toMatchObject({ classesAdded: ["B"], classesMerged: ["A"], studentsAdded: 1, skillsAdded: 1, skillsLinked: 1 });
+  });
+
+  it("keeps class settings and seats from the current data", () => {
+    const mine = state([cls("A", { name: "Period 1", students: [{ id: "s1", name: "Ana" }], seats: [{ r: 0, c: 0, studentId: "s1" }] })], []);
+    const file = state([cls("A", { name: "P1 (iPad)", students: [{ id: "s1", name: "Ana" }] })], []);
+    const { state: out } = mergeStates(mine, file);
+    expect(out.classes[0]).toBe(mine.classes[0]);
+  });
+
+  it("unions non-conflicting mark history", () => {
+    const mine = state([cls("A", { students: [{ id: "s1", name: "Ana" }], marks: { k: { s1: [mark(1, "01"), mark(3, "05")] } } })], [{ id: "k", name: "K", classIds: ["A"] }]);
+    const file = state([cls("A", { students: [{ id: "s1", name: "Ana" }], marks: { k: { s1: [mark(1, "01"), mark(2, "03"), mark(3, "06")] } } })], [{ id: "k", name: "K", classIds: ["A"] }]);
+    const { state: out, summary } = mergeStates(mine, file);
+    expect(out.classes[0].marks.k.s1.map((e) => e.level)).toEqual([1, 2, 3, 3]);
+    expect(summary.conflicts).toHaveLength(0);
+    expect(summary.marksAdded).toBe(2);
+  });
+
+  describe("conflicting marks", () => {
+    const mine = state([cls("A", { students: [{ id: "s1", name: "Ana" }], marks: { k: { s1: [mark(2, "04")] } } })], [{ id: "k", name: "K", classIds: ["A"] }]);
+    const file = state([cls("A", { students: [{ id: "s1", name: "Ana" }], marks: { k: { s1: [mark(4, "02")] } } })], [{ id: "k", name: "K", classIds: ["A"] }]);
+    const current = (out) => out.classes[0].marks.k.s1.at(-1).level;
+
+    it("newest wins by default and keeps both in history", () => {
+      const { state: out, summary } = mergeStates(mine, file);
+      expect(summary.conflicts).toHaveLength(1);
+      expect(summary.conflicts[0]).toMatchObject({ studentName: "Ana", skillName: "K", choice: "newest" });
+      expect(out.classes[0].marks.k.s1.map((e) => e.level)).toEqual([4, 2]);
+    });
+
+    it("a policy of theirs keeps the file's level current", () => {
+      const { state: out } = mergeStates(mine, file, { conflicts: "theirs" });
+      expect(current(out)).toBe(4);
+    });
+
+    it("a per-conflict choice overrides the policy", () => {
+      const { state: out } = mergeStates(mine, file, { conflicts: "theirs", choices: { [conflictKey("A", "k", "s1")]: "mine" } });
+      expect(current(out)).toBe(2);
+    });
+  });
+
+  it("imports one class only and leaves the rest of the file alone", () => {
+    const mine = state([cls("A")], []);
+    const file = state([cls("B"), cls("C")], [{ id: "kb", name: "KB", classIds: ["B"] }, { id: "kc", name: "KC", classIds: ["C"] }]);
+    const { state: out, summary } = mergeStates(mine, file, { classIds: ["C"] });
+    expect(out.classes.map((c) => c.id)).toEqual(["A", "C"]);
+    expect(out.skills.map((s) => s.id)).toEqual(["kc"]);
+    expect(summary.classesSkipped).toEqual(["B"]);
+    expect(summary.classesUntouched).toBe(1);
+  });
+
+  it("converts marks recorded on a different scale", () => {
+    const mine = state([cls("A", { students: [{ id: "s1", name: "Ana" }] })], [{ id: "k", name: "K", classIds: ["A"] }]);
+    const file = state([cls("A", { scaleId: "check", students: [{ id: "s1", name: "Ana" }], marks: { k: { s1: [mark(2, "01")] } } })], [{ id: "k", name: "K", classIds: ["A"] }]);
+    const { state: out, summary } = mergeStates(mine, file);
+    expect(out.classes[0].marks.k.s1[0].level).toBe(3);
+    expect(summary.marksConverted).toBe(1);
+  });
+
+  it("adds attendance from the file and keeps this device's status for the same day", () => {
+    const mine = state([cls("A", { attendance: { "2026-10-01": { s1: "tardy" } } })], []);
+    const file = state([cls("A", { attendance: { "2026-10-01": { s1: "absent", s2: "absent" }, "2026-10-02": { s1: "absent" } } })], []);
+    const { state: out, summary } = mergeStates(mine, file);
+    expect(out.classes[0].attendance).toEqual({ "2026-10-01": { s1: "tardy", s2: "absent" }, "2026-10-02": { s1: "absent" } });
+    expect(summary.attendanceAdded).toBe(2);
+  });
+
+  it("adds notes from the file by id", () => {
+    const note = (id) => ({ id, studentId: "s1", text: id, at: "2026-10-01T10:00:00.000Z" });
+    const mine = state([cls("A", { notes: [note("n1")] })], []);
+    const file = state([cls("A", { notes: [note("n1"), note("n2")] })], []);
+    const { state: out, summary } = mergeStates(mine, file);
+    expect(out.classes[0].notes.map((n) => n.id)).toEqual(["n1", "n2"]);
+    expect(summary.notesAdded).toBe(1);
+  });
+
+  it("does not mutate its inputs", () => {
+    const mine = state([cls("A", { marks: { k: { s1: [mark(1, "01")] } } })], [{ id: "k", name: "K", classIds: ["A"] }]);
+    const file = state([cls("A", { marks: { k: { s1: [mark(2, "02")] } } }), cls("B")], [{ id: "k", name: "K", classIds: ["A", "B"] }]);
+    const snapshot = JSON.stringify([mine, file]);
+    mergeStates(mine, file);
+    expect(JSON.stringify([mine, file])).toBe(snapshot);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * NC Standard Course of Study — Mathematics, grades 6–8 (2017 standards).
+ *
+ * Codes are stored WITHOUT the "NC.<grade>." prefix (e.g. "EE.3"); the grade comes from the class.
+ * Descriptions are short summaries for picking a standard, not the official wording.
+ */
+
+export const DOMAIN_BY_PREFIX = {
+  RP: "Ratios & Proportions",
+  NS: "Number System",
+  EE: "Expressions & Equations",
+  F: "Functions",
+  G: "Geometry",
+  SP: "Statistics & Probability",
+};
+
+const G6 = [
+  ["RP.1", "Understand ratios and use ratio language to describe a relationship between two quantities"],
+  ["RP.2", "Understand unit rate a/b associated with a ratio a:b and use rate language"],
+  ["RP.3", "Use ratio reasoning with equivalent ratios to solve real-world and mathematical problems"],
+  ["RP.4", "Use ratio reasoning to solve problems involving percents (part, whole, percent)"],
+  ["NS.1", "Interpret and compute quotients of fractions; solve word problems dividing fractions"],
+  ["NS.2", "Fluently divide multi-digit whole numbers using long division"],
+  ["NS.3", "Fluently add, subtract, multiply and divide multi-digit decimals"],
+  ["NS.4", "Find greatest common factor and least common multiple; use the distributive property to factor sums"],
+  ["NS.5", "Use positive and negative numbers to represent quantities in real-world contexts"],
+  ["NS.6", "Understand rational numbers as points on the number line and in the coordinate plane"],
+  ["NS.7", "Understand ordering and absolute value of rational numbers"],
+  ["NS.8", "Solve problems by graphing points in all four quadrants; find distances on the coordinate plane"],
+  ["NS.9", "Apply and extend understanding of adding and subtracting integers"],
+  ["EE.1", "Write and evaluate numerical expressions involving whole-number exponents"],
+  ["EE.2", "Write, read and evaluate expressions in which letters stand for numbers"],
+  ["EE.3", "Apply properties of operations to generate equivalent expressions"],
+  ["EE.4", "Identify when two expressions are equivalent"],
+  ["EE.5", "Understand solving an equation or inequality as finding values that make it true"],
+  ["EE.6", "Use variables to represent numbers and write expressions for real-world problems"],
+  ["EE.7", "Solve real-world problems by writing and solving one-step equations (x + p = q, px = q)"],
+  ["EE.8", "Write and graph inequalities of the form x > c or x < c"],
+  ["EE.9", "Represent and analyze relationships between dependent and independent variables"],
+  ["G.1", "Find area of triangles, special quadrilaterals and polygons by composing and decomposing"],
+  ["G.2", "Find volume of right rectangular prisms with fractional edge lengths"],
+  ["G.3", "Draw polygons in the coordinate plane and find side lengths"],
+  ["G.4", "Represent 3-D figures with nets and use them to find surface area"],
+  ["SP.1", "Recognize a statistical question as one that anticipates variability"],
+  ["SP.2", "Understand a data distribution by its center, spread and overall shape"],
+  ["SP.3", "Recognize that a measure of center summarizes data and a measure of variation describes spread"],
+  ["SP.4", "Display numerical data in dot plots, histograms and box plots"],
+  ["SP.5", "Summarize numerical data sets in relation to their context"],
+];
+
+const G7 = [
+  ["RP.1", "Compute unit rates associated with ratios of fractions"],
+  ["RP.2", "Recognize and represent proportional relationships between quantities"],
+  ["RP.3", "Use proportional relationships to solve multistep ratio and percent problems"],
+  ["NS.1", "Add and subtract rational numbers; represent on a number line"],
+  ["NS.2", "Multiply and divide rational numbers"],
+  ["NS.3", "Solve real-world problems involving the four operations with rational numbers"],
+  ["EE.1", "Add, subtract, factor and expand linear expressions with rational coefficients"],
+  ["EE.2", "Rewrite expressions in different forms to show how quantities are related"],
+  ["EE.3", "Solve multi-step real-world problems with rational numbers in any form"],
+  ["EE.4", "Use variables to write and solve equations and inequalities for real-world problems"],
+  ["G.1", "Solve problems involving scale drawings of geometric figures"],
+  ["G.2", "Draw geometric shapes with given conditions, focusing on triangles"],
+  ["G.4", "Know and use the formulas for area and circumference of a circle"],
+  ["G.5", "Use supplementary, complementary, vertical and adjacent angles to solve for unknown angles"],
+  ["G.6", "Solve problems involving area, volume and surface area of 2-D and 3-D objects"],
+  ["SP.1", "Understand that random sampling supports valid inferences about a population"],
+  ["SP.2", "Use data from a random sample to draw inferences about a population"],
+  ["SP.3", "Informally assess the overlap of two numerical data distributions"],
+  ["SP.4", "Use measures of center and variability to compare two populations"],
+  ["SP.5", "Understand probability as a number from 0 to 1 expressing likelihood"],
+  ["SP.6", "Collect data to approximate probability and predict relative frequency"],
+  ["SP.7", "Develop probability models and use them to find probabilities"],
+  ["SP.8", "Find probabilities of compound events using lists, tables, tree diagrams and simulation"],
+];
+
+const G8 = [
+  ["NS.1", "Understand that every number has a decimal expansion; distinguish rational and irrational numbers"],
+  ["NS.2", "Use rational approximations of irrational numbers to compare and locate them"],
+  ["EE.1", "Know and apply the properties of integer exponents"],
+  ["EE.2", "Use square root and cube root symbols; evaluate perfect squares and cubes"],
+  ["EE.3", "Use scientific notation to estimate very large or very small quantities"],
+  ["EE.4", "Perform operations with numbers in scientific notation"],
+  ["EE.5", "Graph proportional relationships, interpreting unit rate as slope"],
+  ["EE.7", "Solve linear equations in one variable"],
+  ["EE.8", "Analyze and solve pairs of simultaneous linear equations"],
+  ["F.1", "Understand that a function assigns to each input exactly one output"],
+  ["F.2", "Compare properties of two functions represented in different ways"],
+  ["F.3", "Identify linear functions (y = mx + b) and give examples of nonlinear functions"],
+  ["F.4", "Construct a function to model a linear relationship; interpret rate of change and initial value"],
+  ["F.5", "Describe and sketch functional relationships from qualitative graphs"],
+  ["G.1", "Verify properties of rotations, reflections and translations"],
+  ["G.2", "Understand congruence through a sequence of rigid transformations"],
+  ["G.3", "Describe the effect of transformations on figures using coordinates"],
+  ["G.4", "Understand similarity through rigid transformations and dilations"],
+  ["G.5", "Use informal arguments about angle sums, exterior angles and parallel lines cut by a transversal"],
+  ["G.6", "Explain a proof of the Pythagorean Theorem and its converse"],
+  ["G.7", "Apply the Pythagorean Theorem to find unknown side lengths"],
+  ["G.8", "Apply the Pythagorean Theorem to find the distance between two points"],
+  ["G.9", "Know and use the volume formulas for cones, cylinders and spheres"],
+  ["SP.1", "Construct and interpret scatter plots for bivariate measurement data"],
+  ["SP.2", "Informally fit a straight line to a scatter plot"],
+  ["SP.3", "Use a linear model to solve problems, interpreting slope and intercept"],
+  ["SP.4", "Understand patterns of association in two-way tables"],
+];
+
+const build = (grade, rows) => rows.map(([code, description]) => ({ grade, code, description, domain: domainForCode(code) }));
+
+/** @type {{ grade: number, code: string, description: string, domain: string }[]} */
+export const NC_STANDARDS = [...build(6, G6), ...build(7, G7), ...build(8, G8)];
+
+export const CATALOG_GRADES = [6, 7, 8];
+
+/** "EE.3" / "EE.4a" -> "Expressions & Equations" (undefined when the prefix is unknown) */
+export function domainForCode(code) {
+  const m = typeof code === "string" && code.match(/^([A-Z]+)\./);
+  return m ? DOMAIN_BY_PREFIX[m[1]] : undefined;
+}
+
+/**
+ * Normalizes free-typed codes: strips any "NC.<grade>." prefix and fixes common typos
+ * ("EE3", "E.E.3", "ee 3", "NC.7.EE.4A" -> "EE.3", "EE.4a"). Unrecognized text is returned trimmed.
+ */
+export function normalizeStandardCode(code) {
+  if (typeof code !== "string") return code;
+  const t = code.trim().replace(/^NC[.\s]*\d+[.\s]+/i, "");
+  const m = t.match(/^([A-Za-z])[.\s]?([A-Za-z])?[.\s-]*(\d+)([a-z])?$/i);
+  if (!m) return t;
+  return `${(m[1] + (m[2] || "")).toUpperCase()}.${m[3]}${m[4] ? m[4].toLowerCase() : ""}`;
+}
+
+/** Catalog entry for a grade + code (sub-letters like "EE.4a" resolve to "EE.4") */
+export function findStandard(grade, code) {
+  const base = normalizeStandardCode(code || "").replace(/[a-z]$/, "");
+  return NC_STANDARDS.find((s) => s.grade === grade && s.code === base);
+}
+
+/** Catalog entries for a grade matching a code or description fragment */
+export function searchStandards(grade, query) {
+  const q = (query || "").trim().toLowerCase();
+  const norm = normalizeStandardCode(query || "").toLowerCase();
+  return NC_STANDARDS.filter((s) => s.grade === grade && (!q || s.code.toLowerCase().startsWith(norm) || s.description.toLowerCase().includes(q)));
+}
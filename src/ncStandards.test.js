@@ -0,0 +1,61 @@
+import { describe, expect, it } from "vitest";
+import { NC_STANDARDS, domainForCode, findStandard, normalizeStandardCode, searchStandards } from "./ncStandards";
+
+describe("normalizeStandardCode", () => {
+  it("strips the NC.<grade>. prefix and fixes common typos", () => {
+    expect(normalizeStandardCode("NC.6.E.E.3")).toBe("EE.3");
+    expect(normalizeStandardCode("NC.7.EE.4A")).toBe("EE.4a");
+    expect(normalizeStandardCode("ee 3")).toBe("EE.3");
+    expect(normalizeStandardCode("EE3")).toBe("EE.3");
+    expect(normalizeStandardCode(" F-2 ")).toBe("F.2");
+  });
+
+  it("returns unrecognized text trimmed and non-strings unchanged", () => {
+    expect(normalizeStandardCode("  Fractions review ")).toBe("Fractions review");
+    expect(normalizeStandardCode(null)).toBe(null);
+  });
+});
+
+describe("findStandard", () => {
+  it("finds a code in the class grade only", () => {
+    expect(findStandard(6, "RP.1").description).toMatch(/ratio language/);
+    expect(findStandard(6, "G.9")).toBeUndefined();
+    expect(findStandard(8, "G.9").grade).toBe(8);
+  });
+
+  it("resolves sub-letter and typo'd codes to the parent standard", () => {
+    expect(findStandard(6, "EE.2a")).toBe(findStandard(6, "EE.2"));
+    expect(findStandard(6, "NC.6.E.E.2c").code).toBe("EE.2");
+  });
+
+  it("returns undefined for unknown codes", () => {
+    expect(findStandard(6, "EE.99")).toBeUndefined();
+    expect(findStandard(6, "XY.1")).toBeUndefined();
+    expect(findStandard(6, "")).toBeUndefined();
+    expect(findStandard(5, "RP.1")).toBeUndefined();
+  });
+});
+
+describe("searchStandards", () => {
+  it("matches a code prefix, typed loosely, within the grade", () => {
+    const codes = searchStandards(6, "nc.6.rp").map((s) => s.code);
+    expect(codes).toEqual(["RP.1", "RP.2", "RP.3", "RP.4"]);
+    expect(searchStandards(6, "ee3").map((s) => s.code)).toEqual(["EE.3"]);
+  });
+
+  it("matches description text and lists the whole grade for an empty query", () => {
+    expect(searchStandards(8, "pythagorean").map((s) => s.code)).toEqual(["G.6", "G.7", "G.8"]);
+    expect(searchStandards(7, "")).toEqual(NC_STANDARDS.filter((s) => s.grade === 7));
+  });
+
+  it("returns nothing for an unknown code", () => {
+    expect(searchStandards(6, "QQ.7")).toEqual([]);
+  });
+});
+
+describe("domainForCode", () => {
+  it("names the domain of a code and leaves unknown prefixes undefined", () => {
+    expect(domainForCode("EE.4a")).toBe("Expressions & Equations");
+    expect(domainForCode("XY.1")).toBeUndefined();
+  });
+});
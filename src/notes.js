@@ -0,0 +1,60 @@
+import { nowISO, uid } from "./schema";
+
+/**
+ * Anecdotal notes: short dated observations about a student ("drops the negative sign when distributing"),
+ * kept per class in `cls.notes`. A note may name a skill (`skillId`) or, when no skill fits, a standard code.
+ */
+
+/** Notes newer than this many days put an indicator on the student's seat */
+export const RECENT_NOTE_DAYS = 7;
+
+const byNewest = (a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0);
+
+/**
+ * Returns the class with a new note (does not mutate).
+ * @returns {{ cls: object, note: object } | null} null when the text is blank
+ */
+export function addNote(cls, { studentId, text, skillId = null, standardCode = "", at = nowISO() }) {
+  const body = (text || "").trim();
+  if (!body || !studentId) return null;
+  const note = { id: uid(), studentId, text: body, at };
+  if (skillId) note.skillId = skillId;
+  else if (standardCode.trim()) note.standardCode = standardCode.trim().toUpperCase();
+  return { cls: { ...cls, notes: [...(cls.notes || []), note] }, note };
+}
+
+export function deleteNote(cls, noteId) {
+  return { ...cls, notes: (cls.notes || []).filter((n) => n.id !== noteId) };
+}
+
+/** Every note about one student, newest first */
+export function studentNotes(cls, studentId) {
+  return (cls.notes || []).filter((n) => n.studentId === studentId).sort(byNewest);
+}
+
+/** Students with a note in the last `days` days */
+export function recentNoteIds(cls, now = new Date(), days = RECENT_NOTE_DAYS) {
+  const since = new Date(now.getTime() - days * 864e5).toISOString();
+  return new Set((cls.notes || []).filter((n) => n.at >= since).map((n) => n.studentId));
+}
+
+/**
+ * Notes matching every word of `query` in the note text, the student's name, the skill's name or standard code
+ * (case-insensitive), newest first. An empty query returns every note.
+ * @param {(note) => string} describe the searchable label for a note's student and skill
+ */
+export function searchNotes(cls, query, describe) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return (cls.notes || [])
+    .filter((n) => {
+      const hay = `${n.text} ${n.standardCode || ""} ${describe(n)}`.toLowerCase();
+      return words.every((w) => hay.includes(w));
+    })
+    .sort(byNewest);
+}
+
+/** Drops a student's notes (removed from the class) */
+export function clearStudentNotes(cls, studentId) {
+  if (!cls.notes) return cls;
+  return { ...cls, notes: cls.notes.filter((n) => n.studentId !== studentId) };
+}
@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { addNote, clearStudentNotes, deleteNote, recentNoteIds, searchNotes, studentNotes } from "./notes";
+
+const cls = () => ({ id: "A", students: [{ id: "s1", name: "Ana" }, { id: "s2", name: "Ben" }], notes: [
+  { id: "n1", studentId: "s1", text: "Drops the negative sign", at: "2026-10-01T10:00:00.000Z", skillId: "k" },
+  { id: "n2", studentId: "s2", text: "Explained ratios to a partner", at: "2026-10-10T10:00:00.000Z", standardCode: "RP.1" },
+  { id: "n3", studentId: "s1", text: "Checked work with a tape diagram", at: "2026-10-12T10:00:00.000Z" },
+] });
+
+describe("notes", () => {
+  it("adds a trimmed note tied to a skill or, without one, a standard code", () => {
+    const { cls: next, note } = addNote({ id: "A" }, { studentId: "s1", text: "  Uses inverse operations ", skillId: null, standardCode: "ee.3 ", at: "2026-10-15T09:00:00.000Z" });
+    expect(note).toMatchObject({ studentId: "s1", text: "Uses inverse operations", standardCode: "EE.3", at: "2026-10-15T09:00:00.000Z" });
+    expect(next.notes).toEqual([note]);
+    expect(addNote(cls(), { studentId: "s1", text: "Linked", skillId: "k", standardCode: "EE.3" }).note).not.toHaveProperty("standardCode");
+    expect(addNote(cls(), { studentId: "s1", text: "   " })).toBeNull();
+  });
+
+  it("lists a student's notes newest first and deletes by id", () => {
+    expect(studentNotes(cls(), "s1").map((n) => n.id)).toEqual(["n3", "n1"]);
+    expect(studentNotes(deleteNote(cls(), "n3"), "s1").map((n) => n.id)).toEqual(["n1"]);
+    expect(clearStudentNotes(cls(), "s1").notes.map((n) => n.id)).toEqual(["n2"]);
+  });
+
+  it("finds students with recent notes", () => {
+    expect([...recentNoteIds(cls(), new Date("2026-10-14T00:00:00.000Z"))].sort()).toEqual(["s1", "s2"]);
+    expect([...recentNoteIds(cls(), new Date("2026-10-18T00:00:00.000Z"))]).toEqual(["s1"]);
+  });
+
+  it("searches text, student, skill and standard with every word", () => {
+    const describe = (n) => `${n.studentId === "s1" ? "Ana" : "Ben"} ${n.skillId === "k" ? "Solve equations" : ""}`;
+    expect(searchNotes(cls(), "negative", describe).map((n) => n.id)).toEqual(["n1"]);
+    expect(searchNotes(cls(), "ana", describe).map((n) => n.id)).toEqual(["n3", "n1"]);
+    expect(searchNotes(cls(), "rp.1 partner", describe).map((n) => n.id)).toEqual(["n2"]);
+    expect(searchNotes(cls(), "ana equations sign", describe).map((n) => n.id)).toEqual(["n1"]);
+    expect(searchNotes(cls(), "", describe)).toHaveLength(3);
+  });
+});
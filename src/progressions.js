@@ -0,0 +1,87 @@
+/**
+ * Skill progressions: library order, grouping by domain and prerequisite chains.
+ *
+ * The order of `state.skills` is the teaching order. Pickers group skills by domain; a domain appears where its
+ * first skill is, so reordering skills inside a domain never moves the domain. `skill.prereqIds` lists skills
+ * that should be Proficient before this one is assessed ("Distributive Property — Basic" before
+ * "Distribute with Negative Numbers"). Chains never loop.
+ */
+
+export const NO_DOMAIN = "(no domain)";
+
+const domainOf = (s) => s.domain || NO_DOMAIN;
+
+/** [{ domain, skills }] in library order; skills without a domain come last */
+export function groupByDomain(skills) {
+  const groups = new Map();
+  for (const s of skills) {
+    if (!groups.has(domainOf(s))) groups.set(domainOf(s), []);
+    groups.get(domainOf(s)).push(s);
+  }
+  const out = [...groups].map(([domain, list]) => ({ domain, skills: list }));
+  return [...out.filter((g) => g.domain !== NO_DOMAIN), ...out.filter((g) => g.domain === NO_DOMAIN)];
+}
+
+/** Skills in the order a grouped picker shows them */
+export const pickerOrder = (skills) => groupByDomain(skills).flatMap((g) => g.skills);
+
+/**
+ * Swaps a skill with its neighbour (dir -1 up, +1 down) among `peers` in the same domain — the skills one class
+ * sees — and returns the new library. Returns the same array when there is nothing to swap with.
+ */
+export function moveSkill(skills, peers, id, dir) {
+  const skill = skills.find((s) => s.id === id);
+  if (!skill) return skills;
+  const same = pickerOrder(peers).filter((s) => domainOf(s) === domainOf(skill));
+  const other = same[same.findIndex((s) => s.id === id) + dir];
+  if (!other || dir === 0) return skills;
+  return skills.map((s) => (s.id === id ? other : s.id === other.id ? skill : s));
+}
+
+/** True when `prereqId` already depends (directly or through other skills) on `skillId`, or is the skill itself */
+export function wouldCycle(skills, skillId, prereqId) {
+  const byId = new Map(skills.map((s) => [s.id, s]));
+  const seen = new Set();
+  const stack = [prereqId];
+  while (stack.length) {
+    const id = stack.pop();
+    if (id === skillId) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    stack.push(...(byId.get(id)?.prereqIds || []));
+  }
+  return false;
+}
+
+/** Returns the library with a prerequisite added, or null when it would make a loop */
+export function addPrereq(skills, skillId, prereqId) {
+  if (wouldCycle(skills, skillId, prereqId)) return null;
+  return skills.map((s) => (s.id === skillId && !(s.prereqIds || []).includes(prereqId) ? { ...s, prereqIds: [...(s.prereqIds || []), prereqId] } : s));
+}
+
+export function removePrereq(skills, skillId, prereqId) {
+  return skills.map((s) => {
+    if (s.id !== skillId) return s;
+    const { prereqIds, ...rest } = s;
+    const left = (prereqIds || []).filter((id) => id !== prereqId);
+    return left.length ? { ...rest, prereqIds: left } : rest;
+  });
+}
+
+/**
+ * Students ready for the next skill: Proficient (or better) on every prerequisite in `skills` and not yet
+ * assessed (N/A) on the skill itself. Prerequisites outside `skills` (not linked to the class) are ignored.
+ * @param {{ level: (skillId: string, studentId: string) => number, proficientAt: (skillId: string) => number }} ctx
+ * @returns {{ skill: object, prereqs: object[], studentIds: string[] }[]} skills with at least one such student
+ */
+export function readyForNext(skills, studentIds, { level, proficientAt }) {
+  const byId = new Map(skills.map((s) => [s.id, s]));
+  const out = [];
+  for (const skill of skills) {
+    const prereqs = (skill.prereqIds || []).map((id) => byId.get(id)).filter(Boolean);
+    if (!prereqs.length) continue;
+    const ready = studentIds.filter((sid) => level(skill.id, sid) === 0 && prereqs.every((p) => level(p.id, sid) >= proficientAt(p.id)));
+    if (ready.length) out.push({ skill, prereqs, studentIds: ready });
+  }
+  return out;
+}
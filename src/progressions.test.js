@@ -0,0 +1,58 @@
+import { describe, expect, it } from "vitest";
+import { NO_DOMAIN, addPrereq, groupByDomain, moveSkill, pickerOrder, readyForNext, removePrereq, wouldCycle } from "./progressions";
+
+const library = () => [
+  { id: "dist", name: "Distributive — Basic", domain: "EE" },
+  { id: "misc", name: "Warm-ups" },
+  { id: "ratio", name: "Ratios", domain: "RP" },
+  { id: "neg", name: "Distribute with negatives", domain: "EE", prereqIds: ["dist"] },
+  { id: "rate", name: "Unit rates", domain: "RP" },
+];
+
+describe("ordering and grouping", () => {
+  it("groups by domain where each domain first appears, skills without a domain last", () => {
+    expect(groupByDomain(library()).map((g) => [g.domain, g.skills.map((s) => s.id)])).toEqual([
+      ["EE", ["dist", "neg"]], ["RP", ["ratio", "rate"]], [NO_DOMAIN, ["misc"]],
+    ]);
+    expect(pickerOrder(library()).map((s) => s.id)).toEqual(["dist", "neg", "ratio", "rate", "misc"]);
+  });
+
+  it("moves a skill within its domain without moving the domain", () => {
+    const skills = library();
+    const moved = moveSkill(skills, skills, "neg", -1);
+    expect(moved.map((s) => s.id)).toEqual(["neg", "misc", "ratio", "dist", "rate"]);
+    expect(groupByDomain(moved).map((g) => g.domain)).toEqual(["EE", "RP", NO_DOMAIN]);
+    expect(moveSkill(skills, skills, "dist", -1)).toBe(skills);
+    expect(moveSkill(skills, skills, "neg", 1)).toBe(skills);
+  });
+
+  it("only swaps with skills the class can see", () => {
+    const skills = library();
+    const peers = skills.filter((s) => s.id !== "ratio");
+    expect(moveSkill(skills, peers, "rate", -1)).toBe(skills);
+  });
+});
+
+describe("prerequisites", () => {
+  it("refuses links that would make a loop", () => {
+    const skills = library();
+    expect(wouldCycle(skills, "dist", "neg")).toBe(true);
+    expect(wouldCycle(skills, "dist", "dist")).toBe(true);
+    expect(addPrereq(skills, "dist", "neg")).toBeNull();
+    const chained = addPrereq(skills, "ratio", "neg");
+    expect(chained.find((s) => s.id === "ratio").prereqIds).toEqual(["neg"]);
+    expect(addPrereq(chained, "dist", "ratio")).toBeNull();
+  });
+
+  it("removes a link and the empty list", () => {
+    expect(removePrereq(library(), "neg", "dist").find((s) => s.id === "neg")).not.toHaveProperty("prereqIds");
+  });
+
+  it("finds students Proficient on every prerequisite and not yet assessed on the skill", () => {
+    const levels = { dist: { a: 3, b: 2, c: 4, d: 3 }, neg: { c: 1 } };
+    const ctx = { level: (k, s) => levels[k]?.[s] ?? 0, proficientAt: () => 3 };
+    const out = readyForNext(library(), ["a", "b", "c", "d"], ctx);
+    expect(out.map((it) => [it.skill.id, it.studentIds])).toEqual([["neg", ["a", "d"]]]);
+    expect(readyForNext(library().filter((s) => s.id !== "dist"), ["a"], ctx)).toEqual([]);
+  });
+});
@@ -0,0 +1,117 @@
+import { groupByDomain } from "./progressions";
+
+/**
+ * Progress reports for parent conferences and IEP meetings: a plain page per student with a domain summary, every
+ * linked skill (standard, domain, current level, date of the newest mark) and optionally the teacher's notes.
+ *
+ * The output is one self-contained HTML document (no app styles or scripts), so it opens, prints and saves as PDF
+ * in any browser. A class batch puts each student on a printed page of their own.
+ */
+
+/**
+ * @typedef {Object} ReportSkill
+ * @property {string} name
+ * @property {string} standardCode
+ * @property {string} domain
+ * @property {string} levelName    level name on the skill's own scale ("N/A" when never marked)
+ * @property {number} level        the same level on the class scale, 0 when not assessed (for the domain summary)
+ * @property {boolean} proficient  at or above the skill scale's Proficient level
+ * @property {string|null} at      time of the newest mark
+ */
+
+/**
+ * @typedef {Object} StudentReport
+ * @property {{ name: string, sisId?: string }} student
+ * @property {string} className
+ * @property {string[]} levelNames  class scale names, index = level (0 = N/A)
+ * @property {ReportSkill[]} skills in picker order
+ * @property {{ at: string, topic: string, text: string }[] | null} notes null leaves the section out
+ */
+
+/**
+ * One row per domain, in the order the skills list them: how many skills were assessed, how many are
+ * Proficient or better, and the mean assessed level on the class scale (null when nothing is assessed).
+ */
+export function summarizeDomains(skills) {
+  return groupByDomain(skills).map(({ domain, skills: list }) => {
+    const assessed = list.filter((s) => s.level > 0);
+    return {
+      domain,
+      skills: list.length,
+      assessed: assessed.length,
+      proficient: assessed.filter((s) => s.proficient).length,
+      average: assessed.length ? assessed.reduce((a, s) => a + s.level, 0) / assessed.length : null,
+    };
+  });
+}
+
+export const escapeHtml = (v) => String(v ?? "").replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+
+const dateLabel = (iso) => (iso ? new Date(iso).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" }) : "");
+
+const STYLE = `
+  body { font: 11pt/1.4 system-ui, -apple-system, "Segoe UI", sans-serif; color: #111; margin: 0; }
+  .page { max-width: 7.5in; margin: 0 auto; padding: 0.5in 0.25in; }
+  .page + .page { break-before: page; }
+  header { display: flex; justify-content: space-between; align-items: baseline; border-bottom: 2px solid #111; padding-bottom: 4pt; }
+  h1 { font-size: 16pt; margin: 0; }
+  h2 { font-size: 12pt; margin: 14pt 0 4pt; }
+  .meta { color: #555; font-size: 9.5pt; }
+  table { width: 100%; border-collapse: collapse; font-size: 10pt; }
+  th, td { text-align: left; padding: 3pt 6pt; border-bottom: 1px solid #ccc; vertical-align: top; }
+  th { border-bottom: 1px solid #111; }
+  tr { break-inside: avoid; }
+  .num { text-align: right; white-space: nowrap; }
+  .empty { color: #777; }
+  .note { margin: 0 0 6pt; break-inside: avoid; }
+  .hint { background: #eef4ff; border-bottom: 1px solid #bcd; padding: 6pt; text-align: center; font-size: 10pt; }
+  @page { margin: 0.5in; }
+  @media print { .hint { display: none; } .page { padding: 0; max-width: none; } }
+`;
+
+function summaryTable(report) {
+  const rows = summarizeDomains(report.skills).map((d) => {
+    const avg = d.average == null ? "—" : `${d.average.toFixed(1)} (${escapeHtml(report.levelNames[Math.round(d.average)] ?? "")})`;
+    return `<tr><td>${escapeHtml(d.domain)}</td><td class="num">${d.assessed} of ${d.skills}</td><td class="num">${d.proficient}</td><td>${avg}</td></tr>`;
+  });
+  return `<table><thead><tr><th>Domain</th><th class="num">Assessed</th><th class="num">Proficient or above</th><th>Average level</th></tr></thead><tbody>${rows.join("")}</tbody></table>`;
+}
+
+function skillsTable(report) {
+  const rows = report.skills.map((s) => `<tr><td>${escapeHtml(s.name)}</td><td>${escapeHtml(s.standardCode)}</td><td>${escapeHtml(s.domain)}</td>`
+    + `<td${s.level ? "" : ' class="empty"'}>${escapeHtml(s.levelName)}</td><td>${escapeHtml(dateLabel(s.at))}</td></tr>`);
+  return `<table><thead><tr><th>Skill</th><th>Standard</th><th>Domain</th><th>Current level</th><th>Date</th></tr></thead><tbody>${rows.join("")}</tbody></table>`;
+}
+
+function notesSection(notes) {
+  const body = notes.length
+    ? notes.map((n) => `<p class="note"><span class="meta">${escapeHtml(dateLabel(n.at))} · ${escapeHtml(n.topic)}</span><br>${escapeHtml(n.text).replace(/\n/g, "<br>")}</p>`).join("")
+    : `<p class="empty">No notes.</p>`;
+  return `<h2>Teacher notes</h2>${body}`;
+}
+
+function reportPage(report, generatedAt) {
+  const { student } = report;
+  return `<section class="page">
+<header><h1>${escapeHtml(student.name)}</h1><div class="meta">${escapeHtml(report.className)}${student.sisId ? ` · ID ${escapeHtml(student.sisId)}` : ""} · ${escapeHtml(dateLabel(generatedAt))}</div></header>
+${report.skills.length ? `<h2>Summary by domain</h2>${summaryTable(report)}<h2>Skills</h2>${skillsTable(report)}` : `<p class="empty">No skills are linked to this class.</p>`}
+${report.notes ? notesSection(report.notes) : ""}
+</section>`;
+}
+
+/**
+ * The printable document for one or more students.
+ * @param {StudentReport[]} reports
+ * @param {{ title: string, generatedAt?: string }} opts
+ */
+export function reportHtml(reports, { title, generatedAt = new Date().toISOString() }) {
+  return `<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>${STYLE}</style></head>
+<body>
+<div class="hint">Use your browser's Print command (Ctrl/Cmd+P) to print or save as PDF${reports.length > 1 ? "; each student starts a new page" : ""}.</div>
+${reports.map((r) => reportPage(r, generatedAt)).join("\n")}
+</body>
+</html>
+`;
+}
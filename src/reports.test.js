@@ -0,0 +1,58 @@
+import { describe, expect, it } from "vitest";
+import { escapeHtml, reportHtml, summarizeDomains } from "./reports";
+
+const skill = (name, domain, level, proficient = level >= 3) => ({ name, standardCode: "", domain, levelName: level ? `L${level}` : "N/A", level, proficient, at: level ? "2026-10-05T15:00:00.000Z" : null });
+
+const report = (fields = {}) => ({
+  student: { name: "Ana", sisId: "1001" },
+  className: "Period 1",
+  levelNames: ["N/A", "Help", "Developing", "Proficient", "Advanced"],
+  skills: [skill("Unit rates", "Ratios & Proportional Relationships", 3), skill("One-step equations", "", 0), skill("Ratio tables", "Ratios & Proportional Relationships", 2)],
+  notes: null,
+  ...fields,
+});
+
+describe("summarizeDomains", () => {
+  it("counts assessed and proficient skills per domain and averages assessed levels only", () => {
+    expect(summarizeDomains(report().skills)).toEqual([
+      { domain: "Ratios & Proportional Relationships", skills: 2, assessed: 2, proficient: 1, average: 2.5 },
+      { domain: "(no domain)", skills: 1, assessed: 0, proficient: 0, average: null },
+    ]);
+  });
+});
+
+describe("reportHtml", () => {
+  it("renders the summary, every skill and the level name of each domain average", () => {
+    const html = reportHtml([report()], { title: "Ana" });
+    expect(html).toContain("<h1>Ana</h1>");
+    expect(html).toContain("ID 1001");
+    expect(html).toContain("2.5 (Proficient)");
+    expect(html).toContain('<td class="num">2 of 2</td>');
+    expect(html).toContain("One-step equations");
+    expect(html).not.toContain("Teacher notes");
+  });
+
+  it("adds teacher notes when asked and escapes everything the teacher typed", () => {
+    const html = reportHtml([report({ notes: [{ at: "2026-10-06T15:00:00.000Z", topic: "Unit rates (RP.2)", text: "Uses <b>tape</b> diagrams\nasks for help" }] })], { title: "Ana" });
+    expect(html).toContain("Teacher notes");
+    expect(html).toContain("Uses &#60;b&#62;tape&#60;/b&#62; diagrams<br>asks for help");
+    expect(reportHtml([report({ notes: [] })], { title: "Ana" })).toContain("No notes.");
+  });
+
+  it("puts one page per student in a batch", () => {
+    const html = reportHtml([report(), report({ student: { name: "Ben" } })], { title: "Period 1" });
+    expect(html.match(/<section class="page">/g)).toHaveLength(2);
+    expect(html).toContain("each student starts a new page");
+  });
+
+  it("says so when no skills are linked", () => {
+    expect(reportHtml([report({ skills: [] })], { title: "Ana" })).toContain("No skills are linked");
+  });
+});
+
+describe("escapeHtml", () => {
+  it("escapes markup and quotes", () => {
+    expect(escapeHtml(`"A" & <B>'s`)).toBe("&#34;A&#34; &#38; &#60;B&#62;&#39;s");
+    expect(escapeHtml(null)).toBe("");
+  });
+});
@@ -0,0 +1,222 @@
+import { FIXTURE_KINDS, MAX_GRID, uid } from "./schema";
+
+/**
+ * Room editor for the free layout: adding and removing desks, room fixtures, moving a selection together,
+ * snapping and ready-made desk templates. Everything here is a pure function of a class.
+ *
+ * A desk is a seat. Its r,c name it (sync, seat labels) and place it when the class is shown as a grid, but on
+ * the free board only x/y matter, so desks can be added past the grid or removed from it. A new desk takes the
+ * first grid cell without one, growing the grid by a row when every cell is used.
+ *
+ * Selections are sets of item keys: "d:<r>,<c>" for desks, "f:<id>" for fixtures. Positions are 0..1 of the board.
+ */
+
+export const SNAP_STEP = 0.025;
+const ALIGN_TOLERANCE = 0.012;
+const EDGE = 0.02;
+/** Rough desk footprint on a typical board (share of width/height), used to pack templates */
+const DESK = { w: 0.17, h: 0.19 };
+
+export const deskKey = (s) => `${s.r},${s.c}`;
+export const deskItem = (s) => `d:${deskKey(s)}`;
+export const fixtureItem = (f) => `f:${f.id}`;
+
+const clamp = (v) => Math.max(EDGE, Math.min(1 - EDGE, v));
+
+/** Where a desk sits on the board; desks never dragged fall back to their grid cell */
+export function deskXY(cls, s) {
+  return {
+    x: typeof s.x === "number" ? s.x : (s.c + 0.5) / cls.cols,
+    y: typeof s.y === "number" ? s.y : (s.r + 0.5) / cls.rows,
+  };
+}
+
+/** Every desk and fixture with its item key and position */
+export function roomItems(cls) {
+  return [
+    ...cls.seats.map((s) => ({ key: deskItem(s), ...deskXY(cls, s) })),
+    ...(cls.fixtures || []).map((f) => ({ key: fixtureItem(f), x: f.x, y: f.y })),
+  ];
+}
+
+/**
+ * Adds one empty desk per position.
+ * @returns {{ cls: object, keys: string[] } | null} null when the grid cannot grow any further
+ */
+export function addDesks(cls, positions) {
+  const used = new Set(cls.seats.map(deskKey));
+  const seats = [...cls.seats];
+  const keys = [];
+  let rows = cls.rows;
+  let i = 0;
+  for (const pos of positions) {
+    while (used.has(`${Math.floor(i / cls.cols)},${i % cls.cols}`)) i++;
+    const r = Math.floor(i / cls.cols), c = i % cls.cols;
+    if (r >= MAX_GRID) return null;
+    used.add(`${r},${c}`);
+    rows = Math.max(rows, r + 1);
+    const seat = { r, c, studentId: null, x: clamp(pos.x), y: clamp(pos.y) };
+    seats.push(seat);
+    keys.push(deskItem(seat));
+  }
+  return { cls: { ...cls, rows, seats }, keys };
+}
+
+export function addFixture(cls, kind) {
+  const k = FIXTURE_KINDS.find((f) => f.id === kind);
+  if (!k) return { cls, key: null };
+  const fixture = { id: uid(), kind, x: k.x, y: k.y, w: k.w, h: k.h };
+  return { cls: { ...cls, fixtures: [...(cls.fixtures || []), fixture] }, key: fixtureItem(fixture) };
+}
+
+/** Removes the selected desks (their students go back to the unseated list) and fixtures */
+export function removeItems(cls, selection) {
+  const sel = new Set(selection);
+  const out = { ...cls, seats: cls.seats.filter((s) => !sel.has(deskItem(s))) };
+  if (cls.fixtures) out.fixtures = cls.fixtures.filter((f) => !sel.has(fixtureItem(f)));
+  return out;
+}
+
+/** Turns the selected fixtures a quarter (swaps width and height) */
+export function rotateFixtures(cls, selection) {
+  const sel = new Set(selection);
+  if (!cls.fixtures?.some((f) => sel.has(fixtureItem(f)))) return cls;
+  return { ...cls, fixtures: cls.fixtures.map((f) => (sel.has(fixtureItem(f)) ? { ...f, w: f.h, h: f.w } : f)) };
+}
+
+/** Item keys whose center lies inside the rectangle spanned by two board points */
+export function itemsInRect(cls, a, b) {
+  const [x0, x1] = [Math.min(a.x, b.x), Math.max(a.x, b.x)];
+  const [y0, y1] = [Math.min(a.y, b.y), Math.max(a.y, b.y)];
+  return roomItems(cls).filter((it) => it.x >= x0 && it.x <= x1 && it.y >= y0 && it.y <= y1).map((it) => it.key);
+}
+
+/**
+ * Snaps a dragged point. "grid" rounds to SNAP_STEP; "align" lines it up with the nearest other item on each axis
+ * (within a small tolerance) and returns the guide lines to draw.
+ * @returns {{ x: number, y: number, guides: { axis: 'x'|'y', at: number }[] }}
+ */
+export function snapPoint(p, mode, others) {
+  if (mode === "grid") return { x: Math.round(p.x / SNAP_STEP) * SNAP_STEP, y: Math.round(p.y / SNAP_STEP) * SNAP_STEP, guides: [] };
+  if (mode !== "align") return { ...p, guides: [] };
+  const out = { ...p, guides: [] };
+  for (const axis of ["x", "y"]) {
+    let best = null;
+    for (const o of others) {
+      const d = Math.abs(o[axis] - p[axis]);
+      if (d <= ALIGN_TOLERANCE && (!best || d < best.d)) best = { d, at: o[axis] };
+    }
+    if (best) { out[axis] = best.at; out.guides.push({ axis, at: best.at }); }
+  }
+  return out;
+}
+
+/**
+ * Moves a group of items from their drag-start positions by (dx, dy). The offset is limited so the whole group
+ * stays on the board, which keeps its shape when it is pushed against a wall.
+ * @param {Map<string, {x: number, y: number}>} start item key -> position when the drag began
+ */
+export function moveItems(cls, start, dx, dy) {
+  const pts = [...start.values()];
+  if (!pts.length) return cls;
+  const limit = (d, axis) => {
+    const lo = Math.min(...pts.map((p) => p[axis])), hi = Math.max(...pts.map((p) => p[axis]));
+    return Math.max(EDGE - lo, Math.min(1 - EDGE - hi, d));
+  };
+  const mx = limit(dx, "x"), my = limit(dy, "y");
+  const at = (key) => { const p = start.get(key); return { x: p.x + mx, y: p.y + my }; };
+  const out = { ...cls, seats: cls.seats.map((s) => (start.has(deskItem(s)) ? { ...s, ...at(deskItem(s)) } : s)) };
+  if (cls.fixtures) out.fixtures = cls.fixtures.map((f) => (start.has(fixtureItem(f)) ? { ...f, ...at(fixtureItem(f)) } : f));
+  return out;
+}
+
+// ---------- Keyboard navigation ----------
+const STEPS = { up: [-1, 0], down: [1, 0], left: [0, -1], right: [0, 1] };
+
+/**
+ * The desk an arrow key moves to. On the grid it is the next desk along the row or column (skipping cells
+ * without one); on the free board it is the closest desk in that direction, favouring ones straight ahead.
+ * Returns null at the edge of the room.
+ */
+export function nextDesk(cls, seat, dir) {
+  const [dr, dc] = STEPS[dir] || [0, 0];
+  if (!dr && !dc) return null;
+  if (cls.layoutMode !== "free") {
+    const at = new Map(cls.seats.map((s) => [deskKey(s), s]));
+    for (let r = seat.r + dr, c = seat.c + dc; r >= 0 && r < cls.rows && c >= 0 && c < cls.cols; r += dr, c += dc) {
+      if (at.has(`${r},${c}`)) return at.get(`${r},${c}`);
+    }
+    return null;
+  }
+  const from = deskXY(cls, seat);
+  let best = null;
+  for (const s of cls.seats) {
+    if (s === seat) continue;
+    const p = deskXY(cls, s);
+    const ahead = dr ? (p.y - from.y) * dr : (p.x - from.x) * dc;
+    const aside = Math.abs(dr ? p.x - from.x : p.y - from.y);
+    if (ahead <= 0.01) continue;
+    const score = ahead + aside * 2;
+    if (!best || score < best.score) best = { s, score };
+  }
+  return best ? best.s : null;
+}
+
+// ---------- Templates ----------
+export const ROOM_TEMPLATES = [
+  { id: "rows", label: "Rows" },
+  { id: "pods", label: "Pods of 4" },
+  { id: "u", label: "U-shape" },
+];
+
+/** Desk positions for a template, front of the room (the board) first; the top strip is left free for the board */
+export function templatePositions(id, n, perRow = 6) {
+  const top = 0.28, bottom = 0.9, left = 0.1, right = 0.9;
+  const span = (lo, hi, i, count) => lo + (hi - lo) * (count > 1 ? i / (count - 1) : 0.5);
+  const out = [];
+  if (id === "rows") {
+    const cols = Math.max(1, Math.min(perRow, n));
+    const rows = Math.ceil(n / cols);
+    for (let i = 0; i < n; i++) out.push({ x: span(left, right, i % cols, cols), y: span(top, bottom, Math.floor(i / cols), rows) });
+  } else if (id === "pods") {
+    const pods = Math.ceil(n / 4);
+    const podCols = Math.min(pods, Math.ceil(Math.sqrt(pods * 1.5))) || 1;
+    const podRows = Math.ceil(pods / podCols);
+    for (let i = 0; i < n; i++) {
+      const pod = Math.floor(i / 4), seat = i % 4;
+      const cx = span(left + DESK.w / 2, right - DESK.w / 2, pod % podCols, podCols);
+      const cy = span(top + DESK.h / 2, bottom - DESK.h / 2, Math.floor(pod / podCols), podRows);
+      out.push({ x: cx + (seat % 2 ? 0.5 : -0.5) * DESK.w, y: cy + (seat < 2 ? -0.5 : 0.5) * DESK.h });
+    }
+  } else if (id === "u") {
+    // Left wall front-to-back, back wall, right wall back-to-front: the open end faces the board
+    const legs = bottom - top, back = right - left, total = legs * 2 + back;
+    for (let i = 0; i < n; i++) {
+      const d = ((i + 0.5) / n) * total;
+      if (d < legs) out.push({ x: left, y: top + d });
+      else if (d < legs + back) out.push({ x: left + (d - legs), y: bottom });
+      else out.push({ x: right, y: bottom - (d - legs - back) });
+    }
+  }
+  return out.map((p) => ({ x: clamp(p.x), y: clamp(p.y) }));
+}
+
+/**
+ * Lays the class out as a template with `count` desks. Seated desks are kept (in front-to-back order); empty
+ * desks are removed or added to reach the count. Switches the class to the free layout.
+ * @returns {{ cls: object } | { error: string }}
+ */
+export function applyTemplate(cls, id, count) {
+  const occupied = cls.seats.filter((s) => s.studentId).length;
+  if (count < occupied) return { error: `${occupied} desks have students; choose at least ${occupied} desks or unseat someone first` };
+  const order = [...cls.seats].sort((a, b) => a.r - b.r || a.c - b.c);
+  const keep = new Set(order.filter((s) => s.studentId));
+  for (const s of order) { if (keep.size >= count) break; keep.add(s); }
+  let next = { ...cls, seats: cls.seats.filter((s) => keep.has(s)) };
+  const added = addDesks(next, Array.from({ length: count - keep.size }, () => ({ x: 0.5, y: 0.5 })));
+  if (!added) return { error: "That many desks do not fit in the class grid" };
+  next = added.cls;
+  const positions = templatePositions(id, count, cls.cols);
+  const placed = new Map([...next.seats].sort((a, b) => a.r - b.r || a.c - b.c).map((s, i) => [s, positions[i]]));
+  return { cls: { ...next, layoutMode: "free", seats: next.seats.map((s) => ({ ...s, ...placed.get(s) })) } };
+}
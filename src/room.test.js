@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import { addDesks, applyTemplate, itemsInRect, moveItems, nextDesk, removeItems, snapPoint, templatePositions } from "./room";
+
+const room = () => ({
+  id: "A", rows: 1, cols: 2, layoutMode: "free",
+  seats: [{ r: 0, c: 0, studentId: "s1", x: 0.2, y: 0.5 }, { r: 0, c: 1, studentId: null, x: 0.6, y: 0.5 }],
+  fixtures: [{ id: "door", kind: "door", x: 0.05, y: 0.9, w: 0.04, h: 0.12 }],
+});
+
+describe("desks", () => {
+  it("adds desks in free grid cells and grows the grid when it is full", () => {
+    const cls = removeItems(room(), ["d:0,0"]);
+    const { cls: next, keys } = addDesks(cls, [{ x: 0.1, y: 0.1 }, { x: 0.9, y: 0.9 }]);
+    expect(keys).toEqual(["d:0,0", "d:1,0"]);
+    expect(next.rows).toBe(2);
+    expect(next.seats.find((s) => s.r === 1)).toEqual({ r: 1, c: 0, studentId: null, x: 0.9, y: 0.9 });
+  });
+
+  it("moves a selection together and keeps it on the board", () => {
+    const cls = room();
+    const start = new Map([["d:0,0", { x: 0.2, y: 0.5 }], ["f:door", { x: 0.05, y: 0.9 }]]);
+    const next = moveItems(cls, start, -0.5, 0.05);
+    expect(next.fixtures[0].x).toBeCloseTo(0.02); // the door hits the wall first
+    expect(next.fixtures[0].y).toBeCloseTo(0.95);
+    expect(next.seats[0].x).toBeCloseTo(0.17);
+    expect(next.seats[1]).toBe(cls.seats[1]);
+  });
+
+  it("selects items inside a rectangle", () => {
+    expect(itemsInRect(room(), { x: 0.5, y: 1 }, { x: 0, y: 0.4 })).toEqual(["d:0,0", "f:door"]);
+  });
+});
+
+describe("nextDesk", () => {
+  it("skips grid cells without a desk and stops at the edge", () => {
+    const cls = { rows: 1, cols: 3, layoutMode: "grid", seats: [{ r: 0, c: 0 }, { r: 0, c: 2 }] };
+    expect(nextDesk(cls, cls.seats[0], "right")).toBe(cls.seats[1]);
+    expect(nextDesk(cls, cls.seats[1], "right")).toBeNull();
+    expect(nextDesk(cls, cls.seats[0], "down")).toBeNull();
+  });
+
+  it("picks the desk straight ahead on the free board", () => {
+    const cls = { ...room(), seats: [...room().seats, { r: 1, c: 0, x: 0.25, y: 0.8 }, { r: 1, c: 1, x: 0.2, y: 0.98 }] };
+    expect(nextDesk(cls, cls.seats[0], "down")).toBe(cls.seats[2]);
+    expect(nextDesk(cls, cls.seats[0], "right")).toBe(cls.seats[1]);
+    expect(nextDesk(cls, cls.seats[0], "up")).toBeNull();
+  });
+});
+
+describe("snapPoint", () => {
+  it("rounds to the snap grid", () => {
+    const { x, y } = snapPoint({ x: 0.312, y: 0.49 }, "grid", []);
+    expect(x).toBeCloseTo(0.3);
+    expect(y).toBeCloseTo(0.5);
+  });
+
+  it("aligns with a nearby item and reports the guide", () => {
+    const res = snapPoint({ x: 0.605, y: 0.3 }, "align", [{ x: 0.6, y: 0.5 }]);
+    expect(res).toEqual({ x: 0.6, y: 0.3, guides: [{ axis: "x", at: 0.6 }] });
+  });
+});
+
+describe("templates", () => {
+  it("places pods of four as 2×2 blocks", () => {
+    const pts = templatePositions("pods", 8);
+    expect(pts).toHaveLength(8);
+    expect(new Set(pts.slice(0, 4).map((p) => p.x.toFixed(3))).size).toBe(2);
+    expect(new Set(pts.slice(0, 4).map((p) => p.y.toFixed(3))).size).toBe(2);
+  });
+
+  it("keeps seated students and adds desks to reach the count", () => {
+    const res = applyTemplate(room(), "u", 5);
+    expect(res.cls.seats).toHaveLength(5);
+    expect(res.cls.seats.find((s) => s.studentId === "s1")).toBeTruthy();
+    expect(applyTemplate(room(), "rows", 0).error).toMatch(/1 desks have students/);
+  });
+});
@@ -0,0 +1,138 @@
+import { clearStudentAttendance } from "./attendance";
+import { clearStudentNotes } from "./notes";
+import { uid } from "./schema";
+
+/**
+ * Roster parsing for pasted spreadsheet columns and CSV/TSV uploads, and applying the parsed rows to a class.
+ * Pure functions so they can be tested without the UI; the import preview lives in App.jsx.
+ */
+
+/** Splits delimited text into rows of trimmed fields; honors "quoted, fields" and "" escapes */
+export function parseDelimited(text) {
+  const lines = String(text).replace(/\r\n?/g, "\n").split("\n").filter((l) => l.trim());
+  const delim = lines.some((l) => l.includes("\t")) ? "\t" : ",";
+  return lines.map((line) => {
+    const fields = [];
+    let cur = "", quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cur += ch;
+      } else if (ch === '"' && !cur.trim()) quoted = true;
+      else if (ch === delim) { fields.push(cur.trim()); cur = ""; }
+      else cur += ch;
+    }
+    fields.push(cur.trim());
+    return fields;
+  });
+}
+
+const looksLikeId = (f) => /^[A-Za-z]*\d[\w-]*$/.test(f);
+/** "Last, First" -> "First Last"; other names pass through */
+const flipName = (n) => {
+  const m = n.match(/^([^,]+),\s*(.+)$/);
+  return m ? `${m[2].trim()} ${m[1].trim()}` : n.trim();
+};
+
+/**
+ * Parses a roster paste/upload into { name, sisId? } rows.
+ * Accepts "Last, First" (quoted or split across two columns), "First Last", and an optional ID column.
+ * A header row is used to locate columns when it names them (name / first / last / id).
+ */
+export function parseRoster(text) {
+  let rows = parseDelimited(text);
+  let cols = null;
+  const header = (rows[0] || []).map((h) => h.toLowerCase());
+  if (header.some((h) => /name|first|last/.test(h)) && !rows[0].some(looksLikeId)) {
+    cols = {
+      name: header.findIndex((h) => /name/.test(h) && !/first|last/.test(h)),
+      first: header.findIndex((h) => /first/.test(h)),
+      last: header.findIndex((h) => /last/.test(h)),
+      id: header.findIndex((h) => /\bid\b|number|#/.test(h)),
+    };
+    rows = rows.slice(1);
+  }
+  const out = [];
+  for (let fields of rows) {
+    let name = "", sisId;
+    if (cols && cols.name >= 0 && fields.length === header.length + 1) {
+      // unquoted "Last, First" split the name column in two
+      fields = [...fields.slice(0, cols.name), `${fields[cols.name]}, ${fields[cols.name + 1]}`, ...fields.slice(cols.name + 2)];
+    }
+    if (cols) {
+      if (cols.first >= 0 || cols.last >= 0) name = [fields[cols.first], fields[cols.last]].filter(Boolean).join(" ");
+      else if (cols.name >= 0) name = flipName(fields[cols.name] || "");
+      if (cols.id >= 0 && fields[cols.id]) sisId = fields[cols.id];
+    } else {
+      const text = fields.filter((f) => f && !looksLikeId(f));
+      const ids = fields.filter((f) => f && looksLikeId(f));
+      name = text.length >= 2 ? `${text[1]} ${text[0]}` : flipName(text[0] || "");
+      if (ids.length) sisId = ids[0];
+    }
+    name = name.replace(/\s+/g, " ").trim();
+    if (name) out.push(sisId ? { name, sisId } : { name });
+  }
+  return out;
+}
+
+export const nameKey = (n) => n.toLowerCase().replace(/\s+/g, " ").trim();
+
+// ---------- Import into a class ----------
+/**
+ * Flags each parsed row against the class roster and earlier rows; returns rows with { duplicateOf, duplicateInFile }.
+ * Every repeat of an earlier row is duplicateInFile, whether or not it also matches a student in the class.
+ */
+export function planRosterImport(cls, rows) {
+  const seen = [];
+  return rows.map((row) => {
+    const match = (s) => (row.sisId && s.sisId ? s.sisId === row.sisId : nameKey(s.name) === nameKey(row.name));
+    const existing = cls.students.find(match);
+    const dupInFile = seen.find(match);
+    seen.push(row);
+    return { ...row, duplicateOf: existing ? existing.id : null, duplicateInFile: !!dupInFile };
+  });
+}
+
+const pickStudent = (row) => (row.sisId ? { name: row.name, sisId: row.sisId } : { name: row.name });
+
+/**
+ * Applies planned rows to a class.
+ * mode "append": adds rows not marked duplicate. mode "replace": roster becomes the rows; matching existing
+ * students keep their id (and marks), everyone else is unseated and their marks, attendance and notes dropped.
+ * autoSeat fills empty seats in row-major order with students who have no seat.
+ */
+export function applyRosterImport(cls, planned, { mode, autoSeat }) {
+  let students;
+  if (mode === "replace") {
+    students = [];
+    const kept = new Set();
+    for (const row of planned) {
+      // two rows can still match one student (e.g. differing IDs against a student without one); keep the first
+      if (row.duplicateInFile || (row.duplicateOf && kept.has(row.duplicateOf))) continue;
+      if (row.duplicateOf) kept.add(row.duplicateOf);
+      const prev = row.duplicateOf && cls.students.find((s) => s.id === row.duplicateOf);
+      students.push(prev ? { ...prev, ...(row.sisId ? { sisId: row.sisId } : {}) } : { id: uid(), ...pickStudent(row) });
+    }
+  } else {
+    students = [...cls.students, ...planned.filter((r) => !r.duplicateOf && !r.duplicateInFile).map((r) => ({ id: uid(), ...pickStudent(r) }))];
+  }
+  const keep = new Set(students.map((s) => s.id));
+  let seats = cls.seats.map((s) => (s.studentId && !keep.has(s.studentId) ? { ...s, studentId: null } : s));
+  const marks = {};
+  for (const [skillId, byStudent] of Object.entries(cls.marks)) {
+    marks[skillId] = Object.fromEntries(Object.entries(byStudent || {}).filter(([sid]) => keep.has(sid)));
+  }
+  if (autoSeat) {
+    const seated = new Set(seats.map((s) => s.studentId).filter(Boolean));
+    const queue = students.filter((s) => !seated.has(s.id));
+    const order = [...seats].sort((a, b) => a.r - b.r || a.c - b.c);
+    const fill = new Map();
+    for (const seat of order) { if (!seat.studentId && queue.length) fill.set(`${seat.r},${seat.c}`, queue.shift().id); }
+    seats = seats.map((s) => (fill.has(`${s.r},${s.c}`) ? { ...s, studentId: fill.get(`${s.r},${s.c}`) } : s));
+  }
+  let out = { ...cls, students, seats, marks };
+  for (const s of cls.students) if (!keep.has(s.id)) out = clearStudentNotes(clearStudentAttendance(out, s.id), s.id);
+  return out;
+}
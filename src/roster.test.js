@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { applyRosterImport, parseDelimited, parseRoster, planRosterImport } from "./roster";
+
+describe("parseDelimited", () => {
+  it("honors quoted fields and escaped quotes", () => {
+    expect(parseDelimited('"Smith, Jordan","say ""hi""",1')).toEqual([["Smith, Jordan", 'say "hi"', "1"]]);
+  });
+});
+
+describe("parseRoster", () => {
+  it("reads quoted \"Last, First\" CSV rows with an ID", () => {
+    const rows = parseRoster('"Smith, Jordan",104233\nAva Lee,104871');
+    expect(rows[0]).toEqual({ name: "Jordan Smith", sisId: "104233" });
+    expect(rows[1]).toEqual({ name: "Ava Lee", sisId: "104871" });
+  });
+
+  it("reads TSV rows", () => {
+    const rows = parseRoster("Smith, Jordan\t104233\nLee, Ava\t104871");
+    expect(rows).toHaveLength(2);
+    expect(rows[1]).toEqual({ name: "Ava Lee", sisId: "104871" });
+  });
+
+  it("uses a header row to find columns, including unquoted \"Last, First\"", () => {
+    const rows = parseRoster("Name,ID\nLee, Ava,S10");
+    expect(rows).toEqual([{ name: "Ava Lee", sisId: "S10" }]);
+  });
+});
+
+describe("roster import", () => {
+  const at = "2026-09-01T10:00:00.000Z";
+  const cls = () => ({
+    id: "C", students: [{ id: "a", name: "Ava Lee", sisId: "S10" }, { id: "b", name: "Ben Ortiz" }],
+    seats: [{ r: 0, c: 0, studentId: "b" }, { r: 0, c: 1, studentId: null }, { r: 1, c: 0, studentId: null }],
+    marks: { k: { a: [{ level: 3, at }], b: [{ level: 2, at }] } },
+    attendance: { "2026-09-01": { a: "tardy", b: "absent" }, "2026-09-02": { b: "absent" } },
+    notes: [{ id: "n1", studentId: "a", text: "Kept", at }, { id: "n2", studentId: "b", text: "Gone", at }],
+  });
+
+  it("flags students already on the roster (by ID, else name) and repeats within the file", () => {
+    const planned = planRosterImport(cls(), [{ name: "Ava M. Lee", sisId: "S10" }, { name: "ben  ortiz" }, { name: "Cy Park" }, { name: "Cy Park" }]);
+    expect(planned.map((r) => [r.duplicateOf, r.duplicateInFile])).toEqual([["a", false], ["b", false], [null, false], [null, true]]);
+  });
+
+  it("appends new students and seats them in row order", () => {
+    const next = applyRosterImport(cls(), planRosterImport(cls(), [{ name: "Ben Ortiz" }, { name: "Cy Park" }]), { mode: "append", autoSeat: true });
+    expect(next.students.map((s) => s.name)).toEqual(["Ava Lee", "Ben Ortiz", "Cy Park"]);
+    expect(next.seats.map((s) => s.studentId && next.students.find((st) => st.id === s.studentId).name)).toEqual(["Ben Ortiz", "Ava Lee", "Cy Park"]);
+  });
+
+  it("replaces the roster, keeping matched students' ids and marks and dropping everyone else's", () => {
+    const next = applyRosterImport(cls(), planRosterImport(cls(), [{ name: "Lee, Ava", sisId: "S10" }, { name: "Cy Park" }]), { mode: "replace", autoSeat: false });
+    expect(next.students.map((s) => s.id === "a" || s.name)).toEqual([true, "Cy Park"]);
+    expect(next.seats[0].studentId).toBeNull();
+    expect(next.marks).toEqual({ k: { a: [{ level: 3, at }] } });
+    expect(next.attendance).toEqual({ "2026-09-01": { a: "tardy" } });
+    expect(next.notes.map((n) => n.id)).toEqual(["n1"]);
+  });
+
+  it("keeps one copy of an existing student listed twice when replacing", () => {
+    const planned = planRosterImport(cls(), [{ name: "Ava Lee" }, { name: "Cy Park" }, { name: "ava lee" }]);
+    expect(planned.map((r) => [r.duplicateOf, r.duplicateInFile])).toEqual([["a", false], [null, false], ["a", true]]);
+    const next = applyRosterImport(cls(), planned, { mode: "replace", autoSeat: false });
+    expect(next.students.map((s) => s.id === "a" || s.name)).toEqual([true, "Cy Park"]);
+  });
+
+  it("keeps the first of two rows with different IDs that match the same student", () => {
+    const base = { ...cls(), students: [{ id: "a", name: "Ava Lee" }] };
+    const next = applyRosterImport(base, planRosterImport(base, [{ name: "Ava Lee", sisId: "S1" }, { name: "Ava Lee", sisId: "S2" }]), { mode: "replace", autoSeat: false });
+    expect(next.students).toEqual([{ id: "a", name: "Ava Lee", sisId: "S1" }]);
+  });
+});
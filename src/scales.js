@@ -0,0 +1,71 @@
+import { BUILTIN_SCALES, DEFAULT_SCALE_ID, convertLevel } from "./schema";
+
+/**
+ * Level scales in use: which scale a class or skill marks on, and moving marks when a scale's levels are edited or a
+ * class/skill switches scales. Level 0 (N/A) is never converted. Display colors stay with the UI.
+ */
+
+export function getScale(state, id) {
+  const list = Array.isArray(state?.scales) && state.scales.length ? state.scales : BUILTIN_SCALES;
+  return list.find((sc) => sc.id === id) || list.find((sc) => sc.id === DEFAULT_SCALE_ID) || list[0];
+}
+
+/** A skill's own scale wins over its class's scale */
+export const effectiveScale = (state, cls, skill) => getScale(state, skill?.scaleId || cls?.scaleId || DEFAULT_SCALE_ID);
+
+/** A level's name on a scale; 0 is "N/A" and out-of-range levels (left over from an older scale) read as the top level */
+export const levelName = (scale, lv) => (lv > 0 ? scale.levels[Math.min(lv, scale.levels.length) - 1].name : "N/A");
+
+/** Rewrites every history entry for one skill in a class through mapLevel (history is kept, only levels change) */
+export function remapSkillMarks(cls, skillId, mapLevel) {
+  const bySkill = cls.marks[skillId];
+  if (!bySkill) return cls;
+  const next = {};
+  for (const [sid, entries] of Object.entries(bySkill)) next[sid] = entries.map((e) => ({ ...e, level: mapLevel(e.level) }));
+  return { ...cls, marks: { ...cls.marks, [skillId]: next } };
+}
+
+/** Number of history entries for the given skills in a class (for "convert N marks?" confirmations) */
+export const countMarks = (cls, skillIds) => skillIds.reduce((n, id) => n + Object.values(cls.marks[id] || {}).reduce((m, e) => m + e.length, 0), 0);
+
+/**
+ * Saves a new or edited scale. When an existing scale's levels change, marks on every skill using it are
+ * remapped through levelMap (old level -> new level; removed levels fall to the nearest kept level below).
+ */
+export function saveScale(p, scale, levelMap) {
+  const exists = p.scales.some((sc) => sc.id === scale.id);
+  const scales = exists ? p.scales.map((sc) => (sc.id === scale.id ? scale : sc)) : [...p.scales, scale];
+  if (!exists || !levelMap) return { ...p, scales };
+  const classes = p.classes.map((cls) => {
+    let c = cls;
+    for (const sk of p.skills) {
+      if (sk.classIds.includes(cls.id) && effectiveScale(p, cls, sk).id === scale.id) c = remapSkillMarks(c, sk.id, (lv) => (lv > 0 ? levelMap[lv] ?? 0 : 0));
+    }
+    return c;
+  });
+  return { ...p, scales, classes };
+}
+
+/** Moves marks of the given skills in one class from one scale to another */
+export function convertClassSkills(cls, skillIds, from, to) {
+  if (from.id === to.id) return cls;
+  return skillIds.reduce((c, id) => remapSkillMarks(c, id, (lv) => convertLevel(lv, from, to)), cls);
+}
+
+/**
+ * Old level -> new level after editing a scale's level list. Each draft level remembers the level it came
+ * from (orig); removed levels fall to the nearest kept level below (or above if none). Null = unchanged.
+ */
+export function scaleLevelMap(oldCount, draftLevels) {
+  const identity = draftLevels.length === oldCount && draftLevels.every((l, i) => l.orig === i + 1);
+  if (identity) return null;
+  const map = { 0: 0 };
+  const at = new Map(draftLevels.map((l, i) => [l.orig, i + 1]));
+  for (let lv = 1; lv <= oldCount; lv++) {
+    let to = at.get(lv);
+    for (let k = lv - 1; to == null && k >= 1; k--) to = at.get(k);
+    for (let k = lv + 1; to == null && k <= oldCount; k++) to = at.get(k);
+    map[lv] = to ?? 1;
+  }
+  return map;
+}
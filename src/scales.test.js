@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import { BUILTIN_SCALES, DEFAULT_SCALE_ID } from "./schema";
+import { convertClassSkills, countMarks, effectiveScale, getScale, levelName, saveScale, scaleLevelMap } from "./scales";
+
+const [four, , check] = BUILTIN_SCALES;
+const at = "2026-09-01T10:00:00.000Z";
+const cls = () => ({ id: "C", scaleId: DEFAULT_SCALE_ID, marks: { k: { s1: [{ level: 1, at }, { level: 4, at }], s2: [{ level: 0, at }] }, j: { s1: [{ level: 2, at }] } } });
+
+describe("scale lookup", () => {
+  it("uses the skill's scale, then the class's, then the default", () => {
+    const state = { scales: BUILTIN_SCALES };
+    expect(effectiveScale(state, { scaleId: "check" }, { scaleId: "three-point" }).id).toBe("three-point");
+    expect(effectiveScale(state, { scaleId: "check" }, {}).id).toBe("check");
+    expect(getScale(state, "deleted").id).toBe(DEFAULT_SCALE_ID);
+    expect(getScale({}, "check")).toBe(check);
+  });
+
+  it("names levels, reading N/A for 0 and the top level for anything above it", () => {
+    expect([0, 1, 2, 9].map((lv) => levelName(check, lv))).toEqual(["N/A", "Not yet", "Checked", "Checked"]);
+  });
+});
+
+describe("moving marks between scales", () => {
+  it("converts every history entry of the chosen skills and keeps N/A", () => {
+    const next = convertClassSkills(cls(), ["k"], four, check);
+    expect(next.marks.k.s1.map((e) => e.level)).toEqual([1, 2]);
+    expect(next.marks.k.s2[0].level).toBe(0);
+    expect(next.marks.j).toEqual(cls().marks.j);
+    expect(convertClassSkills(cls(), ["k"], four, four).marks.k.s1.map((e) => e.level)).toEqual([1, 4]);
+    expect(countMarks(cls(), ["k", "j", "none"])).toBe(4);
+  });
+
+  it("maps removed levels to the nearest kept level below, and returns null when nothing moved", () => {
+    // Developing (2) removed: Help 1 → 1, Developing 2 → 1, Proficient 3 → 2, Advanced 4 → 3
+    expect(scaleLevelMap(4, [{ orig: 1 }, { orig: 3 }, { orig: 4 }])).toEqual({ 0: 0, 1: 1, 2: 1, 3: 2, 4: 3 });
+    expect(scaleLevelMap(3, [{ orig: 2 }, { orig: 3 }])).toEqual({ 0: 0, 1: 1, 2: 1, 3: 2 });
+    expect(scaleLevelMap(2, [{ orig: 1 }, { orig: 2 }])).toBeNull();
+  });
+
+  it("remaps marks on every skill that uses an edited scale", () => {
+    const state = { scales: BUILTIN_SCALES, classes: [cls()], skills: [{ id: "k", classIds: ["C"] }, { id: "j", classIds: ["C"], scaleId: "check" }] };
+    const edited = { ...four, levels: four.levels.slice(1) };
+    const next = saveScale(state, edited, { 0: 0, 1: 1, 2: 1, 3: 2, 4: 3 });
+    expect(next.scales.find((s) => s.id === DEFAULT_SCALE_ID)).toBe(edited);
+    expect(next.classes[0].marks.k.s1.map((e) => e.level)).toEqual([1, 3]);
+    expect(next.classes[0].marks.j).toEqual(cls().marks.j);
+    expect(saveScale(state, { ...check, id: "new" }, null).scales).toHaveLength(BUILTIN_SCALES.length + 1);
+  });
+});
@@ -0,0 +1,508 @@
+import { normalizeStandardCode } from "./ncStandards";
+import { wouldCycle } from "./progressions";
+
+/**
+ * Saved-data schema: shapes, defaults and versioned migrations.
+ *
+ * Every saved/exported state carries `schemaVersion`. Loading runs the migrations from that version up to
+ * SCHEMA_VERSION one step at a time, then a repair pass that validates everything. Each step writes what it
+ * changed into a report so imports can be reviewed before they replace anything.
+ *
+ * Versions
+ *   1 — skills lived inside each class (`class.skills`), standard codes carried "NC.7."
+ *   2 — global skill library (`state.skills` with `classIds`)
+ *   3 — free layout (`layoutMode`, seat x/y)
+ *   4 — dated mark history, level scales, grade per class, seating rules, `schemaVersion`
+ *   5 — room editor: desks can be removed, so `seats` lists only the grid cells that have a desk; room fixtures
+ */
+
+// ---------- Data Shapes (informal JSDoc) ----------
+/** @typedef {{ id: string, name: string, sisId?: string, archived?: boolean }} Student */  // sisId = optional student ID from the SIS; archived = hidden, history kept
+/** @typedef {{ r: number, c: number, studentId: string | null, x?: number, y?: number }} Seat */  // x,y are 0..1 for free layout; r,c name the desk
+/** @typedef {{ id: string, kind: string, x: number, y: number, w: number, h: number }} Fixture */  // door, board, … (center and size 0..1)
+/** @typedef {{ id: string, name: string, levels: { name: string, color: string }[], proficientAt: number }} LevelScale */  // proficientAt = first level that meets the standard
+/** @typedef {{ id: string, name: string, domain?: string, standardCode?: string, classIds: string[], scaleId?: string, prereqIds?: string[] }} Skill */  // scaleId overrides the class scale; prereqIds come before this skill
+/** @typedef {{ level: number, at: string }} MarkEntry */  // at = ISO timestamp
+/** @typedef {{ apart: [string, string][], front: string[], pairSkillId: string|null, fillFront: boolean }} SeatingRules */
+/** @typedef {Record<string, Record<string, 'absent'|'tardy'>>} Attendance */  // date "YYYY-MM-DD" -> studentId -> status; no entry = present
+/** @typedef {{ id: string, studentId: string, text: string, at: string, skillId?: string, standardCode?: string }} Note */  // anecdotal note; at = ISO timestamp
+/** @typedef {{ id: string, name: string, rows: number, cols: number, seats: Seat[], students: Student[], marks: Record<string, Record<string, MarkEntry[]>>, layoutMode?: 'grid'|'free', seatingRules?: SeatingRules, gradeLevel: number, scaleId: string, fixtures?: Fixture[], attendance?: Attendance, notes?: Note[], archived?: boolean }} ClassData */  // gradeLevel = the "7" in NC.7.EE.3; archived = past term, kept
+/** @typedef {{ schemaVersion: number, classes: ClassData[], skills: Skill[], scales: LevelScale[], selectedClassId: string, selectedSkillId: string|null }} AppState */
+/** @typedef {{ type: 'migrated'|'repaired'|'dropped', message: string }} ReportItem */
+/** @typedef {{ fromVersion: number, items: ReportItem[], fatal?: string }} MigrationReport */
+
+export const SCHEMA_VERSION = 5;
+export const STORAGE_KEY = "seating-monitor-v4";
+/** Older localStorage keys, newest first, with the schema version that was stored under each */
+export const LEGACY_KEYS = [["seating-monitor-v3", 3], ["seating-monitor-v2", 2], ["seating-monitor-v1", 1]];
+
+export const uid = () => Math.random().toString(36).slice(2, 9);
+export const nowISO = () => new Date().toISOString();
+
+export const DEFAULT_GRADE = 7;
+export const MAX_GRID = 24;
+/** Grid size as the repair pass will settle it (invalid → fallback, otherwise clamped to 1..MAX_GRID) */
+const gridDim = (v, fallback) => (Number.isFinite(v) ? Math.max(1, Math.min(MAX_GRID, Math.floor(v))) : fallback);
+
+// ---------- Room fixtures ----------
+/** Non-desk objects drawn on the free layout for orientation; x/y/w/h are where a new one goes, as a share of the board */
+export const FIXTURE_KINDS = [
+  { id: "board", label: "Board", x: 0.5, y: 0.04, w: 0.4, h: 0.05 },
+  { id: "teacher", label: "Teacher desk", x: 0.88, y: 0.12, w: 0.16, h: 0.12 },
+  { id: "door", label: "Door", x: 0.04, y: 0.92, w: 0.04, h: 0.12 },
+  { id: "window", label: "Window", x: 0.5, y: 0.98, w: 0.3, h: 0.03 },
+  { id: "table", label: "Table", x: 0.1, y: 0.12, w: 0.14, h: 0.14 },
+];
+
+/** Keeps fixtures of a known kind with numeric geometry inside the board; returns { fixtures, dropped } */
+export function normalizeFixtures(list) {
+  const kinds = new Set(FIXTURE_KINDS.map((k) => k.id));
+  const fixtures = [];
+  let dropped = 0;
+  const unit = (v, min = 0) => Math.max(min, Math.min(1, v));
+  for (const f of Array.isArray(list) ? list : []) {
+    const ok = f && typeof f === "object" && kinds.has(f.kind) && ["x", "y", "w", "h"].every((k) => Number.isFinite(f[k]));
+    if (!ok) { dropped++; continue; }
+    fixtures.push({ id: typeof f.id === "string" ? f.id : uid(), kind: f.kind, x: unit(f.x), y: unit(f.y), w: unit(f.w, 0.02), h: unit(f.h, 0.02) });
+  }
+  return { fixtures, dropped };
+}
+
+// ---------- Attendance ----------
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Keeps "absent"/"tardy" entries for students on the roster under "YYYY-MM-DD" keys (present is stored as no
+ * entry); returns { attendance, dropped }.
+ */
+export function normalizeAttendance(att, studentIds) {
+  const attendance = {};
+  let dropped = 0;
+  for (const [date, day] of Object.entries(isObj(att) ? att : {})) {
+    if (!DAY.test(date) || !isObj(day)) { dropped++; continue; }
+    const kept = Object.entries(day).filter(([id, st]) => studentIds.has(id) && (st === "absent" || st === "tardy"));
+    dropped += Object.keys(day).length - kept.length;
+    if (kept.length) attendance[date] = Object.fromEntries(kept);
+  }
+  return { attendance, dropped };
+}
+
+// ---------- Anecdotal notes ----------
+/** Keeps notes with text and a date about students on the roster; returns { notes, dropped } */
+export function normalizeNotes(list, studentIds) {
+  const notes = [];
+  const seen = new Set();
+  let dropped = 0;
+  for (const n of Array.isArray(list) ? list : []) {
+    const ok = isObj(n) && studentIds.has(n.studentId) && typeof n.text === "string" && n.text.trim() && typeof n.at === "string";
+    if (!ok) { dropped++; continue; }
+    const id = typeof n.id === "string" && !seen.has(n.id) ? n.id : uid();
+    seen.add(id);
+    const note = { id, studentId: n.studentId, text: n.text, at: n.at };
+    if (typeof n.skillId === "string") note.skillId = n.skillId;
+    else if (typeof n.standardCode === "string" && n.standardCode) note.standardCode = n.standardCode;
+    notes.push(note);
+  }
+  return { notes, dropped };
+}
+
+// ---------- Level scales ----------
+// Tailwind color families a scale level may use (bg-*-100 / ring-*-300 / text-*-800 / dot bg-*-500)
+export const SCALE_COLORS = ["red", "orange", "amber", "yellow", "lime", "green", "teal", "sky", "blue", "indigo", "purple", "pink", "gray"];
+export const MAX_SCALE_LEVELS = 6;
+export const DEFAULT_SCALE_ID = "default";
+
+export const BUILTIN_SCALES = [
+  { id: DEFAULT_SCALE_ID, name: "Help → Advanced (4)", proficientAt: 3, levels: [
+    { name: "Help", color: "red" }, { name: "Developing", color: "amber" }, { name: "Proficient", color: "green" }, { name: "Advanced", color: "blue" },
+  ] },
+  { id: "three-point", name: "3-point", proficientAt: 3, levels: [
+    { name: "Beginning", color: "red" }, { name: "Approaching", color: "amber" }, { name: "Meets", color: "green" },
+  ] },
+  { id: "check", name: "Checked / Not yet", proficientAt: 2, levels: [
+    { name: "Not yet", color: "red" }, { name: "Checked", color: "green" },
+  ] },
+];
+
+export function normalizeScales(list) {
+  const out = [];
+  for (const sc of Array.isArray(list) ? list : []) {
+    if (!sc || typeof sc !== "object" || typeof sc.id !== "string" || out.some((o) => o.id === sc.id)) continue;
+    const levels = (Array.isArray(sc.levels) ? sc.levels : [])
+      .filter((l) => l && typeof l.name === "string")
+      .slice(0, MAX_SCALE_LEVELS)
+      .map((l) => ({ name: l.name, color: SCALE_COLORS.includes(l.color) ? l.color : "gray" }));
+    if (!levels.length) continue;
+    const proficientAt = Number.isInteger(sc.proficientAt) ? Math.max(1, Math.min(levels.length, sc.proficientAt)) : Math.ceil(levels.length * 0.75);
+    out.push({ id: sc.id, name: typeof sc.name === "string" ? sc.name : "Scale", levels, proficientAt });
+  }
+  for (const b of BUILTIN_SCALES) if (!out.some((o) => o.id === b.id)) out.push({ ...b });
+  return out;
+}
+
+/**
+ * Converts a level between scales, anchored on "proficient": levels below proficient map onto the target's
+ * below-proficient range, proficient-and-up onto its proficient-and-up range. 0 (N/A) stays 0.
+ */
+export function convertLevel(lv, from, to) {
+  if (!lv || lv <= 0) return 0;
+  if (from === to) return lv;
+  const seg = (x, a1, b1, a2, b2) => (a1 === b1 ? a2 : Math.round(a2 + ((x - a1) * (b2 - a2)) / (b1 - a1)));
+  const fp = from.proficientAt, tp = to.proficientAt;
+  if (lv >= fp) return Math.max(tp, Math.min(to.levels.length, seg(lv, fp, from.levels.length, tp, to.levels.length)));
+  if (tp <= 1) return 1;
+  return Math.max(1, Math.min(tp - 1, seg(lv, 1, Math.max(1, fp - 1), 1, tp - 1)));
+}
+
+// ---------- Field normalizers ----------
+export function cleanStandard(code) {
+  // Strip any leading "NC.<grade>." and fix typos like "EE3" / "E.E.3"; other text is left alone
+  return normalizeStandardCode(code);
+}
+
+export const DEFAULT_SEATING_RULES = () => ({ apart: [], front: [], pairSkillId: null, fillFront: true });
+
+export function normalizeSeatingRules(r) {
+  const d = DEFAULT_SEATING_RULES();
+  if (!r || typeof r !== "object") return d;
+  return {
+    apart: Array.isArray(r.apart) ? r.apart.filter((pr) => Array.isArray(pr) && pr.length === 2 && pr.every((x) => typeof x === "string")) : d.apart,
+    front: Array.isArray(r.front) ? r.front.filter((x) => typeof x === "string") : d.front,
+    pairSkillId: typeof r.pairSkillId === "string" ? r.pairSkillId : null,
+    fillFront: r.fillFront !== false,
+  };
+}
+
+/**
+ * Marks as dated history. Single numbers (pre-v4) become one entry dated `at`; invalid entries are dropped.
+ * A level must be a whole number from 0 (N/A) up; with `topLevel(skillId)` levels above the skill's scale are
+ * lowered to its top level. Returns { marks, lifted, dropped, clamped } so callers can report what happened.
+ */
+export function normalizeMarks(marks, at, topLevel = () => Infinity) {
+  const out = {};
+  let lifted = 0, dropped = 0, clamped = 0;
+  if (!marks || typeof marks !== "object") return { marks: out, lifted, dropped, clamped };
+  const entry = (skillId, level, when) => {
+    if (!Number.isInteger(level) || level < 0) return null;
+    const top = topLevel(skillId);
+    if (level > top) { clamped++; return { level: top, at: when }; }
+    return { level, at: when };
+  };
+  for (const [skillId, byStudent] of Object.entries(marks)) {
+    if (!byStudent || typeof byStudent !== "object") { dropped++; continue; }
+    out[skillId] = {};
+    for (const [studentId, v] of Object.entries(byStudent)) {
+      if (typeof v === "number") {
+        const e = entry(skillId, v, at);
+        if (e) { out[skillId][studentId] = [e]; lifted++; } else dropped++;
+      } else if (Array.isArray(v)) {
+        const entries = v
+          .filter((e) => e && typeof e.level === "number" && typeof e.at === "string")
+          .map((e) => entry(skillId, e.level, e.at))
+          .filter(Boolean)
+          .sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+        dropped += v.length - entries.length;
+        if (entries.length) out[skillId][studentId] = entries;
+      } else {
+        dropped++;
+      }
+    }
+  }
+  return { marks: out, lifted, dropped, clamped };
+}
+
+// ---------- Defaults ----------
+export const DEFAULT_STATE = () => {
+  const classId = uid();
+  const s1 = uid();
+  const s2 = uid();
+  const rows = 4, cols = 6;
+  const students = Array.from({ length: 24 }, (_, i) => ({ id: uid(), name: `Student ${i + 1}` }));
+  const seats = Array.from({ length: rows * cols }, (_, i) => ({ r: Math.floor(i / cols), c: i % cols, studentId: students[i]?.id ?? null }));
+  const skills = [
+    { id: s1, name: "Distributive Property — Basic", domain: "Expressions & Equations", standardCode: "EE.*", classIds: [classId] },
+    { id: s2, name: "Distribute with Negative Numbers", domain: "Expressions & Equations", standardCode: "EE.*", classIds: [classId] },
+  ];
+  const marks = { [s1]: {}, [s2]: {} };
+  /** @type {AppState} */
+  const state = {
+    schemaVersion: SCHEMA_VERSION,
+    classes: [{ id: classId, name: "Period 1", rows, cols, seats, students, marks, layoutMode: "grid", seatingRules: DEFAULT_SEATING_RULES(), gradeLevel: DEFAULT_GRADE, scaleId: DEFAULT_SCALE_ID }],
+    skills,
+    scales: BUILTIN_SCALES.map((sc) => ({ ...sc })),
+    selectedClassId: classId,
+    selectedSkillId: s1,
+  };
+  return state;
+};
+
+// ---------- Migrations ----------
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+/** Best guess for files saved before `schemaVersion` existed */
+function detectVersion(st, hint) {
+  if (Number.isInteger(st.schemaVersion)) return st.schemaVersion;
+  const classes = Array.isArray(st.classes) ? st.classes.filter(isObj) : [];
+  // Per-class skills are unambiguous, whatever key the data was stored under
+  if (!Array.isArray(st.skills) && classes.some((cl) => Array.isArray(cl.skills))) return 1;
+  if (hint) return hint;
+  if (classes.some((cl) => cl.layoutMode || (Array.isArray(cl.seats) && cl.seats.some((s) => s && typeof s.x === "number")))) return 3;
+  return 2;
+}
+
+/** Each step upgrades state from version N to N+1 in place, reporting what it did */
+const MIGRATIONS = {
+  // v1 -> v2: lift per-class skills into the global library (duplicates by name/domain/code are merged)
+  1: (st, report) => {
+    const lifted = [];
+    const seen = new Map(); // key -> id
+    let merged = 0;
+    for (const cl of st.classes) {
+      if (!isObj(cl)) continue;
+      for (const sk of Array.isArray(cl.skills) ? cl.skills : []) {
+        if (!isObj(sk)) continue;
+        const name = typeof sk.name === "string" ? sk.name : "(unnamed skill)";
+        const domain = typeof sk.domain === "string" ? sk.domain : undefined;
+        const standardCode = cleanStandard(sk.standardCode);
+        const key = `${name}|${domain || ""}|${standardCode || ""}`;
+        const existingId = seen.get(key);
+        if (!existingId) {
+          const id = typeof sk.id === "string" ? sk.id : uid();
+          seen.set(key, id);
+          lifted.push({ id, name, domain, standardCode, classIds: [cl.id] });
+        } else {
+          const ref = lifted.find((s) => s.id === existingId);
+          if (!ref.classIds.includes(cl.id)) ref.classIds.push(cl.id);
+          merged++;
+        }
+      }
+      delete cl.skills;
+    }
+    st.skills = lifted;
+    report("migrated", `v1 → v2: moved ${plural(lifted.length, "skill")} into the shared skill library${merged ? ` (${merged} duplicates merged)` : ""}`);
+  },
+  // v2 -> v3: classes get an explicit layout mode (free-layout x/y stay optional)
+  2: (st, report) => {
+    let n = 0;
+    for (const cl of st.classes) { if (isObj(cl) && cl.layoutMode !== "free" && cl.layoutMode !== "grid") { cl.layoutMode = "grid"; n++; } }
+    report("migrated", `v2 → v3: set grid layout on ${plural(n, "class")}`);
+  },
+  // v3 -> v4: single-number marks become dated history; scales, grade and seating rules get defaults
+  3: (st, report, ctx) => {
+    let lifted = 0;
+    for (const cl of st.classes) {
+      if (!isObj(cl)) continue;
+      const res = normalizeMarks(cl.marks, ctx.migratedAt);
+      // Keep invalid entries for the repair pass to count; only lift numbers here
+      if (isObj(cl.marks)) {
+        for (const [skillId, byStudent] of Object.entries(cl.marks)) {
+          if (!isObj(byStudent)) continue;
+          for (const [sid, v] of Object.entries(byStudent)) { if (typeof v === "number") byStudent[sid] = res.marks[skillId][sid]; }
+        }
+      }
+      lifted += res.lifted;
+      if (!Number.isInteger(cl.gradeLevel)) cl.gradeLevel = DEFAULT_GRADE;
+      if (typeof cl.scaleId !== "string") cl.scaleId = DEFAULT_SCALE_ID;
+      if (!isObj(cl.seatingRules)) cl.seatingRules = DEFAULT_SEATING_RULES();
+    }
+    if (!Array.isArray(st.scales)) st.scales = BUILTIN_SCALES.map((sc) => ({ ...sc }));
+    report("migrated", `v3 → v4: turned ${plural(lifted, "mark")} into dated history entries; added level scales and grade ${DEFAULT_GRADE}`);
+  },
+  // v4 -> v5: a grid cell without a seat used to mean an empty desk; now it means no desk, so fill the gaps
+  4: (st, report) => {
+    let filled = 0;
+    for (const cl of st.classes) {
+      if (!isObj(cl)) continue;
+      const rows = gridDim(cl.rows, 4), cols = gridDim(cl.cols, 6);
+      const seats = Array.isArray(cl.seats) ? cl.seats : [];
+      const has = new Set(seats.filter(isObj).map((s) => `${s.r},${s.c}`));
+      const missing = [];
+      for (let i = 0; i < rows * cols; i++) { const r = Math.floor(i / cols), c = i % cols; if (!has.has(`${r},${c}`)) missing.push({ r, c, studentId: null }); }
+      cl.seats = [...seats, ...missing];
+      filled += missing.length;
+    }
+    report("migrated", `v4 → v5: desks can now be added and removed in the room editor${filled ? `; added ${plural(filled, "empty desk")} where the grid had none` : ""}`);
+  },
+};
+
+/** Validates and fixes a current-version state in place; everything changed or removed is reported */
+function repair(st, report, ctx) {
+  // Skills
+  const rawSkills = Array.isArray(st.skills) ? st.skills : [];
+  if (!Array.isArray(st.skills)) report("repaired", "Skill list was missing; started an empty one");
+  st.scales = normalizeScales(st.scales);
+  const scaleIds = new Set(st.scales.map((sc) => sc.id));
+
+  // Classes first (skills refer to them)
+  const seenClassIds = new Set();
+  st.classes = st.classes.filter((cl, i) => {
+    if (isObj(cl)) return true;
+    report("dropped", `Class #${i + 1} was not a valid class`);
+    return false;
+  }).map((cl) => {
+    const label = typeof cl.name === "string" ? cl.name : "Class";
+    let id = typeof cl.id === "string" ? cl.id : null;
+    if (!id || seenClassIds.has(id)) { id = uid(); report("repaired", `${label}: missing or duplicate class id replaced`); }
+    seenClassIds.add(id);
+    if (typeof cl.name !== "string") report("repaired", `Class ${id}: missing name set to "Class"`);
+
+    const clampDim = (v, fallback, what) => {
+      if (Number.isFinite(v) && v >= 1 && v <= MAX_GRID) return Math.floor(v);
+      const fixed = gridDim(v, fallback);
+      report("repaired", `${label}: invalid ${what} (${JSON.stringify(v)}) set to ${fixed}`);
+      return fixed;
+    };
+    const rows = clampDim(cl.rows, 4, "rows");
+    const cols = clampDim(cl.cols, 6, "columns");
+
+    // Students: must be objects with a string id and name; ids unique
+    const seenStudents = new Set();
+    const students = [];
+    for (const s of Array.isArray(cl.students) ? cl.students : []) {
+      if (!isObj(s) || typeof s.id !== "string" || seenStudents.has(s.id)) {
+        report("dropped", `${label}: removed an invalid or duplicate student entry${isObj(s) && typeof s.name === "string" ? ` (${s.name})` : ""}`);
+        continue;
+      }
+      seenStudents.add(s.id);
+      if (typeof s.name !== "string" || !s.name.trim()) report("repaired", `${label}: student ${s.id} had no name`);
+      const { archived, ...rest } = s;
+      students.push({ ...rest, name: typeof s.name === "string" && s.name.trim() ? s.name : "(unnamed student)", ...(archived === true ? { archived } : {}) });
+    }
+
+    // Seats: at most one desk per grid cell (cells may have none); unknown or doubly-seated students are unseated
+    const seats = Array.isArray(cl.seats) ? cl.seats : [];
+    const seated = new Set();
+    const normSeats = [];
+    let unseated = 0;
+    for (let i = 0; i < rows * cols; i++) {
+      const r = Math.floor(i / cols), c = i % cols;
+      const existing = seats.find((s) => isObj(s) && s.r === r && s.c === c);
+      if (!existing) continue;
+      const seat = { ...existing };
+      if (typeof seat.studentId !== "string") seat.studentId = null;
+      if (seat.studentId && (!seenStudents.has(seat.studentId) || seated.has(seat.studentId))) { seat.studentId = null; unseated++; }
+      if (seat.studentId) seated.add(seat.studentId);
+      if (typeof seat.x !== "number" || typeof seat.y !== "number") { delete seat.x; delete seat.y; }
+      normSeats.push(seat);
+    }
+    const outside = seats.filter((s) => isObj(s) && !(s.r >= 0 && s.r < rows && s.c >= 0 && s.c < cols) && s.studentId).length;
+    if (unseated) report("repaired", `${label}: cleared ${plural(unseated, "seat")} pointing at unknown or already-seated students`);
+    if (outside) report("dropped", `${label}: ${plural(outside, "seat")} outside the ${rows}×${cols} grid removed (students stay on the roster)`);
+
+    const fx = normalizeFixtures(cl.fixtures);
+    if (fx.dropped) report("dropped", `${label}: removed ${plural(fx.dropped, "unreadable room fixture")}`);
+    const att = normalizeAttendance(cl.attendance, seenStudents);
+    if (att.dropped) report("dropped", `${label}: removed ${plural(att.dropped, "unreadable attendance record")}`);
+    const nt = normalizeNotes(cl.notes, seenStudents);
+    if (nt.dropped) report("dropped", `${label}: removed ${plural(nt.dropped, "unreadable note")}`);
+
+    const gradeOk = Number.isInteger(cl.gradeLevel) && cl.gradeLevel >= 1 && cl.gradeLevel <= 12;
+    if (cl.gradeLevel != null && !gradeOk) report("repaired", `${label}: invalid grade reset to ${DEFAULT_GRADE}`);
+    if (cl.scaleId != null && !scaleIds.has(cl.scaleId)) report("repaired", `${label}: unknown level scale reset to the default`);
+    const scaleId = scaleIds.has(cl.scaleId) ? cl.scaleId : DEFAULT_SCALE_ID;
+
+    // Levels are checked against the skill's own scale (else the class scale), as effectiveScale reads them
+    const topLevel = (skillId) => {
+      const sk = rawSkills.find((s) => isObj(s) && s.id === skillId);
+      const id = scaleIds.has(sk?.scaleId) ? sk.scaleId : scaleId;
+      return st.scales.find((sc) => sc.id === id).levels.length;
+    };
+    const res = normalizeMarks(cl.marks, ctx.migratedAt, topLevel);
+    if (cl.marks != null && !isObj(cl.marks)) report("dropped", `${label}: marks were not readable and were cleared`);
+    if (res.dropped) report("dropped", `${label}: removed ${plural(res.dropped, "invalid mark")}`);
+    if (res.clamped) report("repaired", `${label}: ${plural(res.clamped, "mark")} above the top of its scale lowered to the top level`);
+    if (res.lifted) report("repaired", `${label}: ${plural(res.lifted, "undated mark")} given today's date`);
+
+    return {
+      id,
+      name: label,
+      rows, cols,
+      seats: normSeats,
+      students,
+      marks: res.marks,
+      layoutMode: cl.layoutMode === "free" ? "free" : "grid",
+      seatingRules: normalizeSeatingRules(cl.seatingRules),
+      gradeLevel: gradeOk ? cl.gradeLevel : DEFAULT_GRADE,
+      scaleId,
+      ...(Array.isArray(cl.fixtures) ? { fixtures: fx.fixtures } : {}),
+      ...(cl.attendance != null ? { attendance: att.attendance } : {}),
+      ...(cl.notes != null ? { notes: nt.notes } : {}),
+      ...(cl.archived === true ? { archived: true } : {}),
+    };
+  });
+
+  const seenSkillIds = new Set();
+  st.skills = rawSkills.filter((s, i) => {
+    if (isObj(s)) return true;
+    report("dropped", `Skill #${i + 1} was not a valid skill`);
+    return false;
+  }).map((s) => {
+    const name = typeof s.name === "string" ? s.name : "(unnamed skill)";
+    if (typeof s.name !== "string") report("repaired", `A skill had no name; called it "${name}"`);
+    let id = typeof s.id === "string" ? s.id : null;
+    if (!id || seenSkillIds.has(id)) { id = uid(); report("repaired", `${name}: missing or duplicate skill id replaced`); }
+    seenSkillIds.add(id);
+    const rawIds = Array.isArray(s.classIds) ? s.classIds : [];
+    if (!Array.isArray(s.classIds)) report("repaired", `${name}: class links were invalid and were cleared`);
+    const classIds = Array.from(new Set(rawIds.filter((cid) => typeof cid === "string" && seenClassIds.has(cid))));
+    if (classIds.length < rawIds.length) report("repaired", `${name}: removed links to classes that do not exist`);
+    const standardCode = cleanStandard(s.standardCode);
+    if (typeof s.standardCode === "string" && standardCode !== s.standardCode) report("repaired", `${name}: standard "${s.standardCode}" normalized to "${standardCode}"`);
+    if (s.scaleId != null && !scaleIds.has(s.scaleId)) report("repaired", `${name}: unknown level scale removed`);
+    return {
+      id, name,
+      domain: typeof s.domain === "string" ? s.domain : undefined,
+      standardCode: typeof standardCode === "string" ? standardCode : undefined,
+      classIds,
+      scaleId: scaleIds.has(s.scaleId) ? s.scaleId : undefined,
+      ...(Array.isArray(s.prereqIds) ? { prereqIds: s.prereqIds } : {}),
+    };
+  });
+  // Prerequisites can only be checked once every skill id is known. Links are re-added in library order and
+  // one that would close a loop is dropped, so the earlier skill keeps its prerequisite.
+  const wanted = new Map();
+  for (const s of st.skills) {
+    if (!s.prereqIds) continue;
+    const known = Array.from(new Set(s.prereqIds.filter((id) => typeof id === "string" && seenSkillIds.has(id))));
+    if (known.length < s.prereqIds.length) report("repaired", `${s.name}: removed prerequisites that do not exist`);
+    wanted.set(s, known);
+    s.prereqIds = [];
+  }
+  for (const [s, known] of wanted) {
+    for (const id of known) if (!wouldCycle(st.skills, s.id, id)) s.prereqIds.push(id);
+    if (s.prereqIds.length < known.length) report("repaired", `${s.name}: removed prerequisites that made a loop`);
+    if (!s.prereqIds.length) delete s.prereqIds;
+  }
+
+  if (!st.selectedClassId || !st.classes.find((c) => c.id === st.selectedClassId)) st.selectedClassId = st.classes[0].id;
+  const classSkills = st.skills.filter((s) => s.classIds.includes(st.selectedClassId));
+  if (!st.selectedSkillId || !st.skills.find((s) => s.id === st.selectedSkillId)) st.selectedSkillId = classSkills[0]?.id || st.skills[0]?.id || null;
+  st.schemaVersion = SCHEMA_VERSION;
+}
+
+/**
+ * Parses saved JSON and brings it to the current schema.
+ * versionHint: schema version implied by where the data came from (e.g. the localStorage key), used only
+ * when the data itself has no `schemaVersion`.
+ * Never substitutes default data: unreadable input returns { state: null, report.fatal }.
+ * @returns {{ state: AppState|null, report: MigrationReport }}
+ */
+export function migrateState(raw, { versionHint } = {}) {
+  /** @type {MigrationReport} */
+  const rep = { fromVersion: 0, items: [] };
+  const report = (type, message) => rep.items.push({ type, message });
+  let st;
+  try { st = JSON.parse(raw); } catch (e) { rep.fatal = `Not valid JSON (${e.message})`; return { state: null, report: rep }; }
+  if (!isObj(st)) { rep.fatal = "The file does not contain seating-chart data"; return { state: null, report: rep }; }
+  if (!Array.isArray(st.classes) || !st.classes.some(isObj)) { rep.fatal = "No classes found in the data"; return { state: null, report: rep }; }
+
+  const from = detectVersion(st, versionHint);
+  rep.fromVersion = from;
+  if (from > SCHEMA_VERSION) { rep.fatal = `Saved by a newer version of the app (schema v${from}); this app reads up to v${SCHEMA_VERSION}`; return { state: null, report: rep }; }
+
+  const ctx = { migratedAt: nowISO() };
+  for (let v = Math.max(1, from); v < SCHEMA_VERSION; v++) MIGRATIONS[v](st, report, ctx);
+  repair(st, report, ctx);
+  return { state: st, report: rep };
+}
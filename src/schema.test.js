@@ -0,0 +1,203 @@
+import { describe, expect, it } from "vitest";
+import { BUILTIN_SCALES, DEFAULT_SCALE_ID, SCHEMA_VERSION, cleanStandard, convertLevel, migrateState, normalizeMarks } from "./schema";
+
+const migrate = (data, opts) => migrateState(JSON.stringify(data), opts);
+const types = (report) => report.items.map((it) => it.type);
+
+describe("migrateState — unreadable input", () => {
+  it("reports invalid JSON instead of returning defaults", () => {
+    const { state, report } = migrateState("{ not json");
+    expect(state).toBeNull();
+    expect(report.fatal).toMatch(/JSON/);
+  });
+
+  it("reports data without classes instead of returning placeholder students", () => {
+    const { state, report } = migrate({});
+    expect(state).toBeNull();
+    expect(report.fatal).toMatch(/No classes/);
+  });
+
+  it("refuses data from a newer schema", () => {
+    const { state, report } = migrate({ schemaVersion: SCHEMA_VERSION + 1, classes: [{ id: "A" }] });
+    expect(state).toBeNull();
+    expect(report.fatal).toMatch(/newer version/);
+  });
+});
+
+describe("migrateState — repairs", () => {
+  it("repairs malformed fields and reports each fix", () => {
+    const bad = { classes: [{ id: "A", name: 123, rows: "x", cols: null, seats: [{}], students: [{}] }], skills: [{ id: 1, name: 2, standardCode: 3, classIds: "nope" }] };
+    const { state, report } = migrate(bad);
+    expect(state.classes).toHaveLength(1);
+    expect(state.classes[0]).toMatchObject({ id: "A", name: "Class", rows: 4, cols: 6 });
+    expect(state.classes[0].students).toHaveLength(0);
+    expect(state.skills).toHaveLength(1);
+    expect(state.skills[0].classIds).toEqual([]);
+    expect(types(report)).toContain("dropped");
+    expect(types(report)).toContain("repaired");
+    expect(state.schemaVersion).toBe(SCHEMA_VERSION);
+  });
+
+  it("unseats unknown and doubly-seated students", () => {
+    const data = {
+      schemaVersion: SCHEMA_VERSION,
+      classes: [{ id: "C", name: "P1", rows: 1, cols: 3, students: [{ id: "s1", name: "A" }], marks: {},
+        seats: [{ r: 0, c: 0, studentId: "s1" }, { r: 0, c: 1, studentId: "s1" }, { r: 0, c: 2, studentId: "ghost" }] }],
+      skills: [],
+    };
+    const { state, report } = migrate(data);
+    expect(state.classes[0].seats.map((s) => s.studentId)).toEqual(["s1", null, null]);
+    expect(report.items.some((it) => /cleared 2 seats/.test(it.message))).toBe(true);
+  });
+
+  it("keeps archived students and classes only when the flag is true", () => {
+    const { state } = migrate({ schemaVersion: SCHEMA_VERSION, classes: [
+      { id: "C", rows: 1, cols: 1, archived: true, students: [{ id: "a", name: "A", archived: true }, { id: "b", name: "B", archived: "yes" }] },
+      { id: "D", rows: 1, cols: 1, archived: 1 },
+    ], skills: [] });
+    expect(state.classes[0].students).toEqual([{ id: "a", name: "A", archived: true }, { id: "b", name: "B" }]);
+    expect(state.classes.map((c) => c.archived)).toEqual([true, undefined]);
+  });
+
+  it("keeps removed desks removed and cleans room fixtures", () => {
+    const { state, report } = migrate({ schemaVersion: SCHEMA_VERSION, classes: [{ id: "C", rows: 1, cols: 2, seats: [{ r: 0, c: 1, studentId: null }],
+      fixtures: [{ id: "f", kind: "door", x: 0.1, y: 2, w: 0.1, h: 0.1 }, { kind: "piano", x: 0, y: 0, w: 1, h: 1 }] }], skills: [] });
+    expect(state.classes[0].seats).toEqual([{ r: 0, c: 1, studentId: null }]);
+    expect(state.classes[0].fixtures).toEqual([{ id: "f", kind: "door", x: 0.1, y: 1, w: 0.1, h: 0.1 }]);
+    expect(report.items.some((it) => /1 unreadable room fixture/.test(it.message))).toBe(true);
+  });
+
+  it("keeps readable attendance for students on the roster", () => {
+    const { state, report } = migrate({ schemaVersion: SCHEMA_VERSION, classes: [{ id: "C", rows: 1, cols: 1, students: [{ id: "a", name: "A" }],
+      attendance: { "2026-10-01": { a: "absent", ghost: "absent" }, "2026-10-02": { a: "present" }, yesterday: { a: "tardy" } } }], skills: [] });
+    expect(state.classes[0].attendance).toEqual({ "2026-10-01": { a: "absent" } });
+    expect(report.items.some((it) => /3 unreadable attendance records/.test(it.message))).toBe(true);
+  });
+
+  it("keeps notes with text about students on the roster", () => {
+    const { state, report } = migrate({ schemaVersion: SCHEMA_VERSION, classes: [{ id: "C", rows: 1, cols: 1, students: [{ id: "a", name: "A" }], notes: [
+      { id: "n1", studentId: "a", text: "Drops the sign", at: "2026-10-01T10:00:00.000Z", skillId: "k" },
+      { id: "n2", studentId: "ghost", text: "Gone", at: "2026-10-01T10:00:00.000Z" },
+      { id: "n3", studentId: "a", text: " ", at: "2026-10-01T10:00:00.000Z" },
+    ] }], skills: [] });
+    expect(state.classes[0].notes).toEqual([{ id: "n1", studentId: "a", text: "Drops the sign", at: "2026-10-01T10:00:00.000Z", skillId: "k" }]);
+    expect(report.items.some((it) => /2 unreadable notes/.test(it.message))).toBe(true);
+  });
+
+  it("keeps prerequisites that exist and do not loop", () => {
+    const { state, report } = migrate({ schemaVersion: SCHEMA_VERSION, classes: [{ id: "C", rows: 1, cols: 1 }], skills: [
+      { id: "a", name: "A", classIds: ["C"], prereqIds: ["b", "gone"] },
+      { id: "b", name: "B", classIds: ["C"], prereqIds: ["a"] },
+      { id: "c", name: "C", classIds: ["C"], prereqIds: ["a"] },
+    ] });
+    expect(state.skills.map((s) => s.prereqIds)).toEqual([["b"], undefined, ["a"]]);
+    expect(report.items.some((it) => /A: removed prerequisites that do not exist/.test(it.message))).toBe(true);
+    expect(report.items.some((it) => /B: removed prerequisites that made a loop/.test(it.message))).toBe(true);
+  });
+
+  it("drops mark levels that are not whole numbers and lowers levels above the skill's scale", () => {
+    const at = (d) => `2026-10-0${d}T10:00:00.000Z`;
+    const { state, report } = migrate({ schemaVersion: SCHEMA_VERSION, classes: [{ id: "C", rows: 1, cols: 1, students: [{ id: "a", name: "A" }], marks: {
+      k: { a: [{ level: 2, at: at(1) }, { level: -1, at: at(2) }, { level: 2.5, at: at(3) }, { level: 9, at: at(4) }, { level: 0, at: at(5) }] },
+      chk: { a: [{ level: 3, at: at(1) }] },
+    } }], skills: [{ id: "k", name: "K", classIds: ["C"] }, { id: "chk", name: "Chk", classIds: ["C"], scaleId: "check" }] });
+    expect(state.classes[0].marks).toEqual({ k: { a: [{ level: 2, at: at(1) }, { level: 4, at: at(4) }, { level: 0, at: at(5) }] }, chk: { a: [{ level: 2, at: at(1) }] } });
+    expect(report.items.some((it) => /removed 2 invalid marks/.test(it.message))).toBe(true);
+    expect(report.items.some((it) => /2 marks above the top of its scale/.test(it.message))).toBe(true);
+  });
+
+  it("drops NaN and negative undated marks instead of lifting them", () => {
+    const res = normalizeMarks({ k: { a: NaN, b: -2, c: 3 } }, "2026-10-01T10:00:00.000Z", () => 2);
+    expect(res).toEqual({ marks: { k: { c: [{ level: 2, at: "2026-10-01T10:00:00.000Z" }] } }, lifted: 1, dropped: 2, clamped: 1 });
+  });
+
+  it("drops skill links to classes that do not exist", () => {
+    const { state, report } = migrate({ schemaVersion: SCHEMA_VERSION, classes: [{ id: "C", rows: 1, cols: 1 }], skills: [{ id: "k", name: "K", classIds: ["C", "gone"] }] });
+    expect(state.skills[0].classIds).toEqual(["C"]);
+    expect(report.items.some((it) => /classes that do not exist/.test(it.message))).toBe(true);
+  });
+
+  it("makes no report for clean current data", () => {
+    const clean = { schemaVersion: SCHEMA_VERSION, classes: [{ id: "C", name: "P1", rows: 1, cols: 1, seats: [{ r: 0, c: 0, studentId: null }], students: [], marks: {}, layoutMode: "grid", seatingRules: { apart: [], front: [], pairSkillId: null, fillFront: true }, gradeLevel: 7, scaleId: DEFAULT_SCALE_ID }], skills: [], scales: BUILTIN_SCALES, selectedClassId: "C", selectedSkillId: null };
+    const { report } = migrate(clean);
+    expect(report.items).toEqual([]);
+  });
+});
+
+describe("migrateState — version steps", () => {
+  it("v1: lifts per-class skills into the library and strips NC.<grade>.", () => {
+    const raw = { classes: [
+      { id: "C1", rows: 1, cols: 1, seats: [{ r: 0, c: 0, studentId: null }], students: [], marks: {}, skills: [{ id: "k1", name: "Old", standardCode: "NC.7.RP.2" }] },
+      { id: "C2", rows: 1, cols: 1, seats: [], students: [], marks: {}, skills: [{ name: "Old", standardCode: "RP.2" }] },
+    ], selectedClassId: "C1" };
+    const { state, report } = migrate(raw);
+    expect(report.fromVersion).toBe(1);
+    expect(state.skills).toHaveLength(1);
+    expect(state.skills[0]).toMatchObject({ id: "k1", standardCode: "RP.2", classIds: ["C1", "C2"] });
+    expect(state.classes[0]).not.toHaveProperty("skills");
+    expect(report.items[0]).toMatchObject({ type: "migrated" });
+  });
+
+  it("v1 data is recognized even under a newer storage key", () => {
+    const raw = { classes: [{ id: "C", rows: 1, cols: 1, skills: [{ name: "X", standardCode: "EE.3" }] }] };
+    const { state, report } = migrate(raw, { versionHint: 3 });
+    expect(report.fromVersion).toBe(1);
+    expect(state.skills.map((s) => s.name)).toEqual(["X"]);
+  });
+
+  it("v2: adds a grid layout mode", () => {
+    const { state, report } = migrate({ classes: [{ id: "C", rows: 1, cols: 1 }], skills: [] }, { versionHint: 2 });
+    expect(report.fromVersion).toBe(2);
+    expect(state.classes[0].layoutMode).toBe("grid");
+  });
+
+  it("v3: single-number marks become one dated entry and scales are added", () => {
+    const raw = { classes: [{ id: "C3", rows: 1, cols: 1, seats: [], students: [{ id: "u1", name: "A" }], marks: { k: { u1: 3 } } }], skills: [{ id: "k", name: "K", classIds: ["C3"] }] };
+    const { state, report } = migrate(raw, { versionHint: 3 });
+    const entries = state.classes[0].marks.k.u1;
+    expect(entries).toHaveLength(1);
+    expect(entries[0].level).toBe(3);
+    expect(typeof entries[0].at).toBe("string");
+    expect(state.scales.some((sc) => sc.id === DEFAULT_SCALE_ID)).toBe(true);
+    expect(state.classes[0].scaleId).toBe(DEFAULT_SCALE_ID);
+    expect(report.items.some((it) => /1 mark into dated history/.test(it.message))).toBe(true);
+  });
+
+  it("v4: grid cells without a seat get an empty desk", () => {
+    const raw = { schemaVersion: 4, classes: [{ id: "C", rows: 1, cols: 2, seats: [{ r: 0, c: 1, studentId: null }] }], skills: [] };
+    const { state, report } = migrate(raw);
+    expect(state.classes[0].seats.map((s) => `${s.r},${s.c}`)).toEqual(["0,0", "0,1"]);
+    expect(report.items.some((it) => /added 1 empty desk/.test(it.message))).toBe(true);
+  });
+
+  it("runs every step from v1 to the current version", () => {
+    const raw = { classes: [{ id: "C", rows: 1, cols: 1, students: [{ id: "u", name: "A" }], marks: { k: { u: 2 } }, skills: [{ id: "k", name: "K" }] }] };
+    const { state, report } = migrate(raw);
+    expect(report.items.filter((it) => it.type === "migrated").map((it) => it.message.slice(0, 7))).toEqual(["v1 → v2", "v2 → v3", "v3 → v4", "v4 → v5"]);
+    expect(state.classes[0].marks.k.u[0].level).toBe(2);
+    expect(state.selectedSkillId).toBe("k");
+  });
+});
+
+describe("cleanStandard", () => {
+  it("strips the grade prefix and fixes typos", () => {
+    expect(cleanStandard("NC.6.E.E.3")).toBe("EE.3");
+    expect(cleanStandard("ee3")).toBe("EE.3");
+    expect(cleanStandard("EE.*")).toBe("EE.*");
+  });
+});
+
+describe("convertLevel", () => {
+  const [four, three, check] = BUILTIN_SCALES;
+
+  it("maps a two-level scale onto four levels around proficient", () => {
+    expect(convertLevel(2, check, four)).toBe(3);
+    expect(convertLevel(1, check, four)).toBe(1);
+  });
+
+  it("maps four levels onto a two-level scale and keeps N/A", () => {
+    expect(convertLevel(4, four, check)).toBe(2);
+    expect(convertLevel(2, four, check)).toBe(1);
+    expect(convertLevel(0, four, three)).toBe(0);
+  });
+});
@@ -0,0 +1,137 @@
+import { LEGACY_KEYS, SCHEMA_VERSION, STORAGE_KEY } from "./schema";
+
+/**
+ * Browser persistence in IndexedDB: the current state plus one snapshot per day for the last SNAPSHOT_DAYS days.
+ *
+ * Stores
+ *   state      — "current" → { json, savedAt }; unreadable data is kept under "corrupt-<date>"
+ *   snapshots  — keyed by local date "YYYY-MM-DD" → { date, savedAt, json } (the state from before that day's first save)
+ *   sync       — this device's sync settings, outgoing queue and cursor (never exported or synced)
+ *
+ * Errors are never swallowed here: every write rejects so the app can warn that changes are not being saved.
+ * Data saved in localStorage by older versions is read once when IndexedDB is still empty.
+ */
+
+const DB_NAME = "seating-monitor";
+const DB_VERSION = 2; // 2 adds the sync store
+const CURRENT = "current";
+export const SNAPSHOT_DAYS = 14;
+
+/** Local calendar day, so a snapshot taken at 11pm belongs to that evening */
+export const dayStamp = (d = new Date()) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+/** Snapshot dates to delete so only the newest `keep` remain */
+export function snapshotsToPrune(dates, keep = SNAPSHOT_DAYS) {
+  return [...dates].sort().reverse().slice(keep);
+}
+
+const hasIdb = () => typeof indexedDB !== "undefined";
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("state")) db.createObjectStore("state");
+      if (!db.objectStoreNames.contains("snapshots")) db.createObjectStore("snapshots", { keyPath: "date" });
+      if (!db.objectStoreNames.contains("sync")) db.createObjectStore("sync");
+    };
+    req.onsuccess = () => {
+      // Let a newer version of the app (another tab) upgrade the database
+      req.result.onversionchange = () => { req.result.close(); dbPromise = null; };
+      resolve(req.result);
+    };
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("Storage is in use by an older tab of this app; close it and reload"));
+  });
+}
+
+let dbPromise = null;
+const db = () => (dbPromise ||= openDb().catch((e) => { dbPromise = null; throw e; }));
+
+/**
+ * Runs `fn(...stores)` in one transaction and resolves with the result of the request it returns (if any)
+ * once the transaction commits. Quota errors arrive here as an aborted transaction.
+ */
+function tx(storeNames, mode, fn) {
+  return db().then((d) => new Promise((resolve, reject) => {
+    const t = d.transaction(storeNames, mode);
+    const req = fn(...storeNames.map((n) => t.objectStore(n)));
+    t.oncomplete = () => resolve(req ? req.result : undefined);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error || new Error("The save was aborted"));
+  }));
+}
+
+function readLocalStorage() {
+  for (const [key, versionHint] of [[STORAGE_KEY, SCHEMA_VERSION], ...LEGACY_KEYS]) {
+    const raw = localStorage.getItem(key);
+    if (raw) return { raw, versionHint, source: `localStorage "${key}"` };
+  }
+  return null;
+}
+
+/**
+ * The saved state as raw JSON, newest location first.
+ * @returns {Promise<{ raw: string, versionHint?: number, source: string } | null>}
+ */
+export async function readSaved() {
+  if (hasIdb()) {
+    const rec = await tx(["state"], "readonly", (st) => st.get(CURRENT));
+    if (rec?.json) return { raw: rec.json, source: "IndexedDB" };
+  }
+  return readLocalStorage();
+}
+
+/**
+ * Writes the current state. The day's first write also snapshots the state it replaces, so the snapshot is the data
+ * from before any of that day's changes (or the new state, on the very first save); old snapshots are pruned.
+ */
+export function writeSaved(json) {
+  if (!hasIdb()) { localStorage.setItem(STORAGE_KEY, json); return Promise.resolve(); }
+  const today = dayStamp();
+  const savedAt = new Date().toISOString();
+  return tx(["state", "snapshots"], "readwrite", (st, snaps) => {
+    // Requests in a transaction run in order, so this reads the state before the put below
+    const prev = st.get(CURRENT);
+    st.put({ json, savedAt }, CURRENT);
+    const keys = snaps.getAllKeys();
+    keys.onsuccess = () => {
+      const dates = keys.result;
+      if (!dates.includes(today)) { snaps.put({ date: today, savedAt, json: prev.result?.json ?? json }); dates.push(today); }
+      for (const date of snapshotsToPrune(dates)) snaps.delete(date);
+    };
+  });
+}
+
+/** Keeps unreadable saved data out of the way of new saves; returns where it went */
+export async function backupCorrupt(raw) {
+  const key = `corrupt-${dayStamp()}`;
+  if (hasIdb()) { await tx(["state"], "readwrite", (st) => st.put({ json: raw, savedAt: new Date().toISOString() }, key)); return `IndexedDB "${key}"`; }
+  localStorage.setItem(`${STORAGE_KEY}-${key}`, raw);
+  return `localStorage "${STORAGE_KEY}-${key}"`;
+}
+
+/** @returns {Promise<{ date: string, savedAt: string, json: string }[]>} newest first */
+export async function listSnapshots() {
+  if (!hasIdb()) return [];
+  const all = await tx(["snapshots"], "readonly", (snaps) => snaps.getAll());
+  return all.sort((a, b) => (a.date < b.date ? 1 : -1));
+}
+
+/** Sync bookkeeping by name ("config", "queue", "cursor"); missing entries come back undefined */
+export async function readSyncMeta(names) {
+  if (!hasIdb()) return {};
+  const values = await Promise.all(names.map((n) => tx(["sync"], "readonly", (st) => st.get(n))));
+  return Object.fromEntries(names.map((n, i) => [n, values[i]]));
+}
+
+export function writeSyncMeta(entries) {
+  if (!hasIdb()) return Promise.reject(new Error("Sync needs IndexedDB, which this browser does not provide"));
+  return tx(["sync"], "readwrite", (st) => { for (const [n, v] of Object.entries(entries)) st.put(v, n); });
+}
+
+/** Asks the browser not to evict our data under storage pressure (best effort) */
+export function requestPersistence() {
+  return navigator.storage?.persist?.().catch(() => false) ?? Promise.resolve(false);
+}
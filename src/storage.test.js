@@ -0,0 +1,18 @@
+import { describe, expect, it } from "vitest";
+import { dayStamp, snapshotsToPrune } from "./storage";
+
+describe("dayStamp", () => {
+  it("uses the local calendar day", () => {
+    expect(dayStamp(new Date(2026, 0, 5, 23, 30))).toBe("2026-01-05");
+  });
+});
+
+describe("snapshotsToPrune", () => {
+  it("keeps the newest days", () => {
+    expect(snapshotsToPrune(["2026-01-03", "2026-01-01", "2026-01-02"], 2)).toEqual(["2026-01-01"]);
+  });
+
+  it("prunes nothing while under the limit", () => {
+    expect(snapshotsToPrune(["2026-01-01"], 14)).toEqual([]);
+  });
+});
@@ -0,0 +1,243 @@
+import { setAttendance } from "./attendance";
+
+/**
+ * Optional sync between devices through a small REST endpoint (see server/sync-server.js for the reference one).
+ *
+ * State is tracked as independent records so two devices only collide when they touch the same thing:
+ *   class/<classId>                          class settings (everything except seats, students, marks, attendance, notes; incl. fixtures)
+ *   student/<classId>/<studentId>            roster entry
+ *   seat/<classId>/<r>,<c>                   { studentId, x?, y? } — one desk; null when the desk was removed
+ *   mark/<classId>/<skillId>/<studentId>/<at> { level } — one record per history entry
+ *   attendance/<classId>/<date>/<studentId>  { status } — "absent" or "tardy"; null when present again
+ *   note/<classId>/<noteId>                  anecdotal note
+ *   skill/<skillId>, scale/<scaleId>
+ * A change is { key, data, at, deviceId }; data null deletes the record.
+ *
+ * Local edits are diffed into a queue (coalesced per key) that survives reloads and offline periods.
+ * Conflicts are last-writer-wins on `at` per record. Marks rarely collide because every history entry is its
+ * own record: two devices marking the same student keep both entries and the newest becomes current.
+ *
+ * Protocol
+ *   GET  <endpoint>/changes?since=<cursor>&device=<id>  -> { cursor, changes }  (changes newer than cursor, other devices)
+ *   POST <endpoint>/changes  { deviceId, changes }       -> { cursor, rejected }  (rejected = server's newer records)
+ *   Authorization: Bearer <token> when a token is set.
+ */
+
+/** @typedef {{ key: string, data: any, at: string, deviceId?: string }} Change */
+/** @typedef {{ endpoint: string, token?: string, deviceId: string, enabled: boolean }} SyncConfig */
+/** @typedef {{ key: string, winner: 'server'|'device'|'both', local: Change|null, remote: Change }} SyncConflict */
+
+export const EMPTY_SYNC_STATE = { classes: [], skills: [], scales: [] };
+
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+const classMeta = ({ seats, students, marks, attendance, notes, ...meta }) => meta;
+const seatKey = (s) => `${s.r},${s.c}`;
+const seatData = ({ r, c, ...rest }) => rest;
+
+/** Calls put(key, data) for every record that differs between two lists keyed by keyOf */
+function diffKeyed(prevList, nextList, keyOf, dataOf, put) {
+  const prevBy = new Map((prevList || []).map((x) => [keyOf(x), x]));
+  for (const x of nextList || []) {
+    const k = keyOf(x);
+    const p = prevBy.get(k);
+    prevBy.delete(k);
+    if (p !== x && !same(p && dataOf(p), dataOf(x))) put(k, dataOf(x));
+  }
+  for (const k of prevBy.keys()) put(k, null);
+}
+
+function diffMarks(classId, prevMarks = {}, nextMarks = {}, put) {
+  if (prevMarks === nextMarks) return;
+  for (const skillId of new Set([...Object.keys(prevMarks), ...Object.keys(nextMarks)])) {
+    const pa = prevMarks[skillId] || {}, na = nextMarks[skillId] || {};
+    if (pa === na) continue;
+    for (const studentId of new Set([...Object.keys(pa), ...Object.keys(na)])) {
+      if (pa[studentId] === na[studentId]) continue;
+      const prefix = `mark/${classId}/${skillId}/${studentId}/`;
+      diffKeyed(pa[studentId], na[studentId], (e) => prefix + e.at, (e) => ({ level: e.level }), put);
+    }
+  }
+}
+
+function diffAttendance(classId, prevAtt = {}, nextAtt = {}, put) {
+  if (prevAtt === nextAtt) return;
+  for (const date of new Set([...Object.keys(prevAtt), ...Object.keys(nextAtt)])) {
+    const pd = prevAtt[date] || {}, nd = nextAtt[date] || {};
+    if (pd === nd) continue;
+    for (const studentId of new Set([...Object.keys(pd), ...Object.keys(nd)])) {
+      if (pd[studentId] !== nd[studentId]) put(`attendance/${classId}/${date}/${studentId}`, nd[studentId] ? { status: nd[studentId] } : null);
+    }
+  }
+}
+
+/**
+ * Records that changed from `prev` to `next` as [{ key, data }]. Relies on immutable updates: unchanged
+ * classes, mark maps and histories keep their identity and are skipped without comparing contents.
+ */
+export function diffStates(prev, next) {
+  const out = [];
+  const put = (key, data) => out.push({ key, data });
+  diffKeyed(prev.scales, next.scales, (s) => `scale/${s.id}`, (s) => s, put);
+  diffKeyed(prev.skills, next.skills, (s) => `skill/${s.id}`, (s) => s, put);
+  const prevClasses = new Map(prev.classes.map((c) => [c.id, c]));
+  for (const cls of next.classes) {
+    const p = prevClasses.get(cls.id);
+    prevClasses.delete(cls.id);
+    if (p === cls) continue;
+    if (!p || !same(classMeta(p), classMeta(cls))) put(`class/${cls.id}`, classMeta(cls));
+    if (!p || p.students !== cls.students) diffKeyed(p?.students, cls.students, (s) => `student/${cls.id}/${s.id}`, (s) => s, put);
+    if (!p || p.seats !== cls.seats) diffKeyed(p?.seats, cls.seats, (s) => `seat/${cls.id}/${seatKey(s)}`, seatData, put);
+    diffMarks(cls.id, p?.marks, cls.marks, put);
+    diffAttendance(cls.id, p?.attendance, cls.attendance, put);
+    if (p?.notes !== cls.notes) diffKeyed(p?.notes, cls.notes, (n) => `note/${cls.id}/${n.id}`, (n) => n, put);
+  }
+  for (const id of prevClasses.keys()) put(`class/${id}`, null);
+  return out;
+}
+
+/** Adds changes to the outgoing queue (one entry per key, newest wins) without mutating it */
+export function queueChanges(queue, changes, at, deviceId) {
+  const next = { ...queue };
+  for (const ch of changes) next[ch.key] = { key: ch.key, data: ch.data, at, deviceId };
+  return next;
+}
+
+const upsert = (list, item, id = item.id) => (list.some((x) => x.id === id) ? list.map((x) => (x.id === id ? item : x)) : [...list, item]);
+
+/**
+ * Applies remote changes to a state (returns a new one). Class, skill and scale records go first so a batch
+ * may contain a new class together with its students, seats and marks; records for unknown classes are ignored.
+ */
+export function applyChanges(state, changes) {
+  let { classes, skills, scales } = state;
+  const rank = (k) => (/^(class|skill|scale)\//.test(k) ? 0 : 1);
+  const ordered = [...changes].sort((a, b) => rank(a.key) - rank(b.key));
+  const byId = new Map(classes.map((c) => [c.id, c]));
+  const touched = new Set();
+  const edit = (id, fn) => { const c = byId.get(id); if (c) { byId.set(id, fn(c)); touched.add(id); } };
+
+  for (const { key, data } of ordered) {
+    const [kind, ...parts] = key.split("/");
+    if (kind === "scale") scales = data ? upsert(scales, data, parts[0]) : scales.filter((s) => s.id !== parts[0]);
+    else if (kind === "skill") skills = data ? upsert(skills, data, parts[0]) : skills.filter((s) => s.id !== parts[0]);
+    else if (kind === "class") {
+      const [id] = parts;
+      if (!data) { byId.delete(id); continue; }
+      const cur = byId.get(id);
+      // Desks arrive as their own seat records
+      byId.set(id, { ...(cur || { students: [], marks: {} }), ...data, id, seats: cur ? cur.seats : [] });
+      touched.add(id);
+    } else if (kind === "student") {
+      const [classId, sid] = parts;
+      edit(classId, (c) => ({ ...c, students: data ? upsert(c.students, data, sid) : c.students.filter((s) => s.id !== sid),
+        seats: data ? c.seats : c.seats.map((s) => (s.studentId === sid ? { ...s, studentId: null } : s)) }));
+    } else if (kind === "seat") {
+      const [classId, rc] = parts;
+      const [r, c] = rc.split(",").map(Number);
+      edit(classId, (cls) => {
+        if (!data) return { ...cls, seats: cls.seats.filter((s) => s.r !== r || s.c !== c) };
+        const seat = { r, c, studentId: null, ...data };
+        const seats = cls.seats.some((s) => s.r === r && s.c === c) ? cls.seats : [...cls.seats, { r, c }];
+        // A student sits in one place: the seat they came from is cleared
+        return { ...cls, seats: seats.map((s) => (s.r === r && s.c === c ? seat : seat.studentId && s.studentId === seat.studentId ? { ...s, studentId: null } : s)) };
+      });
+    } else if (kind === "mark") {
+      const [classId, skillId, sid, at] = parts;
+      edit(classId, (cls) => {
+        const list = (cls.marks[skillId]?.[sid] || []).filter((e) => e.at !== at);
+        const entries = data ? [...list, { level: data.level, at }].sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0)) : list;
+        return { ...cls, marks: { ...cls.marks, [skillId]: { ...cls.marks[skillId], [sid]: entries } } };
+      });
+    } else if (kind === "attendance") {
+      const [classId, date, sid] = parts;
+      edit(classId, (cls) => setAttendance(cls, date, sid, data ? data.status : "present"));
+    } else if (kind === "note") {
+      const [classId, noteId] = parts;
+      edit(classId, (cls) => {
+        const notes = (cls.notes || []).filter((n) => n.id !== noteId);
+        return { ...cls, notes: data ? [...notes, { ...data, id: noteId }] : notes };
+      });
+    }
+  }
+
+  if (!touched.size && byId.size === classes.length && skills === state.skills && scales === state.scales) return state;
+  classes = [...byId.values()];
+  const selectedClassId = classes.some((c) => c.id === state.selectedClassId) ? state.selectedClassId : classes[0]?.id;
+  return { ...state, classes, skills, scales, selectedClassId };
+}
+
+/** Thin fetch wrapper for the protocol above; throws with the server's message on non-2xx */
+export function createSyncClient({ endpoint, token, deviceId }, fetchImpl = globalThis.fetch) {
+  const base = endpoint.replace(/\/+$/, "");
+  const headers = { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+  const call = async (url, init) => {
+    const res = await fetchImpl(url, { ...init, headers });
+    if (!res.ok) throw new Error(`Sync server answered ${res.status}${res.statusText ? ` ${res.statusText}` : ""}`);
+    return res.json();
+  };
+  return {
+    pull: (since) => call(`${base}/changes?since=${encodeURIComponent(since)}&device=${encodeURIComponent(deviceId)}`, { method: "GET" }),
+    push: (changes) => call(`${base}/changes`, { method: "POST", body: JSON.stringify({ deviceId, changes }) }),
+  };
+}
+
+const markGroup = (key) => (key.startsWith("mark/") ? key.slice(0, key.lastIndexOf("/")) : null);
+
+/**
+ * One round trip: pull what other devices changed since `cursor`, settle conflicts with the queue, push the
+ * rest. Returns what to apply locally, which queue entries were settled (sent or overruled) and the new cursor.
+ * @returns {Promise<{ apply: Change[], settled: Change[], cursor: number, conflicts: SyncConflict[] }>}
+ */
+export async function syncOnce(client, queue, cursor) {
+  const pulled = await client.pull(cursor);
+  const apply = [], conflicts = [], settled = [];
+  const overruled = new Set();
+  const queuedMarkGroups = new Set(Object.keys(queue).map(markGroup).filter(Boolean));
+  for (const rec of pulled.changes) {
+    const mine = queue[rec.key];
+    if (mine && !same(mine.data, rec.data)) {
+      const serverWins = rec.at > mine.at;
+      conflicts.push({ key: rec.key, winner: serverWins ? "server" : "device", local: mine, remote: rec });
+      if (!serverWins) continue;
+      overruled.add(rec.key);
+      settled.push(mine);
+    } else if (!mine && queuedMarkGroups.has(markGroup(rec.key))) {
+      // Both devices marked the same student on the same skill: both entries are kept
+      conflicts.push({ key: rec.key, winner: "both", local: null, remote: rec });
+    }
+    apply.push(rec);
+  }
+  const outgoing = Object.values(queue).filter((ch) => !overruled.has(ch.key));
+  if (outgoing.length) {
+    const pushed = await client.push(outgoing);
+    for (const rec of pushed.rejected || []) {
+      conflicts.push({ key: rec.key, winner: "server", local: queue[rec.key], remote: rec });
+      apply.push(rec);
+    }
+    settled.push(...outgoing);
+  }
+  return { apply, settled, cursor: pulled.cursor, conflicts };
+}
+
+/** Drops settled entries from the queue unless they were edited again while the sync was running */
+export function settleQueue(queue, settled) {
+  const next = { ...queue };
+  for (const ch of settled) if (next[ch.key] === ch) delete next[ch.key];
+  return next;
+}
+
+/** Human label for a record key, e.g. "Ana Lopez — Skill K (Period 1)" */
+export function describeKey(state, key) {
+  const [kind, ...p] = key.split("/");
+  const cls = state.classes.find((c) => c.id === p[0]);
+  const student = (id) => cls?.students.find((s) => s.id === id)?.name || "a removed student";
+  const where = cls ? ` (${cls.name})` : "";
+  if (kind === "mark") return `${student(p[2])} — ${state.skills.find((s) => s.id === p[1])?.name || "a removed skill"}${where}`;
+  if (kind === "seat") { const [r, c] = p[1].split(",").map(Number); return `Row ${r + 1}, Seat ${c + 1}${where}`; }
+  if (kind === "student") return `${student(p[1])}${where}`;
+  if (kind === "note") return `Note about ${student(cls?.notes?.find((n) => n.id === p[1])?.studentId)}${where}`;
+  if (kind === "attendance") return `Attendance: ${student(p[2])}, ${p[1]}${where}`;
+  if (kind === "class") return `Class settings${where}`;
+  if (kind === "skill") return `Skill ${state.skills.find((s) => s.id === p[0])?.name || p[0]}`;
+  return `Level scale ${state.scales.find((s) => s.id === p[0])?.name || p[0]}`;
+}
@@ -0,0 +1,159 @@
+import { describe, expect, it } from "vitest";
+import { EMPTY_SYNC_STATE, applyChanges, diffStates, queueChanges, settleQueue, syncOnce } from "./sync";
+import { initHistory, rebase, record, undo } from "./history";
+
+const base = () => ({
+  classes: [{ id: "A", name: "P1", rows: 1, cols: 2, layoutMode: "grid", gradeLevel: 7, scaleId: "default",
+    students: [{ id: "s1", name: "Ana" }, { id: "s2", name: "Ben" }],
+    seats: [{ r: 0, c: 0, studentId: "s1" }, { r: 0, c: 1, studentId: "s2" }],
+    marks: { k: { s1: [{ level: 2, at: "2026-09-01T10:00:00.000Z" }] } } }],
+  skills: [{ id: "k", name: "K", classIds: ["A"] }],
+  scales: [],
+  selectedClassId: "A",
+  selectedSkillId: "k",
+});
+
+/** In-memory stand-in for the server: last-writer-wins per key, sequence cursor */
+function fakeServer() {
+  const records = {};
+  let cursor = 0;
+  return {
+    records,
+    client: (deviceId) => ({
+      pull: async (since) => ({ cursor, changes: Object.values(records).filter((r) => r.seq > since && r.deviceId !== deviceId).map(({ seq, ...r }) => r) }),
+      push: async (changes) => {
+        const rejected = [];
+        for (const ch of changes) {
+          const cur = records[ch.key];
+          if (cur && cur.at > ch.at) { const { seq, ...r } = cur; rejected.push(r); continue; }
+          records[ch.key] = { ...ch, deviceId, seq: ++cursor };
+        }
+        return { cursor, rejected };
+      },
+    }),
+  };
+}
+
+describe("diffStates / applyChanges", () => {
+  it("describes a whole state as records and rebuilds it", () => {
+    const st = base();
+    const changes = diffStates(EMPTY_SYNC_STATE, st);
+    expect(changes.map((c) => c.key)).toEqual([
+      "skill/k", "class/A", "student/A/s1", "student/A/s2", "seat/A/0,0", "seat/A/0,1", "mark/A/k/s1/2026-09-01T10:00:00.000Z",
+    ]);
+    const rebuilt = applyChanges({ ...EMPTY_SYNC_STATE, selectedClassId: null }, changes);
+    expect(rebuilt.classes[0]).toEqual(st.classes[0]);
+    expect(rebuilt.selectedClassId).toBe("A");
+  });
+
+  it("reports only what changed", () => {
+    const prev = base();
+    const cls = prev.classes[0];
+    const next = { ...prev, classes: [{ ...cls, seats: [cls.seats[1], cls.seats[0]].map((s, i) => ({ ...s, c: i })),
+      marks: { k: { s1: [...cls.marks.k.s1, { level: 3, at: "2026-09-02T10:00:00.000Z" }] } } }] };
+    expect(diffStates(prev, next).map((c) => c.key)).toEqual(["seat/A/0,0", "seat/A/0,1", "mark/A/k/s1/2026-09-02T10:00:00.000Z"]);
+    expect(diffStates(prev, { ...prev, selectedSkillId: null })).toEqual([]);
+  });
+
+  it("clears a student's old seat when a remote seat record moves them", () => {
+    const out = applyChanges(base(), [{ key: "seat/A/0,1", data: { studentId: "s1" }, at: "x" }]);
+    expect(out.classes[0].seats.map((s) => s.studentId)).toEqual([null, "s1"]);
+  });
+
+  it("adds and removes desks from seat records", () => {
+    const out = applyChanges(base(), [{ key: "seat/A/1,0", data: { studentId: null, x: 0.5, y: 0.9 }, at: "x" }, { key: "seat/A/0,1", data: null, at: "x" }]);
+    expect(out.classes[0].seats).toEqual([{ r: 0, c: 0, studentId: "s1" }, { r: 1, c: 0, studentId: null, x: 0.5, y: 0.9 }]);
+  });
+
+  it("syncs attendance per student and day", () => {
+    const prev = base();
+    const next = { ...prev, classes: [{ ...prev.classes[0], attendance: { "2026-10-01": { s1: "absent", s2: "tardy" } } }] };
+    expect(diffStates(prev, next)).toEqual([
+      { key: "attendance/A/2026-10-01/s1", data: { status: "absent" } },
+      { key: "attendance/A/2026-10-01/s2", data: { status: "tardy" } },
+    ]);
+    const back = { ...next, classes: [{ ...next.classes[0], attendance: { "2026-10-01": { s2: "tardy" } } }] };
+    expect(diffStates(next, back)).toEqual([{ key: "attendance/A/2026-10-01/s1", data: null }]);
+    const out = applyChanges(applyChanges(prev, diffStates(prev, next).map((c) => ({ ...c, at: "x" }))), [{ key: "attendance/A/2026-10-01/s1", data: null, at: "x" }]);
+    expect(out.classes[0].attendance).toEqual({ "2026-10-01": { s2: "tardy" } });
+  });
+
+  it("syncs notes as one record each", () => {
+    const prev = base();
+    const note = { id: "n1", studentId: "s1", text: "Drops the sign", at: "2026-10-01T10:00:00.000Z" };
+    const next = { ...prev, classes: [{ ...prev.classes[0], notes: [note] }] };
+    expect(diffStates(prev, next)).toEqual([{ key: "note/A/n1", data: note }]);
+    const out = applyChanges(prev, [{ key: "note/A/n1", data: note, at: "x" }]);
+    expect(out.classes[0].notes).toEqual([note]);
+    expect(applyChanges(out, [{ key: "note/A/n1", data: null, at: "x" }]).classes[0].notes).toEqual([]);
+  });
+
+  it("ignores records for classes it does not have", () => {
+    const st = base();
+    expect(applyChanges(st, [{ key: "student/Z/s9", data: { id: "s9", name: "X" }, at: "x" }])).toBe(st);
+  });
+});
+
+describe("remote changes and undo", () => {
+  it("keeps another device's mark when this device undoes its own edit", () => {
+    const mark = (st, sid, at) => ({ ...st, classes: st.classes.map((c) => ({ ...c, marks: { k: { ...c.marks.k, [sid]: [...(c.marks.k[sid] || []), { level: 3, at }] } } })) });
+    let h = record(initHistory(base()), mark(base(), "s1", "2026-09-02T10:00:00.000Z"));
+    const remote = diffStates(base(), mark(base(), "s2", "2026-09-03T10:00:00.000Z"));
+    h = rebase(h, (st) => applyChanges(st, remote));
+    const before = h.present;
+    h = undo(h);
+    expect(h.present.classes[0].marks.k.s2).toHaveLength(1);
+    // What the undo queues for the server takes back only the local mark
+    expect(diffStates(before, h.present)).toEqual([{ key: "mark/A/k/s1/2026-09-02T10:00:00.000Z", data: null }]);
+  });
+});
+
+describe("syncOnce", () => {
+  const t = (h) => `2026-09-03T${String(h).padStart(2, "0")}:00:00.000Z`;
+
+  it("moves changes from one device to another", async () => {
+    const server = fakeServer();
+    const laptop = base();
+    const q = queueChanges({}, diffStates(EMPTY_SYNC_STATE, laptop), t(8), "laptop");
+    const up = await syncOnce(server.client("laptop"), q, 0);
+    expect(settleQueue(q, up.settled)).toEqual({});
+
+    const down = await syncOnce(server.client("ipad"), {}, 0);
+    const ipad = applyChanges({ ...EMPTY_SYNC_STATE }, down.apply);
+    expect(ipad.classes[0].students.map((s) => s.name)).toEqual(["Ana", "Ben"]);
+    expect(down.conflicts).toEqual([]);
+  });
+
+  it("settles a seat conflict by the newest change", async () => {
+    const server = fakeServer();
+    await server.client("ipad").push([{ key: "seat/A/0,0", data: { studentId: "s2" }, at: t(10), deviceId: "ipad" }]);
+    const older = queueChanges({}, [{ key: "seat/A/0,0", data: { studentId: null } }], t(9), "laptop");
+    const res = await syncOnce(server.client("laptop"), older, 0);
+    expect(res.conflicts).toMatchObject([{ key: "seat/A/0,0", winner: "server" }]);
+    expect(res.apply.map((r) => r.data.studentId)).toEqual(["s2"]);
+    expect(settleQueue(older, res.settled)).toEqual({});
+
+    const newer = queueChanges({}, [{ key: "seat/A/0,0", data: { studentId: null } }], t(11), "laptop");
+    const res2 = await syncOnce(server.client("laptop"), newer, 0);
+    expect(res2.conflicts).toMatchObject([{ winner: "device" }]);
+    expect(server.records["seat/A/0,0"].data).toEqual({ studentId: null });
+  });
+
+  it("keeps both marks when two devices mark the same student", async () => {
+    const server = fakeServer();
+    await server.client("ipad").push([{ key: `mark/A/k/s1/${t(10)}`, data: { level: 4 }, at: t(10), deviceId: "ipad" }]);
+    const q = queueChanges({}, [{ key: `mark/A/k/s1/${t(9)}`, data: { level: 1 } }], t(9), "laptop");
+    const res = await syncOnce(server.client("laptop"), q, 0);
+    expect(res.conflicts).toMatchObject([{ winner: "both" }]);
+    const out = applyChanges(base(), res.apply);
+    expect(out.classes[0].marks.k.s1.map((e) => e.level)).toEqual([2, 4]);
+    expect(Object.keys(server.records)).toHaveLength(2);
+  });
+
+  it("keeps changes made while a sync was running", () => {
+    const q = queueChanges({}, [{ key: "seat/A/0,0", data: null }], t(1), "d");
+    const sent = Object.values(q);
+    const edited = queueChanges(q, [{ key: "seat/A/0,0", data: { studentId: "s1" } }], t(2), "d");
+    expect(Object.keys(settleQueue(edited, sent))).toEqual(["seat/A/0,0"]);
+  });
+});